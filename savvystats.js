@@ -52,6 +52,385 @@ var ss = (function(undefined) {
         return false;
     };
 
+    /**
+     * Calculates the residual sum of squares of the least squares fit of a linear model (used in twoWayAnova)
+     * Solves the normal equations (X'X)b = X'y by Gaussian elimination with partial pivoting
+     * A pivot that is tiny compared to the largest diagonal entry of X'X means the design matrix is singular
+     *
+     * @param Array designMatrix (array of rows, each row an array of the predictor values)
+     * @param Array response
+     */
+    var residualSumOfSquares = function(designMatrix, response) {
+        var columns = designMatrix[0].length,
+            normal = [],      // augmented matrix [X'X | X'y]
+            coefficients = [],
+            tolerance = 0,    // smallest pivot allowed, relative to the scale of X'X
+            pivotRow,
+            factor,
+            fitted,
+            total = 0,
+            temp,
+            i,
+            j,
+            k;
+
+        // Build the augmented normal equations
+        for (i = 0; i < columns; i++) {
+            normal[i] = [];
+
+            for (j = 0; j <= columns; j++) {
+                normal[i][j] = 0;
+
+                for (k = 0; k < designMatrix.length; k++) {
+                    normal[i][j] += designMatrix[k][i] * (j === columns ? response[k] : designMatrix[k][j]);
+                }
+            }
+
+            tolerance = Math.max(tolerance, Math.abs(normal[i][i]) * 1e-10);
+        }
+
+        // Forward elimination
+        for (i = 0; i < columns; i++) {
+
+            // Swap in the row with the largest pivot to keep the elimination stable
+            pivotRow = i;
+            for (j = i + 1; j < columns; j++) {
+                if (Math.abs(normal[j][i]) > Math.abs(normal[pivotRow][i])) {
+                    pivotRow = j;
+                }
+            }
+
+            temp = normal[i];
+            normal[i] = normal[pivotRow];
+            normal[pivotRow] = temp;
+
+            if (Math.abs(normal[i][i]) <= tolerance) {
+                throw new Error("residualSumOfSquares: the design matrix is singular, the model can't be fit");
+            }
+
+            for (j = i + 1; j < columns; j++) {
+                factor = normal[j][i] / normal[i][i];
+
+                for (k = i; k <= columns; k++) {
+                    normal[j][k] -= factor * normal[i][k];
+                }
+            }
+        }
+
+        // Back substitution
+        for (i = columns - 1; i >= 0; i--) {
+            coefficients[i] = normal[i][columns];
+
+            for (j = i + 1; j < columns; j++) {
+                coefficients[i] -= normal[i][j] * coefficients[j];
+            }
+
+            coefficients[i] /= normal[i][i];
+        }
+
+        // Sum the squared residuals
+        for (k = 0; k < designMatrix.length; k++) {
+            fitted = 0;
+
+            for (j = 0; j < columns; j++) {
+                fitted += designMatrix[k][j] * coefficients[j];
+            }
+
+            total += Math.pow(response[k] - fitted, 2);
+        }
+
+        return total;
+    };
+
+    /**
+     * Calculates the exact probability of each value of the Wilcoxon rank-sum (Mann-Whitney U) statistic
+     *     when there are no ties (used in wilcoxon.rankSum)
+     * The statistic is the sum of the ranks of sample A minus sizeA(sizeA + 1)/2, so it is between 0 and sizeA * sizeB
+     * Counts the ways to choose sizeA of the ranks 1 to sizeA + sizeB for each rank sum, one rank at a time
+     *     (counts only ever get added, so large counts lose no precision to cancellation)
+     *
+     * @param Int sizeA
+     * @param Int sizeB
+     */
+    var rankSumProbs = function(sizeA, sizeB) {
+        var total = sizeA + sizeB,
+            minSum = sizeA * (sizeA + 1) / 2,
+            maxSum = minSum + sizeA * sizeB,
+            counts = [],            // counts[k][s] is the number of ways to choose k of the ranks so far with a sum of s
+            ways = 0,
+            probs = [],
+            rank,
+            k,
+            s;
+
+        for (k = 0; k <= sizeA; k++) {
+            counts[k] = [];
+
+            for (s = 0; s <= maxSum; s++) {
+                counts[k][s] = 0;
+            }
+        }
+
+        counts[0][0] = 1;
+
+        // Going backward through k and s allows each rank to be added to the counts without being used twice
+        for (rank = 1; rank <= total; rank++) {
+            for (k = Math.min(rank, sizeA); k >= 1; k--) {
+                for (s = maxSum; s >= rank; s--) {
+                    counts[k][s] += counts[k - 1][s - rank];
+                }
+            }
+        }
+
+        for (s = minSum; s <= maxSum; s++) {
+            ways += counts[sizeA][s];
+        }
+
+        for (s = minSum; s <= maxSum; s++) {
+            probs.push(counts[sizeA][s] / ways);
+        }
+
+        return probs;
+    };
+
+    /**
+     * Calculates the exact probability of each value of the Wilcoxon signed-rank statistic (the sum of the ranks of the
+     *     positive differences) when there are no ties or zero differences (used in wilcoxon.signedRank)
+     * Each of the ranks 1 to n is equally likely to be positive or negative, so the statistic is between 0 and n(n + 1)/2
+     * Counts the subsets of the ranks for each rank sum, one rank at a time
+     *
+     * @param Int size
+     */
+    var signedRankProbs = function(size) {
+        var maxSum = size * (size + 1) / 2,
+            counts = [],            // counts[s] is the number of subsets of the ranks so far with a sum of s
+            probs = [],
+            rank,
+            s;
+
+        for (s = 0; s <= maxSum; s++) {
+            counts[s] = 0;
+        }
+
+        counts[0] = 1;
+
+        // Going backward through s allows each rank to be added to the counts without being used twice
+        for (rank = 1; rank <= size; rank++) {
+            for (s = maxSum; s >= rank; s--) {
+                counts[s] += counts[s - rank];
+            }
+        }
+
+        // There are 2^n equally likely subsets
+        for (s = 0; s <= maxSum; s++) {
+            probs.push(counts[s] / Math.pow(2, size));
+        }
+
+        return probs;
+    };
+
+    /**
+     * Calculates the cumulative probability of the limiting Kolmogorov distribution, P(K <= x)
+     *     (used for large sample Kolmogorov-Smirnov tests, x = sqrt(n) * D)
+     * Uses the series that converges fastest on each side of 1
+     *     (https://en.wikipedia.org/wiki/Kolmogorov%E2%80%93Smirnov_test#Kolmogorov_distribution)
+     *
+     * @param Float x
+     */
+    var kolmogorovDist = function(x) {
+        var sum = 0,
+            k;
+
+        if (x <= 0) {
+            return 0;
+        }
+
+        // sqrt(2 * pi)/x * sum(e^(-(2k - 1)^2 * pi^2/(8x^2)))
+        if (x < 1) {
+            for (k = 1; k <= 20; k++) {
+                sum += Math.exp(-Math.pow(2 * k - 1, 2) * Math.pow(Math.PI, 2) / (8 * x * x));
+            }
+
+            return Math.sqrt(2 * Math.PI) / x * sum;
+        }
+
+        // 1 - 2 * sum((-1)^(k - 1) * e^(-2k^2 * x^2))
+        for (k = 1; k <= 20; k++) {
+            sum += (k % 2 === 1 ? 1 : -1) * Math.exp(-2 * k * k * x * x);
+        }
+
+        return 1 - 2 * sum;
+    };
+
+    /**
+     * Calculates the exact cumulative probability P(D < d) of the one sample Kolmogorov-Smirnov statistic
+     *     for a sample of size n from a continuous distribution
+     * Raises a (2k - 1) x (2k - 1) matrix to the nth power, keeping the matrix scaled to avoid arithmetic overflow
+     * Algorithm from Marsaglia, Tsang and Wang (https://doi.org/10.18637/jss.v008.i18)
+     *
+     * @param Int size
+     * @param Float d
+     */
+    var kolmogorovExact = function(size, d) {
+        var k = Math.floor(size * d) + 1,
+            m = 2 * k - 1,
+            h = k - size * d,
+            matrix = [],
+            i,
+            j,
+            g;
+
+        // Multiplies two m x m matrices
+        var multiply = function(a, b) {
+            var product = [],
+                row,
+                col,
+                n,
+                sum;
+
+            for (row = 0; row < m; row++) {
+                product[row] = [];
+
+                for (col = 0; col < m; col++) {
+                    sum = 0;
+
+                    for (n = 0; n < m; n++) {
+                        sum += a[row][n] * b[n][col];
+                    }
+
+                    product[row][col] = sum;
+                }
+            }
+
+            return product;
+        };
+
+        // Raises the matrix to a power by squaring, returns the matrix and a power of 10 scaling it
+        var power = function(base, exponent) {
+            var half,
+                result,
+                center,
+                row,
+                col;
+
+            if (exponent === 1) {
+                return {
+                    "matrix": base,
+                    "scale": 0
+                };
+            }
+
+            half = power(base, Math.floor(exponent / 2));
+            result = {
+                "matrix": multiply(half.matrix, half.matrix),
+                "scale": 2 * half.scale
+            };
+
+            if (exponent % 2 === 1) {
+                result.matrix = multiply(base, result.matrix);
+            }
+
+            // Scale the matrix down when the center gets too large
+            center = result.matrix[k - 1][k - 1];
+
+            if (center > 1e140) {
+                for (row = 0; row < m; row++) {
+                    for (col = 0; col < m; col++) {
+                        result.matrix[row][col] *= 1e-140;
+                    }
+                }
+
+                result.scale += 140;
+            }
+
+            return result;
+        };
+
+        if (d <= 0) {
+            return 0;
+        }
+
+        if (d >= 1) {
+            return 1;
+        }
+
+        for (i = 0; i < m; i++) {
+            matrix[i] = [];
+
+            for (j = 0; j < m; j++) {
+                matrix[i][j] = i - j + 1 < 0 ? 0 : 1;
+            }
+        }
+
+        for (i = 0; i < m; i++) {
+            matrix[i][0] -= Math.pow(h, i + 1);
+            matrix[m - 1][i] -= Math.pow(h, m - i);
+        }
+
+        matrix[m - 1][0] += 2 * h - 1 > 0 ? Math.pow(2 * h - 1, m) : 0;
+
+        for (i = 0; i < m; i++) {
+            for (j = 0; j < m; j++) {
+                if (i - j + 1 > 0) {
+                    for (g = 1; g <= i - j + 1; g++) {
+                        matrix[i][j] /= g;
+                    }
+                }
+            }
+        }
+
+        var result = power(matrix, size),
+            prob = result.matrix[k - 1][k - 1],
+            scale = result.scale;
+
+        // Multiply by n!/n^n, keeping the probability scaled
+        for (i = 1; i <= size; i++) {
+            prob *= i / size;
+
+            if (prob < 1e-140) {
+                prob *= 1e140;
+                scale -= 140;
+            }
+        }
+
+        return prob * Math.pow(10, scale);
+    };
+
+    /**
+     * Calculates the exact cumulative probability P(D < d) of the two sample Kolmogorov-Smirnov statistic
+     *     for samples of sizes m and n from the same continuous distribution without ties
+     * Counts the paths through the m x n lattice that stay within d of the diagonal, scaled as they are counted
+     *     (https://en.wikipedia.org/wiki/Kolmogorov%E2%80%93Smirnov_test#Two-sample_Kolmogorov%E2%80%93Smirnov_test)
+     *
+     * @param Int sizeA
+     * @param Int sizeB
+     * @param Float d
+     */
+    var smirnovExact = function(sizeA, sizeB, d) {
+        var small = Math.min(sizeA, sizeB),
+            large = Math.max(sizeA, sizeB),
+            q = (0.5 + Math.floor(d * small * large - 1e-7)) / (small * large),    // d just below the observed value
+            paths = [],
+            scale,
+            i,
+            j;
+
+        for (j = 0; j <= large; j++) {
+            paths[j] = j / large > q ? 0 : 1;
+        }
+
+        for (i = 1; i <= small; i++) {
+            scale = i / (i + large);
+            paths[0] = i / small > q ? 0 : scale * paths[0];
+
+            for (j = 1; j <= large; j++) {
+                paths[j] = Math.abs(i / small - j / large) > q ? 0 : scale * paths[j] + paths[j - 1];
+            }
+        }
+
+        return paths[large];
+    };
+
 
     /*==============================*
      * Statistics for Non-File Data *
@@ -244,6 +623,58 @@ var ss = (function(undefined) {
         return a * Math.log(x) + b * Math.log(1 - x) - Math.log(a) + Math.log(s_1);
     };
 
+    /**
+     * Calculates the regularized incomplete beta function (the cumulative beta distribution)
+     * Uses the continued fraction of lnBetaIncomplete on whichever side of the distribution it converges faster
+     *     (http://dlmf.nist.gov/8.17#v)
+     *
+     * @param Float x where 0 <= x <= 1
+     * @param Float a
+     * @param Float b
+     */
+    var regBetaIncomplete = function(x, a, b) {
+        // Beta(a, b) = Gamma(a) * Gamma(b) / Gamma(a + b)
+        var lnBeta = lnGamma(a) + lnGamma(b) - lnGamma(a + b);
+
+        if (x < (a + 1) / (a + b + 2)) {
+            return Math.exp(lnBetaIncomplete(x, a, b) - lnBeta);
+        }
+
+        // Note that Beta(a, b) = Beta(b, a), allowing same value for lnBeta to be used as above
+        return 1 - Math.exp(lnBetaIncomplete(1 - x, b, a) - lnBeta);
+    };
+
+    /**
+     * Calculates the quantile of the beta distribution (the inverse of the regularized incomplete beta function)
+     * The cumulative beta distribution always increases between 0 and 1, so the interval is halved until within error
+     *
+     * @param Float cumulativeProb
+     * @param Float a
+     * @param Float b
+     */
+    var betaInv = function(cumulativeProb, a, b) {
+        var lower = 0,
+            upper = 1,
+            x = 0.5,
+            error = 1e-12,      // allowed width of the interval holding the quantile
+            maxIter = 100,      // the width is 2^-100 after 100 iterations, more than close enough
+            iter = 0;
+
+        while (upper - lower > error && iter < maxIter) {
+            x = (lower + upper) / 2;
+
+            if (regBetaIncomplete(x, a, b) < cumulativeProb) {
+                lower = x;
+            } else {
+                upper = x;
+            }
+
+            iter++;
+        }
+
+        return (lower + upper) / 2;
+    };
+
     /**
      * Calculates the factorial of an integer >= 0
      * 
@@ -706,6 +1137,9 @@ var ss = (function(undefined) {
      *     assuming a binomial distribution
      * Automatically uses and "exact" or "estimation" method based on n * p * q >= 5 for "estimation"
      * Method described in FUNDAMENTALS OF BIOSTATISTSICS SEVENTH EDITION Bernard Rosner p. 185 - 6
+     * The "wilson", "agresti-coull", "jeffreys", "clopper-pearson" (from the beta quantiles) and "logit" methods
+     *     can also be chosen, they behave better than the "estimate" (Wald) method when p is close to 0 or 1
+     * Methods described in (https://en.wikipedia.org/wiki/Binomial_proportion_confidence_interval)
      * 
      * @param Float alpha
      * @param Int successes
@@ -715,15 +1149,16 @@ var ss = (function(undefined) {
      */
     globalObject.binom.conf = function(alpha, successes, trials, type, method) {
         // Start with method to check for type being the one not actually filled
-        
+        var methods = ["estimate", "exact", "wilson", "agresti-coull", "jeffreys", "clopper-pearson", "logit"];
+
         // Lowercase method for easy comparison
         if (typeof method !== "undefined") {
             method = method.toLowerCase();
 
         // If only 4 arguments filled, and type has expected values for method
         // then user has not specified type, they actually want method and the default type
-        } else if (arguments.length === 4 && (type === "estimate" || type === "exact")) {
-            method = type;
+        } else if (arguments.length === 4 && typeof type === "string" && methods.indexOf(type.toLowerCase()) !== -1) {
+            method = type.toLowerCase();
             type = undefined;
         }
 
@@ -736,16 +1171,20 @@ var ss = (function(undefined) {
             errors.push("binom.conf: alpha must be a number between 0 and 1");
         }
 
-        if (isNaN(trials) || trials < 0) {
-            errors.push("binom.conf: the trials must be a number that is greater than 0");
+        if (isNaN(trials) || trials < 1) {
+            errors.push("binom.conf: the trials must be a number that is at least 1");
         }
 
         if (isNaN(successes) || successes < 0 || successes > trials) {
             errors.push("binom.conf: the successes must be a number that is between 0 and the number of trials");
         }
 
-        if (typeof method !== "undefined" && method !== "estimate" && method !== "exact") {
-            errors.push("binom.conf: if set, the method must be \"exact\" or \"estimate\"");
+        if (typeof method !== "undefined" && methods.indexOf(method) === -1) {
+            errors.push("binom.conf: if set, the method must be \"" + methods.join("\", \"") + "\"");
+        }
+
+        if (method === "logit" && (successes === 0 || successes === trials)) {
+            errors.push("binom.conf: the logit method needs at least one success and one failure");
         }
 
         if (errors.length > 0) {
@@ -824,11 +1263,155 @@ var ss = (function(undefined) {
             } else {
                 throw new Error("binom.conf: The type must be a number between 1 - 3 or \"lower\", \"two\", or \"upper\"");
             }
+
+        // The remaining methods find both limits from the same tail probability
+        // The limit not used by a one-sided confidence interval is removed afterward
+        } else {
+            if (type === 1 || type === "lower" || type === 3 || type === "upper") {
+                cumulativeProb = alpha;
+            } else if (type === 2 || type === "two") {
+                cumulativeProb = alpha / 2;
+
+            // Throw error if type is not as indicated
+            } else {
+                throw new Error("binom.conf: The type must be a number between 1 - 3 or \"lower\", \"two\", or \"upper\"");
+            }
+
+            z = globalObject.norm.inv(1 - cumulativeProb, 0, 1);
+
+            // Center of the interval is pulled toward 0.5 by z^2 / 2 successes and failures
+            if (method === "wilson") {
+                conf = z / (1 + z * z / n) * Math.sqrt(p * q / n + z * z / (4 * n * n));
+
+                interval.lower = (p + z * z / (2 * n)) / (1 + z * z / n) - conf;
+                interval.upper = (p + z * z / (2 * n)) / (1 + z * z / n) + conf;
+
+            // Normal estimation after adding z^2 / 2 successes and failures, limited to 0 and 1
+            } else if (method === "agresti-coull") {
+                var adjustedTrials = n + z * z,
+                    adjustedP = (successes + z * z / 2) / adjustedTrials;
+
+                conf = z * Math.sqrt(adjustedP * (1 - adjustedP) / adjustedTrials);
+
+                interval.lower = Math.max(0, adjustedP - conf);
+                interval.upper = Math.min(1, adjustedP + conf);
+
+            // Beta(k + 1/2, n - k + 1/2) quantiles, where the limit is 0 (or 1) with no successes (or failures)
+            } else if (method === "jeffreys") {
+                interval.lower = successes === 0 ? 0 : betaInv(cumulativeProb, successes + 0.5, trials - successes + 0.5);
+                interval.upper = successes === trials ? 1 : betaInv(1 - cumulativeProb, successes + 0.5, trials - successes + 0.5);
+
+            // Same interval as the "exact" method, but from the beta quantiles so that large samples don't underflow
+            } else if (method === "clopper-pearson") {
+                interval.lower = successes === 0 ? 0 : betaInv(cumulativeProb, successes, trials - successes + 1);
+                interval.upper = successes === trials ? 1 : betaInv(1 - cumulativeProb, successes + 1, trials - successes);
+
+            // Normal estimation on the log odds, transformed back to a probability
+            } else if (method === "logit") {
+                var logOdds = Math.log(successes / (trials - successes));
+
+                conf = z * Math.sqrt(n / (successes * (trials - successes)));
+
+                interval.lower = 1 / (1 + Math.exp(-(logOdds - conf)));
+                interval.upper = 1 / (1 + Math.exp(-(logOdds + conf)));
+            }
+
+            if (type === 1 || type === "lower") {
+                interval.lower = NaN;
+            } else if (type === 3 || type === "upper") {
+                interval.upper = NaN;
+            }
         }
 
         return interval;
     };
 
+    /**
+     * Performs an exact binomial test of k successes in n trials against a hypothesized probability of success
+     * The probabilities are calculated in log space with lnGamma so that large samples don't underflow
+     * The two-sided probability is the sum of the probabilities of all outcomes no more likely than the
+     *     observed number of successes (minimum likelihood method)
+     * Returns the probability along with the matching exact (Clopper-Pearson) confidence interval, the
+     *     interval type follows the alternative ("less" --> 1, "diff" --> 2, "greater" --> 3)
+     * Method described in (https://en.wikipedia.org/wiki/Binomial_test)
+     *
+     * @param Int successes
+     * @param Int trials
+     * @param Float expectedProb (probability of success under the null hypothesis, default 0.5)
+     * @param Number or String alternative
+     * @param Float alpha (used for the confidence interval, default 0.05)
+     */
+    globalObject.binom.test = function(successes, trials, expectedProb, alternative, alpha) {
+        // Sets defaults and lowercases alternative if filled with a string
+        expectedProb = typeof expectedProb === "undefined" ? 0.5 : expectedProb;
+        alternative = typeof alternative === "undefined" ? 2 : typeof alternative === "string" ? alternative.toLowerCase() : alternative;
+        alpha = typeof alpha === "undefined" ? 0.05 : alpha;
+
+        var errors = [];
+
+        if (!isInt(trials) || trials < 1) {
+            errors.push("binom.test: The number of trials must be an integer greater than 0 (" + trials + ")");
+        }
+
+        if (!isInt(successes) || successes < 0 || successes > trials) {
+            errors.push("binom.test: The number of successes must be an integer between 0 and the number of trials (" + successes + ")");
+        }
+
+        if (isNaN(expectedProb) || expectedProb < 0 || expectedProb > 1) {
+            errors.push("binom.test: The expected probability of success must be a number between 0 and 1 (" + expectedProb + ")");
+        }
+
+        if (alternative !== 1 && alternative !== 2 && alternative !== 3 && alternative !== "less" && alternative !== "diff" && alternative !== "greater") {
+            errors.push("binom.test: The alternative must be a number between 1 - 3 or \"less\", \"diff\", or \"greater\"");
+        }
+
+        if (isNaN(alpha) || alpha <= 0 || alpha >= 1) {
+            errors.push("binom.test: alpha must be a number between 0 and 1");
+        }
+
+        if (errors.length > 0) {
+            throw new Error(errors.join("; "));
+        }
+
+        var lnProbs = [],               // natural log of the probability of each number of successes
+            tolerance = 1 + 1e-7,       // relative tolerance when comparing probabilities
+            prob = 0,
+            type,
+            k;
+
+        // Natural log of (n choose k)(p^k)(q^(n-k)), where p^k and q^(n-k) are 1 for k = 0 and k = n
+        for (k = 0; k <= trials; k++) {
+            lnProbs[k] = lnGamma(trials + 1) - lnGamma(k + 1) - lnGamma(trials - k + 1);
+            lnProbs[k] += k === 0 ? 0 : k * Math.log(expectedProb);
+            lnProbs[k] += k === trials ? 0 : (trials - k) * Math.log(1 - expectedProb);
+        }
+
+        for (k = 0; k <= trials; k++) {
+            if ((alternative === 1 || alternative === "less") && k <= successes) {
+                prob += Math.exp(lnProbs[k]);
+            } else if ((alternative === 3 || alternative === "greater") && k >= successes) {
+                prob += Math.exp(lnProbs[k]);
+            } else if ((alternative === 2 || alternative === "diff") && lnProbs[k] <= lnProbs[successes] + Math.log(tolerance)) {
+                prob += Math.exp(lnProbs[k]);
+            }
+        }
+
+        // Confidence interval in the direction of the alternative
+        if (alternative === 1 || alternative === "less") {
+            type = 1;
+        } else if (alternative === 3 || alternative === "greater") {
+            type = 3;
+        } else {
+            type = 2;
+        }
+
+        return {
+            "estimate": successes / trials,
+            "p": prob > 1 ? 1 : prob,
+            "interval": globalObject.binom.conf(alpha, successes, trials, type, "clopper-pearson")
+        };
+    };
+
     /* -------------------- *
      * Poisson Distribution *
      * -------------------- */
@@ -1039,13 +1622,13 @@ var ss = (function(undefined) {
             lastDiff = 1;       // used to calculate overshooting
 
         // The center of a poisson distribution is mu
-        // Since the poisson distribution as a function of mu (not k) is a constantly
-        //     increasing function, a cumulative probability must have a mu greater than k
-        //     and vice versa
+        // Since the cumulative poisson distribution as a function of mu (not k) is a constantly
+        //     decreasing function, a small cumulative probability must have a mu greater than k
+        //     and vice versa (mu must also stay greater than 0)
         if (cumulativeProb > 0.5) {
-            mu = successes + 1;
+            mu = successes > 1 ? successes - 1 : 0.5;
         } else {
-            mu = successes - 1;
+            mu = successes + 1;
         }
 
         // Guess until gone for too many iterations or arrived within error
@@ -1076,8 +1659,9 @@ var ss = (function(undefined) {
             // create another guess
             mu += direction * step;
 
-            // mu can't be less than 0
-            mu = mu < 0 ? mu = 0 : mu;
+            // mu can't be less than or equal to 0 (the cumulative probability is not a number there)
+            // Move halfway from the last guess to 0 instead
+            mu = mu <= 0 ? (mu - direction * step) / 2 : mu;
 
             // save last diff to check for overshooting
             lastDiff = diff;
@@ -1123,22 +1707,23 @@ var ss = (function(undefined) {
             conf,                       // value to be added or subtracted from estimated p
             interval = {};              // object returned that actually contains the conf interval
 
+        // With no successes the lower limit is 0 and the upper limit solves e^-mu = cumulativeProb
         if (type === 1 || type === "lower") {
             cumulativeProb = alpha;
 
             interval.lower = NaN;
-            interval.upper = globalObject.poisson.invmu(cumulativeProb, successes);
+            interval.upper = successes === 0 ? -Math.log(cumulativeProb) : globalObject.poisson.invmu(cumulativeProb, successes);
 
         } else if (type === 2 || type === "two") {
             cumulativeProb = alpha / 2;
 
-            interval.lower = globalObject.poisson.invmu(1 - cumulativeProb, successes - 1);
-            interval.upper = globalObject.poisson.invmu(cumulativeProb, successes);
+            interval.lower = successes === 0 ? 0 : globalObject.poisson.invmu(1 - cumulativeProb, successes - 1);
+            interval.upper = successes === 0 ? -Math.log(cumulativeProb) : globalObject.poisson.invmu(cumulativeProb, successes);
 
         } else if (type === 3 || type === "upper") {
             cumulativeProb = alpha;
 
-            interval.lower = globalObject.poisson.invmu(1 - cumulativeProb, successes - 1);
+            interval.lower = successes === 0 ? 0 : globalObject.poisson.invmu(1 - cumulativeProb, successes - 1);
             interval.upper = NaN;
 
         // Throw error if type is not as indicated
@@ -1149,28 +1734,177 @@ var ss = (function(undefined) {
         return interval;
     };
 
-    /* ------------------- *
-     * Normal Distribution *
-     * ------------------- */
-
-    // Objects containing Normal distribution methods
-    globalObject.norm = {};
-
     /**
-     * Calculates the probability of getting the value x in an observation or the probability of x and anything less (cumulative)
-     * Based on the formula (1/(sigma*sqrt(2*pi)))*e^((-1/(2*sigma^2))*(x-mu)^2)
-     * Integration of the above function results in the cumulative distribution function
+     * Performs an exact test of the number of events observed over an exposure (e.g. person-time) against
+     *     a hypothesized rate of events per unit of exposure, assuming a poisson distribution
+     * The probabilities are calculated in log space with lnGamma so that large counts don't overflow
+     * The two-sided probability is the sum of the probabilities of all counts no more likely than the
+     *     observed count (minimum likelihood method)
+     * Returns the probability along with the rate (events per unit of exposure) and its exact confidence interval,
+     *     the interval type follows the alternative ("less" --> 1, "diff" --> 2, "greater" --> 3)
      *
-     * See https://en.wikipedia.org/wiki/Normal_distribution#Cumulative_distribution_function and 
-     *      https://en.wikipedia.org/wiki/Error_function
-     *      for how this works
-     * 
-     * @param Float x
-     * @param Float mean
-     * @param Float stdev
-     * @param Boolean cumulative (optional)
+     * @param Int events
+     * @param Float exposure (default 1)
+     * @param Float expectedRate (default 1)
+     * @param Number or String alternative
+     * @param Float alpha (used for the confidence interval, default 0.05)
      */
-    globalObject.norm.dist = function(x, mean, stdev, cumulative) {
+    globalObject.poisson.test = function(events, exposure, expectedRate, alternative, alpha) {
+        // Sets defaults and lowercases alternative if filled with a string
+        exposure = typeof exposure === "undefined" ? 1 : exposure;
+        expectedRate = typeof expectedRate === "undefined" ? 1 : expectedRate;
+        alternative = typeof alternative === "undefined" ? 2 : typeof alternative === "string" ? alternative.toLowerCase() : alternative;
+        alpha = typeof alpha === "undefined" ? 0.05 : alpha;
+
+        var errors = [];
+
+        if (!isInt(events) || events < 0) {
+            errors.push("poisson.test: The number of events must be an integer greater than or equal to 0 (" + events + ")");
+        }
+
+        if (isNaN(exposure) || exposure <= 0) {
+            errors.push("poisson.test: The exposure must be a number greater than 0 (" + exposure + ")");
+        }
+
+        if (isNaN(expectedRate) || expectedRate <= 0) {
+            errors.push("poisson.test: The expected rate must be a number greater than 0 (" + expectedRate + ")");
+        }
+
+        if (alternative !== 1 && alternative !== 2 && alternative !== 3 && alternative !== "less" && alternative !== "diff" && alternative !== "greater") {
+            errors.push("poisson.test: The alternative must be a number between 1 - 3 or \"less\", \"diff\", or \"greater\"");
+        }
+
+        if (isNaN(alpha) || alpha <= 0 || alpha >= 1) {
+            errors.push("poisson.test: alpha must be a number between 0 and 1");
+        }
+
+        if (errors.length > 0) {
+            throw new Error(errors.join("; "));
+        }
+
+        var expectedEvents = expectedRate * exposure,      // average number of events under the null hypothesis
+            tolerance = 1 + 1e-7,                         // relative tolerance when comparing probabilities
+            lnObserved = events * Math.log(expectedEvents) - expectedEvents - lnGamma(events + 1),
+            lnProb,
+            prob = 0,
+            interval,
+            type,
+            k,
+
+            // Counts more than 40 standard deviations past both the observed and expected counts add nothing
+            //     to the probability
+            maxEvents = Math.ceil(Math.max(events, expectedEvents) + 40 * Math.sqrt(expectedEvents) + 40);
+
+        for (k = 0; k <= maxEvents; k++) {
+            // Based on the formula ((e^-mu)*(mu^k))/k!
+            lnProb = k * Math.log(expectedEvents) - expectedEvents - lnGamma(k + 1);
+
+            if ((alternative === 1 || alternative === "less") && k <= events) {
+                prob += Math.exp(lnProb);
+            } else if ((alternative === 3 || alternative === "greater") && k >= events) {
+                prob += Math.exp(lnProb);
+            } else if ((alternative === 2 || alternative === "diff") && lnProb <= lnObserved + Math.log(tolerance)) {
+                prob += Math.exp(lnProb);
+            }
+        }
+
+        // Confidence interval in the direction of the alternative
+        if (alternative === 1 || alternative === "less") {
+            type = 1;
+        } else if (alternative === 3 || alternative === "greater") {
+            type = 3;
+        } else {
+            type = 2;
+        }
+
+        // Confidence interval of the number of events, scaled to a rate
+        interval = globalObject.poisson.conf(alpha, events, type);
+
+        return {
+            "estimate": events / exposure,
+            "p": prob > 1 ? 1 : prob,
+            "interval": {
+                "lower": interval.lower / exposure,
+                "upper": interval.upper / exposure
+            }
+        };
+    };
+
+    /**
+     * Compares the rates of events in two samples with their own exposures (e.g. person-time) by testing
+     *     the ratio of the rates (rate 1 / rate 2) against 1
+     * Uses the conditional binomial method: given the total number of events, the events of sample 1 are
+     *     binomial with the probability exposure1 / (exposure1 + exposure2) when the rates are equal
+     *     (see globalObject.binom.test)
+     * Returns the probability along with the rate ratio and its confidence interval, transformed from the
+     *     exact binomial confidence interval
+     *
+     * @param Int events1
+     * @param Float exposure1
+     * @param Int events2
+     * @param Float exposure2
+     * @param Number or String alternative
+     * @param Float alpha (used for the confidence interval, default 0.05)
+     */
+    globalObject.poisson.test2s = function(events1, exposure1, events2, exposure2, alternative, alpha) {
+        var errors = [];
+
+        if (!isInt(events1) || events1 < 0 || !isInt(events2) || events2 < 0) {
+            errors.push("poisson.test2s: The numbers of events " + events1 + " and " + events2 + " must be integers greater than or equal to 0");
+        }
+
+        if (isNaN(exposure1) || exposure1 <= 0 || isNaN(exposure2) || exposure2 <= 0) {
+            errors.push("poisson.test2s: The exposures " + exposure1 + " and " + exposure2 + " must be numbers greater than 0");
+        }
+
+        if (events1 + events2 === 0) {
+            errors.push("poisson.test2s: At least one event must be observed to compare the rates");
+        }
+
+        if (errors.length > 0) {
+            throw new Error(errors.join("; "));
+        }
+
+        // Errors for the alternative and alpha are thrown from binom.test
+        var result = globalObject.binom.test(events1, events1 + events2, exposure1 / (exposure1 + exposure2), alternative, alpha),
+
+            // Transforms the probability of an event being from sample 1 into a rate ratio
+            rateRatio = function(p) {
+                return p / (1 - p) * exposure2 / exposure1;
+            };
+
+        return {
+            "rateRatio": (events1 / exposure1) / (events2 / exposure2),
+            "p": result.p,
+            "interval": {
+                "lower": rateRatio(result.interval.lower),
+                "upper": rateRatio(result.interval.upper)
+            }
+        };
+    };
+
+    /* ------------------- *
+     * Normal Distribution *
+     * ------------------- */
+
+    // Objects containing Normal distribution methods
+    globalObject.norm = {};
+
+    /**
+     * Calculates the probability of getting the value x in an observation or the probability of x and anything less (cumulative)
+     * Based on the formula (1/(sigma*sqrt(2*pi)))*e^((-1/(2*sigma^2))*(x-mu)^2)
+     * Integration of the above function results in the cumulative distribution function
+     *
+     * See https://en.wikipedia.org/wiki/Normal_distribution#Cumulative_distribution_function and 
+     *      https://en.wikipedia.org/wiki/Error_function
+     *      for how this works
+     * 
+     * @param Float x
+     * @param Float mean
+     * @param Float stdev
+     * @param Boolean cumulative (optional)
+     */
+    globalObject.norm.dist = function(x, mean, stdev, cumulative) {
         // Set default cumulative to true as this is the expected behavior for this function
         cumulative = typeof cumulative === "undefined" ? true : cumulative;
 
@@ -1203,8 +1937,23 @@ var ss = (function(undefined) {
             maxIter = 1000,                                    // good enough
             prob;                                              // Proability, either cumulative or pdf
 
+        // The series below loses precision far from the mean, so the tail there is calculated from the continued fraction
+        //     1 - Phi(z) = phi(z) / (z + 1/(z + 2/(z + 3/(z + ... (https://en.wikipedia.org/wiki/Mills_ratio)
+        //     evaluated from the last term back to the first
+        if (cumulative === true && Math.abs((x - mean) / stdev) > 3) {
+            var z = Math.abs((x - mean) / stdev),    // distance from the mean in standard deviations
+                fraction = z,                        // continued fraction, starting at the last term
+                tail;                                // probability further from the mean than z
+
+            for (var k = 100; k >= 1; k--) {
+                fraction = z + k / fraction;
+            }
+
+            tail = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI) / fraction;
+            prob = x < mean ? tail : 1 - tail;
+
         // Integrate the pmf of the normal distribution
-        if (cumulative === true) {
+        } else if (cumulative === true) {
 
             // Calculating sum to error threshhold or maxIter -- (sum from(n = 0) to(infinity) (((-1)^n)*z^(2n+1))/(n * (2n+1)))
             do {
@@ -1244,7 +1993,8 @@ var ss = (function(undefined) {
     /**
      * Calculates the smallest x value that will give a cumulative probability equal to user input
      * Function provided by adussaq (https://github.com/adussaq)
-     * 
+     * Probabilities of 0 and 1 return -Infinity and Infinity
+     *
      * @param Float prob
      * @param Float mean
      * @param Float stdev
@@ -1277,9 +2027,20 @@ var ss = (function(undefined) {
             throw new Error(errors.join("; "));
         }
 
-        var z,                  // value for standard normal distribution (mean = 0, stdev = 1)
+        if (prob === 0) {
+            return -Infinity;
+        }
+
+        if (prob === 1) {
+            return Infinity;
+        }
+
+        // The search is done on the lower tail, where the cumulative probability keeps its precision,
+        // and mirrored for probabilities above 0.5
+        var tailProb = Math.min(prob, 1 - prob),
+            z,                  // value for standard normal distribution (mean = 0, stdev = 1)
             diff,               // difference between guessed probability and user submitted probability
-            error = 1e-10,      // allowed error between guessed probability and user submitted probability
+            error = tailProb * 1e-10,   // allowed error, relative so that small tail probabilities are still found exactly
             maxIter = 1000,     // after 1000 iterations, it's close enough
             step = 0.25,        // gives faster convergence on diff
             stepInc = 1.2,      // increase step to converge faster
@@ -1288,20 +2049,14 @@ var ss = (function(undefined) {
             direction = 1,      // determines direction of alternation
             lastDiff = 1;       // used to calculate overshooting
 
-        // Make some intelligent guesses based on knowing that, for a standard normal distribution,
-        // a probability < 0.5 must be from a negative z and a probability > 0.5 must be from a positive z
-        if (prob < 0.5) {
-            z = -0.5;
-        } else if (prob > 0.5) {
-            z = 0.5;
-        } else {
-            z = 0;
-        }
+        // Make an intelligent guess based on knowing that, for a standard normal distribution,
+        // a probability < 0.5 must be from a negative z
+        z = tailProb < 0.5 ? -0.5 : 0;
 
         // Guess until gone for too many iterations or arrived within error
         do {
             // Check the guess
-            diff = prob - globalObject.norm.dist(z, 0, 1, true);
+            diff = tailProb - globalObject.norm.dist(z, 0, 1, true);
 
             // Change direction on number line based on whether still above or below actual value
             if (diff > 0) {
@@ -1331,6 +2086,9 @@ var ss = (function(undefined) {
             iter++;
         } while (Math.abs(diff) > error && iter < maxIter);
 
+        // Mirror the lower tail for probabilities above 0.5
+        z = prob > 0.5 ? -z : z;
+
         // return value back based on user-select normal distribution
         //return [z * stdev + mean, globalObject.norm.dist(z, 0, 1, true), iter]; // (for debugging)
         return z * stdev + mean;
@@ -1486,146 +2244,460 @@ var ss = (function(undefined) {
         }
     };
 
-    /* -------------- *
-     * T Distribution *
-     * -------------- */
-
-    // Object containing T distribution methods
-    globalObject.t = {};
-
     /**
-     * Calculates the cumulative t distribution
-     * Algorithm from (https://en.wikipedia.org/wiki/Student%27s_t-distribution#Cumulative_distribution_function)
-     * 
-     * @param Float t
-     * @param Int df
-     * @param Boolean cumulative
+     * Calculates the confidence interval of the difference between two sample means (sampleMean1 - sampleMean2)
+     *     if the population standard deviations are known
+     *
+     * @param Float alpha
+     * @param Float sampleMean1
+     * @param Float popStdev1
+     * @param Int sampleSize1
+     * @param Float sampleMean2
+     * @param Float popStdev2
+     * @param Int sampleSize2
+     * @param Int or String type
      */
-    globalObject.t.dist = function(tValue, df, cumulative) {
-        // set cumulative default to true as this is typically expected behavior of this function
-        cumulative = typeof cumulative === "undefined" ? true : cumulative;
+    globalObject.norm.conf2s = function(alpha, sampleMean1, popStdev1, sampleSize1, sampleMean2, popStdev2, sampleSize2, type) {
+        // set default type to 2 (two-sided confidence interval) or lowercase string
+        type = typeof type === "undefined" ? 2 : typeof type === "string" ? type.toLowerCase() : type;
 
         var errors = [];
-        
-        // Error checking
-        if (isNaN(tValue)) {
-            errors.push("t.dist: The t value: " + tValue + " must be a number");
+
+        // Sanitize the data
+        if (isNaN(alpha)) {
+            errors.push("norm.conf2s: the alpha value " + alpha + " is not a number");
         }
-        
-        if (isNaN(df)) {
-            errors.push("t.dist: The degrees of freedom: " + df + " must be a number");
+
+        if (alpha > 1 || alpha < 0) {
+            errors.push("norm.conf2s: the alpha " + alpha + " should be between 0 and 1 including the bounds");
         }
-        
-        if (df < 0) {
-            errors.push("t.dist: The degrees of freedom: " + df + " must be positive");
+
+        if (isNaN(sampleMean1) || isNaN(sampleMean2)) {
+            errors.push("norm.conf2s: the sample means " + sampleMean1 + " and " + sampleMean2 + " must be numbers");
         }
-        
-        if (errors.length > 0) {
+
+        if (isNaN(popStdev1) || isNaN(popStdev2)) {
+            errors.push("norm.conf2s: the population standard deviations " + popStdev1 + " and " + popStdev2 + " must be numbers");
+        }
+
+        if ((!isNaN(popStdev1) && popStdev1 < 0) || (!isNaN(popStdev2) && popStdev2 < 0)) {
+            errors.push("norm.conf2s: the population standard deviations " + popStdev1 + " and " + popStdev2 + " should be positive");
+        }
+
+        if (isNaN(sampleSize1) || isNaN(sampleSize2)) {
+            errors.push("norm.conf2s: the sample sizes " + sampleSize1 + " and " + sampleSize2 + " must be numbers");
+        }
+
+        if ((!isNaN(sampleSize1) && sampleSize1 <= 0) || (!isNaN(sampleSize2) && sampleSize2 <= 0)) {
+            errors.push("norm.conf2s: the sample sizes " + sampleSize1 + " and " + sampleSize2 + " should be positive");
+        }
+
+        if(errors.length > 0) {
             throw new Error(errors.join("; "));
         }
 
-        // parameters for beta functions
-        var x = df / (Math.pow(tValue, 2) + df),    // x parameter of beta function
-            a = df / 2,                             // a parameter of beta function
-            b = 1 / 2,                              // b parameter of beta function
-            lnRegBetaInc,                           // natural log of regularized incomplete beta function (B(x; a, b)/B(a, b))
-            regBetaInc,                             // regularized incomplete beta function
-            prob;                                   // probability of given tValue
+        var meanDifference = sampleMean1 - sampleMean2,                                                        // estimate of the difference of the means
+            stderror = Math.sqrt(Math.pow(popStdev1, 2)/sampleSize1 + Math.pow(popStdev2, 2)/sampleSize2),    // standard error of the difference
+            cumulativeProb,                                                                                   // based on alpha level
+            z,                                                                                                // z statistic at alpha level
+            conf,                                                                                             // value to be added and/or subtracted from the mean difference
+            interval = {};                                                                                    // object containing the interval to be returned
 
-        if (cumulative === true) {
+        // Set proper values for lower, two-sided, and upper confidence interval
+        if (type === 1 || type === "lower") {
+            cumulativeProb = 1 - alpha;
+            z = globalObject.norm.inv(cumulativeProb, 0, 1);
+            conf = z * stderror;
 
-            // Calculate lnBeta function using gamma function
-            // Beta(a, b) = Gamma(a) * Gamma(b) / Gamma(a + b)
-            // var lnBeta = lnGamma(df/2) + lnGamma(1/2) - lnGamma((df+1)/2);
-            var lnBeta = lnGamma(df/2) + 0.572364942924743 - lnGamma((df+1)/2);
+            interval.lower = NaN;
+            interval.upper = meanDifference + conf;
 
-            // Optimized convergence based on (http://dlmf.nist.gov/8.17#v)
-            if (x < (a + 1) / (a + b + 2)) {
-                lnRegBetaInc = lnBetaIncomplete(x, a, b) - lnBeta;
-                regBetaInc = Math.exp(lnRegBetaInc);
-            } else {
+        } else if (type === 2 || type === "two") {
+            cumulativeProb = 1 - alpha / 2;
+            z = globalObject.norm.inv(cumulativeProb, 0, 1);
+            conf = z * stderror;
 
-                // Note that Beta(a, b) = Beta(b, a), allowing same value for lnBeta to be used as above
-                lnRegBetaInc = lnBetaIncomplete(1 - x, b, a) - lnBeta;
-                regBetaInc = 1 - Math.exp(lnRegBetaInc);
-            }
+            interval.lower = meanDifference - conf;
+            interval.upper = meanDifference + conf;
 
-            // Final step based on whether tValue > 0
-            if (tValue < 0) {
-                prob = regBetaInc / 2;
-            } else {
-                prob = 1 - regBetaInc / 2;
-            }
-        } else {
+        } else if (type === 3 || type === "upper") {
+            cumulativeProb = 1 - alpha;
+            z = globalObject.norm.inv(cumulativeProb, 0, 1);
+            conf = z * stderror;
 
-            // Equation from (wiki article)
-            prob = Math.exp(lnGamma((df + 1) / 2) - (1/2) * Math.log(df * Math.PI) - lnGamma(df / 2) - ((df + 1) / 2) * Math.log(1 + (Math.pow(prob, 2)/df)));
+            interval.lower = meanDifference - conf;
+            interval.upper = NaN;
+
+        // Throw error if type is not as indicated
+        } else {
+            throw new Error("norm.conf2s: The type must be a number between 1 - 3 or \"lower\", \"two\", or \"upper\"");
         }
 
-        return prob;
+        return interval;
     };
 
+    /* ----------- *
+     * Proportions *
+     * ----------- */
+
+    // Object containing proportion methods (normal approximations of the binomial distribution)
+    globalObject.prop = {};
 
     /**
-     * Calculates the smallest t value that will give a cumulative probability equal to user input
-     * Function provided by adussaq (https://github.com/adussaq)
-     * 
-     * @param Float prob
-     * @param Int df
+     * Performs a one sample z test of a proportion (successes / trials) against an expected proportion
+     * Based on the normal approximation of the binomial distribution, which is valid if n * p * q >= 5
+     *     (see globalObject.binom.test for an exact test)
+     * Method described in FUNDAMENTALS OF BIOSTATISTSICS SEVENTH EDITION Bernard Rosner
+     *     and (https://en.wikipedia.org/wiki/Test_statistic#Common_test_statistics)
+     *
+     * @param Int successes
+     * @param Int trials
+     * @param Float expectedProb
+     * @param Number or String alternative
      */
-    globalObject.t.inv = function(prob, df) {
-        var errors = [];
+    globalObject.prop.test1s = function(successes, trials, expectedProb, alternative) {
+        // Sets default to 2 and lowercases if filled with a string
+        alternative = typeof alternative === "undefined" ? 2 : typeof alternative === "string" ? alternative.toLowerCase() : alternative;
 
-        // Sanitize the data
-        if (isNaN(prob)) {
-            errors.push("t.inv: the probability " + prob + " is not a number");
-        }
+        var errors = [];
 
-        if (prob > 1 || prob < 0) {
-            errors.push("t.inv: the probability " + prob + " should be between 0 and 1 including the bounds");
+        if (isNaN(trials) || trials <= 0) {
+            errors.push("prop.test1s: The number of trials must be a number greater than 0");
         }
 
-        if (isNaN(df)) {
-            errors.push("t.inv: the degrees of freedom " + df + " is not a number");
+        if (isNaN(successes) || successes < 0 || successes > trials) {
+            errors.push("prop.test1s: The number of successes must be a number between 0 and the number of trials");
         }
 
-        if (!isNaN(df) && df < 1) {
-            errors.push("t.inv: the degrees of freedom " + df + " should be a positive number greater than or equal to 1");
+        if (isNaN(expectedProb) || expectedProb <= 0 || expectedProb >= 1) {
+            errors.push("prop.test1s: The expected proportion must be a number between 0 and 1");
         }
 
-        if(errors.length > 0) {
+        if (errors.length) {
             throw new Error(errors.join("; "));
         }
 
-        var t,                  // t value that will be associated with user-submitted probability
-            diff,               // difference between guessed probability and user submitted probability
-            error = 1e-10,      // allowed error between guessed probability and user submitted probability
-            maxIter = 1000,     // after 1000 iterations, it's close enough
-            step = 0.25,        // gives faster convergence on diff
-            stepInc = 1.2,      // increase step to converge faster
-            stepDec = 0.5,      // decreases step for after overshoot
-            iter = 0,           // counts number of iterations
-            direction = 1,      // determines direction of alternation
-            lastDiff = 1;       // used to calculate overshooting
+        var z;    // z value based on the sample proportion and its standard error under the expected proportion
 
-        // Make some intelligent guesses based on knowing that, for a t distribution,
-        // a probability < 0.5 must be from a negative z and a probability > 0.5 must be from a positive z
-        if (prob < 0.5) {
-            t = -0.5;
-        } else if (prob > 0.5) {
-            t = 0.5;
+        z = (successes / trials - expectedProb) / Math.sqrt(expectedProb * (1 - expectedProb) / trials);
+
+        // Testing for alternative less than the expected proportion
+        if (alternative === 1 || alternative === "less") {
+            return globalObject.norm.dist(z, 0, 1, true);
+
+        // Testing for alternative different than the expected proportion (based on |z| > z_(1 - alpha/2))
+        // The lower tail of -|z| keeps small probabilities from rounding to 0
+        } else if (alternative === 2 || alternative === "diff") {
+            return 2 * globalObject.norm.dist(-Math.abs(z), 0, 1, true);
+
+        // Testing for alternative greater than the expected proportion
+        } else if (alternative === 3 || alternative === "greater") {
+            return globalObject.norm.dist(-z, 0, 1, true);
         } else {
-            t = 0;
+            throw new Error("prop.test1s: The alternative must be a number between 1 - 3 or \"less\", \"diff\", or \"greater\"");
         }
+    };
 
-        // Guess until gone for too many iterations or arrived within error
-        do {
-            // Check the guess
-            diff = prob - globalObject.t.dist(t, df, true);
+    /**
+     * Performs a two sample z test of the difference between two proportions (successes1 / trials1 - successes2 / trials2)
+     * The standard error uses the pooled proportion of both samples
+     * Options (optional) currently support:
+     *     continuityCorrection: Boolean -- if true, the difference is moved toward 0 by (1/n1 + 1/n2) / 2 (default false)
+     * Method described in FUNDAMENTALS OF BIOSTATISTSICS SEVENTH EDITION Bernard Rosner
+     *     and (https://en.wikipedia.org/wiki/Test_statistic#Common_test_statistics)
+     *
+     * @param Int successes1
+     * @param Int trials1
+     * @param Int successes2
+     * @param Int trials2
+     * @param Number or String alternative
+     * @param Object options
+     */
+    globalObject.prop.test2s = function(successes1, trials1, successes2, trials2, alternative, options) {
+        // Sets default to 2 and lowercases if filled with a string
+        alternative = typeof alternative === "undefined" ? 2 : typeof alternative === "string" ? alternative.toLowerCase() : alternative;
+        options = typeof options === "undefined" ? {} : options;
 
-            // Change direction on number line based on whether still above or below actual value
-            if (diff > 0) {
-                direction = 1;
+        var errors = [];
+
+        if (isNaN(trials1) || isNaN(trials2) || trials1 <= 0 || trials2 <= 0) {
+            errors.push("prop.test2s: The numbers of trials must be numbers greater than 0");
+        }
+
+        if (isNaN(successes1) || isNaN(successes2) || successes1 < 0 || successes2 < 0 || successes1 > trials1 || successes2 > trials2) {
+            errors.push("prop.test2s: The numbers of successes must be numbers between 0 and their number of trials");
+        }
+
+        if (successes1 + successes2 === 0 || successes1 + successes2 === trials1 + trials2) {
+            errors.push("prop.test2s: The samples must have at least one success and one failure between them");
+        }
+
+        if (typeof options !== "object" || options === null) {
+            errors.push("prop.test2s: The options must be passed as an object");
+        }
+
+        if (errors.length) {
+            throw new Error(errors.join("; "));
+        }
+
+        var difference = successes1 / trials1 - successes2 / trials2,           // difference of the sample proportions
+            pooledProb = (successes1 + successes2) / (trials1 + trials2),      // proportion of both samples together
+            stderror = Math.sqrt(pooledProb * (1 - pooledProb) * (1 / trials1 + 1 / trials2)),
+            correction = 0,                                                    // continuity correction
+            z;                                                                 // z value based on the difference and its standard error
+
+        // The continuity correction can't move the difference past 0
+        if (options.continuityCorrection === true) {
+            correction = Math.min(Math.abs(difference), (1 / trials1 + 1 / trials2) / 2);
+        }
+
+        z = (difference > 0 ? difference - correction : difference + correction) / stderror;
+
+        // Testing for alternative of the first proportion less than the second
+        if (alternative === 1 || alternative === "less") {
+            return globalObject.norm.dist(z, 0, 1, true);
+
+        // Testing for alternative different than the second (based on |z| > z_(1 - alpha/2))
+        // The lower tail of -|z| keeps small probabilities from rounding to 0
+        } else if (alternative === 2 || alternative === "diff") {
+            return 2 * globalObject.norm.dist(-Math.abs(z), 0, 1, true);
+
+        // Testing for alternative of the first proportion greater than the second
+        } else if (alternative === 3 || alternative === "greater") {
+            return globalObject.norm.dist(-z, 0, 1, true);
+        } else {
+            throw new Error("prop.test2s: The alternative must be a number between 1 - 3 or \"less\", \"diff\", or \"greater\"");
+        }
+    };
+
+    /**
+     * Calculates the confidence interval of the difference between two proportions (successes1 / trials1 - successes2 / trials2)
+     * The standard error uses each sample's own proportion (the proportions are not assumed equal)
+     * Options (optional) currently support:
+     *     continuityCorrection: Boolean -- if true, the interval is widened by (1/n1 + 1/n2) / 2 on each side (default false)
+     * Method described in FUNDAMENTALS OF BIOSTATISTSICS SEVENTH EDITION Bernard Rosner
+     *
+     * @param Float alpha
+     * @param Int successes1
+     * @param Int trials1
+     * @param Int successes2
+     * @param Int trials2
+     * @param Int or String type
+     * @param Object options
+     */
+    globalObject.prop.conf2s = function(alpha, successes1, trials1, successes2, trials2, type, options) {
+        // set default type to 2 (two-sided confidence interval) or lowercase string
+        type = typeof type === "undefined" ? 2 : typeof type === "string" ? type.toLowerCase() : type;
+        options = typeof options === "undefined" ? {} : options;
+
+        var errors = [];
+
+        if (isNaN(alpha) || alpha < 0 || alpha > 1) {
+            errors.push("prop.conf2s: alpha must be a number between 0 and 1");
+        }
+
+        if (isNaN(trials1) || isNaN(trials2) || trials1 <= 0 || trials2 <= 0) {
+            errors.push("prop.conf2s: The numbers of trials must be numbers greater than 0");
+        }
+
+        if (isNaN(successes1) || isNaN(successes2) || successes1 < 0 || successes2 < 0 || successes1 > trials1 || successes2 > trials2) {
+            errors.push("prop.conf2s: The numbers of successes must be numbers between 0 and their number of trials");
+        }
+
+        if (typeof options !== "object" || options === null) {
+            errors.push("prop.conf2s: The options must be passed as an object");
+        }
+
+        if (errors.length > 0) {
+            throw new Error(errors.join("; "));
+        }
+
+        var p1 = successes1 / trials1,                                            // proportion of sample 1
+            p2 = successes2 / trials2,                                            // proportion of sample 2
+            stderror = Math.sqrt(p1 * (1 - p1) / trials1 + p2 * (1 - p2) / trials2),
+            correction = 0,                                                       // continuity correction
+            cumulativeProb,                                                       // based on alpha level
+            z,                                                                    // z statistic at alpha level
+            conf,                                                                 // value to be added and/or subtracted from the difference
+            interval = {};                                                        // object containing the interval to be returned
+
+        if (options.continuityCorrection === true) {
+            correction = (1 / trials1 + 1 / trials2) / 2;
+        }
+
+        // Set proper values for lower, two-sided, and upper confidence interval
+        if (type === 1 || type === "lower") {
+            cumulativeProb = 1 - alpha;
+            z = globalObject.norm.inv(cumulativeProb, 0, 1);
+            conf = z * stderror + correction;
+
+            interval.lower = NaN;
+            interval.upper = p1 - p2 + conf;
+
+        } else if (type === 2 || type === "two") {
+            cumulativeProb = 1 - alpha / 2;
+            z = globalObject.norm.inv(cumulativeProb, 0, 1);
+            conf = z * stderror + correction;
+
+            interval.lower = p1 - p2 - conf;
+            interval.upper = p1 - p2 + conf;
+
+        } else if (type === 3 || type === "upper") {
+            cumulativeProb = 1 - alpha;
+            z = globalObject.norm.inv(cumulativeProb, 0, 1);
+            conf = z * stderror + correction;
+
+            interval.lower = p1 - p2 - conf;
+            interval.upper = NaN;
+
+        // Throw error if type is not as indicated
+        } else {
+            throw new Error("prop.conf2s: The type must be a number between 1 - 3 or \"lower\", \"two\", or \"upper\"");
+        }
+
+        return interval;
+    };
+
+    /* -------------- *
+     * T Distribution *
+     * -------------- */
+
+    // Object containing T distribution methods
+    globalObject.t = {};
+
+    /**
+     * Calculates the cumulative t distribution
+     * Algorithm from (https://en.wikipedia.org/wiki/Student%27s_t-distribution#Cumulative_distribution_function)
+     * 
+     * @param Float t
+     * @param Int df
+     * @param Boolean cumulative
+     */
+    globalObject.t.dist = function(tValue, df, cumulative) {
+        // set cumulative default to true as this is typically expected behavior of this function
+        cumulative = typeof cumulative === "undefined" ? true : cumulative;
+
+        var errors = [];
+        
+        // Error checking
+        if (isNaN(tValue)) {
+            errors.push("t.dist: The t value: " + tValue + " must be a number");
+        }
+        
+        if (isNaN(df)) {
+            errors.push("t.dist: The degrees of freedom: " + df + " must be a number");
+        }
+        
+        if (df < 0) {
+            errors.push("t.dist: The degrees of freedom: " + df + " must be positive");
+        }
+        
+        if (errors.length > 0) {
+            throw new Error(errors.join("; "));
+        }
+
+        // parameters for beta functions
+        var x = df / (Math.pow(tValue, 2) + df),    // x parameter of beta function
+            a = df / 2,                             // a parameter of beta function
+            b = 1 / 2,                              // b parameter of beta function
+            lnRegBetaInc,                           // natural log of regularized incomplete beta function (B(x; a, b)/B(a, b))
+            regBetaInc,                             // regularized incomplete beta function
+            prob;                                   // probability of given tValue
+
+        if (cumulative === true) {
+
+            // Calculate lnBeta function using gamma function
+            // Beta(a, b) = Gamma(a) * Gamma(b) / Gamma(a + b)
+            // var lnBeta = lnGamma(df/2) + lnGamma(1/2) - lnGamma((df+1)/2);
+            var lnBeta = lnGamma(df/2) + 0.572364942924743 - lnGamma((df+1)/2);
+
+            // Optimized convergence based on (http://dlmf.nist.gov/8.17#v)
+            if (x < (a + 1) / (a + b + 2)) {
+                lnRegBetaInc = lnBetaIncomplete(x, a, b) - lnBeta;
+                regBetaInc = Math.exp(lnRegBetaInc);
+            } else {
+
+                // Note that Beta(a, b) = Beta(b, a), allowing same value for lnBeta to be used as above
+                lnRegBetaInc = lnBetaIncomplete(1 - x, b, a) - lnBeta;
+                regBetaInc = 1 - Math.exp(lnRegBetaInc);
+            }
+
+            // Final step based on whether tValue > 0
+            if (tValue < 0) {
+                prob = regBetaInc / 2;
+            } else {
+                prob = 1 - regBetaInc / 2;
+            }
+        } else {
+
+            // Equation from (wiki article)
+            prob = Math.exp(lnGamma((df + 1) / 2) - (1/2) * Math.log(df * Math.PI) - lnGamma(df / 2) - ((df + 1) / 2) * Math.log(1 + (Math.pow(prob, 2)/df)));
+        }
+
+        return prob;
+    };
+
+
+    /**
+     * Calculates the smallest t value that will give a cumulative probability equal to user input
+     * Function provided by adussaq (https://github.com/adussaq)
+     * 
+     * @param Float prob
+     * @param Int df
+     */
+    globalObject.t.inv = function(prob, df) {
+        var errors = [];
+
+        // Sanitize the data
+        if (isNaN(prob)) {
+            errors.push("t.inv: the probability " + prob + " is not a number");
+        }
+
+        if (prob > 1 || prob < 0) {
+            errors.push("t.inv: the probability " + prob + " should be between 0 and 1 including the bounds");
+        }
+
+        if (isNaN(df)) {
+            errors.push("t.inv: the degrees of freedom " + df + " is not a number");
+        }
+
+        if (!isNaN(df) && df < 1) {
+            errors.push("t.inv: the degrees of freedom " + df + " should be a positive number greater than or equal to 1");
+        }
+
+        if(errors.length > 0) {
+            throw new Error(errors.join("; "));
+        }
+
+        var t,                  // t value that will be associated with user-submitted probability
+            diff,               // difference between guessed probability and user submitted probability
+            error = 1e-10,      // allowed error between guessed probability and user submitted probability
+            maxIter = 1000,     // after 1000 iterations, it's close enough
+            step = 0.25,        // gives faster convergence on diff
+            stepInc = 1.2,      // increase step to converge faster
+            stepDec = 0.5,      // decreases step for after overshoot
+            iter = 0,           // counts number of iterations
+            direction = 1,      // determines direction of alternation
+            lastDiff = 1;       // used to calculate overshooting
+
+        // Make some intelligent guesses based on knowing that, for a t distribution,
+        // a probability < 0.5 must be from a negative z and a probability > 0.5 must be from a positive z
+        if (prob < 0.5) {
+            t = -0.5;
+        } else if (prob > 0.5) {
+            t = 0.5;
+        } else {
+            t = 0;
+        }
+
+        // Guess until gone for too many iterations or arrived within error
+        do {
+            // Check the guess
+            diff = prob - globalObject.t.dist(t, df, true);
+
+            // Change direction on number line based on whether still above or below actual value
+            if (diff > 0) {
+                direction = 1;
             } else if (diff < 0) {
                 direction = -1;
             } else {
@@ -1798,44 +2870,249 @@ var ss = (function(undefined) {
     };
 
 
-    /* ----------------------- *
-     * Chi Square Distribution *
-     * ----------------------- */
+    /**
+     * Calculates the standard error and degrees of freedom of the difference between two sample means
+     * Pools the sample variances if they are assumed equal, otherwise uses the Welch-Satterthwaite
+     *     degrees of freedom (https://en.wikipedia.org/wiki/Welch%27s_t-test)
+     *
+     * @param Float sampleStdev1
+     * @param Int sampleSize1
+     * @param Float sampleStdev2
+     * @param Int sampleSize2
+     * @param Boolean equalVariance
+     */
+    var tTwoSample = function(sampleStdev1, sampleSize1, sampleStdev2, sampleSize2, equalVariance) {
+        var variance1 = Math.pow(sampleStdev1, 2),
+            variance2 = Math.pow(sampleStdev2, 2),
+            pooledVariance,
+            difference = {};    // holds the standard error and df of the difference
+
+        // Pooled variance
+        if (equalVariance === true) {
+            difference.df = sampleSize1 + sampleSize2 - 2;
+            pooledVariance = ((sampleSize1 - 1) * variance1 + (sampleSize2 - 1) * variance2) / difference.df;
+            difference.stderror = Math.sqrt(pooledVariance * (1/sampleSize1 + 1/sampleSize2));
+
+        // Separate variances with Welch-Satterthwaite degrees of freedom
+        } else {
+            difference.stderror = Math.sqrt(variance1/sampleSize1 + variance2/sampleSize2);
+            difference.df = Math.pow(difference.stderror, 4) / (Math.pow(variance1/sampleSize1, 2)/(sampleSize1 - 1) + Math.pow(variance2/sampleSize2, 2)/(sampleSize2 - 1));
+        }
 
-    // Objects containing Chi Square distribution methods
-    globalObject.chisq = {};          // chi square distribution functions for any data
+        return difference;
+    };
 
     /**
-     * Calculates the value of the chi-square distribution given a chistat and the degrees of freedom
-     * 
-     * @param Float chiStat
-     * @param Int df
-     * @param Boolean cumulative
+     * Calculates the confidence interval of the difference between two sample means (sampleMean1 - sampleMean2)
+     *     assuming the population variances are unknown
+     * Uses the pooled variance when the population variances are assumed equal and the
+     *     Welch-Satterthwaite degrees of freedom when they are not (default)
+     *
+     * @param Float alpha
+     * @param Float sampleMean1
+     * @param Float sampleStdev1
+     * @param Int sampleSize1
+     * @param Float sampleMean2
+     * @param Float sampleStdev2
+     * @param Int sampleSize2
+     * @param Int or String type
+     * @param Object options
+     *     equalVariance: Boolean (default false) pool the sample variances
      */
-    globalObject.chisq.dist = function(chiStat, df, cumulative) {
-        // Default is set to cumulative as this is the expected behavior of the chi-square statistic
-        cumulative = typeof cumulative === "undefined" ? true : cumulative;
+    globalObject.t.conf2s = function(alpha, sampleMean1, sampleStdev1, sampleSize1, sampleMean2, sampleStdev2, sampleSize2, type, options) {
+        // Sets default to 2 and lowercases if filled with a string
+        type = typeof type === "undefined" ? 2 : typeof type === "string" ? type.toLowerCase() : type;
+        options = typeof options === "undefined" ? {} : options;
 
         var errors = [];
 
-        if (isNaN(chiStat)) {
-            errors.push("chisq.dist: The chi-square statistic must be a number");
+        // Sanitize the data
+        if (isNaN(alpha)) {
+            errors.push("t.conf2s: The alpha value must be a number");
         }
 
-        if (!isNaN(chiStat) && chiStat < 0) {
-            errors.push("chisq.dist: The chi-square statistic must be greater than or equal to 0");
+        if (!isNaN(alpha) && (alpha > 1 || alpha < 0)) {
+            errors.push("t.conf2s: The alpha value must be between 0 and 1");
         }
 
-        if (isNaN(df)) {
-            errors.push("chisq.dist: The degrees of freedom must be a number");
+        if (isNaN(sampleMean1) || isNaN(sampleMean2)) {
+            errors.push("t.conf2s: The sample means must be numbers");
         }
 
-        if (!isNaN(df) && df < 0) {
-            errors.push("chisq.dist: The degrees of freedome must be positive");
+        if (isNaN(sampleStdev1) || isNaN(sampleStdev2)) {
+            errors.push("t.conf2s: The standard deviations must be numbers");
         }
 
-        if (errors.length > 0) {
-            throw new Error(errors.join("; "));
+        if (isNaN(sampleSize1) || isNaN(sampleSize2)) {
+            errors.push("t.conf2s: The sample sizes must be numbers");
+        }
+
+        if ((!isNaN(sampleSize1) && sampleSize1 < 2) || (!isNaN(sampleSize2) && sampleSize2 < 2)) {
+            errors.push("t.conf2s: The sample sizes must be at least 2");
+        }
+
+        if (typeof options !== "object" || options === null) {
+            errors.push("t.conf2s: The options must be passed as an object");
+        }
+
+        if (errors.length > 0) {
+            throw new Error(errors.join("; "));
+        }
+
+        var difference = tTwoSample(sampleStdev1, sampleSize1, sampleStdev2, sampleSize2, options.equalVariance === true),
+            meanDifference = sampleMean1 - sampleMean2,    // estimate of the difference of the means
+            cumulativeProb,                                // based on alpha level
+            t,                                             // t statistic at alpha level
+            conf,                                          // value to be added and/or subtracted from the mean difference
+            interval = {};                                 // object containing the interval to be returned
+
+        // Set proper values for lower, two-sided, and upper confidence interval
+        if (type === 1 || type === "lower") {
+            cumulativeProb = 1 - alpha;
+            t = globalObject.t.inv(cumulativeProb, difference.df);
+            conf = t * difference.stderror;
+
+            interval.lower = NaN;
+            interval.upper = meanDifference + conf;
+
+        } else if (type === 2 || type === "two") {
+            cumulativeProb = 1 - alpha / 2;
+            t = globalObject.t.inv(cumulativeProb, difference.df);
+            conf = t * difference.stderror;
+
+            interval.lower = meanDifference - conf;
+            interval.upper = meanDifference + conf;
+
+        } else if (type === 3 || type === "upper") {
+            cumulativeProb = 1 - alpha;
+            t = globalObject.t.inv(cumulativeProb, difference.df);
+            conf = t * difference.stderror;
+
+            interval.lower = meanDifference - conf;
+            interval.upper = NaN;
+
+        // Throw error if type is not as indicated
+        } else {
+            throw new Error("t.conf2s: The type must be a number between 1 - 3 or \"lower\", \"two\", or \"upper\"");
+        }
+
+        return interval;
+    };
+
+    /**
+     * Performs a 2 sample t test and returns the probability of the difference between the sample means
+     *     (sampleMean1 - sampleMean2) given the directionality of the alternative
+     * Uses the pooled variance when the population variances are assumed equal and the
+     *     Welch-Satterthwaite degrees of freedom when they are not (default)
+     * Method described in FUNDAMENTALS OF BIOSTATISTSICS SEVENTH EDITION Bernard Rosner
+     *     and (https://en.wikipedia.org/wiki/Welch%27s_t-test)
+     *
+     * @param Float sampleMean1
+     * @param Float sampleStdev1
+     * @param Int sampleSize1
+     * @param Float sampleMean2
+     * @param Float sampleStdev2
+     * @param Int sampleSize2
+     * @param Number or String alternative
+     * @param Object options
+     *     equalVariance: Boolean (default false) pool the sample variances
+     */
+    globalObject.t.test2s = function(sampleMean1, sampleStdev1, sampleSize1, sampleMean2, sampleStdev2, sampleSize2, alternative, options) {
+        // Sets default to 2 and lowercases if filled with a string
+        alternative = typeof alternative === "undefined" ? 2 : typeof alternative === "string" ? alternative.toLowerCase() : alternative;
+        options = typeof options === "undefined" ? {} : options;
+
+        var errors = [];
+
+        if (isNaN(sampleMean1) || isNaN(sampleMean2)) {
+            errors.push("t.test2s: The sample means must be numbers");
+        }
+
+        if (isNaN(sampleStdev1) || isNaN(sampleStdev2)) {
+            errors.push("t.test2s: The sample standard deviations must be numbers");
+        }
+
+        if (isNaN(sampleSize1) || isNaN(sampleSize2)) {
+            errors.push("t.test2s: The sample sizes must be numbers");
+        }
+
+        if ((!isNaN(sampleSize1) && sampleSize1 < 2) || (!isNaN(sampleSize2) && sampleSize2 < 2)) {
+            errors.push("t.test2s: The sample sizes must be at least 2");
+        }
+
+        if (typeof options !== "object" || options === null) {
+            errors.push("t.test2s: The options must be passed as an object");
+        }
+
+        if (errors.length) {
+            throw new Error(errors.join("; "));
+        }
+
+        var difference = tTwoSample(sampleStdev1, sampleSize1, sampleStdev2, sampleSize2, options.equalVariance === true),
+            t,     // t value based on the difference of the sample means and its standard error
+            df;    // degrees of freedom
+
+        t = (sampleMean1 - sampleMean2) / difference.stderror;
+        df = difference.df;
+
+        // Testing for alternative of the first mean less than the second
+        if (alternative === 1 || alternative === "less") {
+            return globalObject.t.dist(t, df, true);
+
+        // Testing for alternative different than mean (based on |t_df| > t_(df, 1 - alpha/2), hence the nested if statement)
+        } else if (alternative === 2 || alternative === "diff") {
+            if (t > 0) {
+                return 2 * (1 - globalObject.t.dist(t, df, true));
+            } else {
+                return 2 * globalObject.t.dist(t, df, true);
+            }
+
+        // Testing for alternative of the first mean greater than the second
+        } else if (alternative === 3 || alternative === "greater") {
+            return 1 - globalObject.t.dist(t, df, true);
+        } else {
+            throw new Error("t.test2s: The alternative must be a number between 1 - 3 or \"less\", \"diff\", or \"greater\"");
+        }
+    };
+
+    /* ----------------------- *
+     * Chi Square Distribution *
+     * ----------------------- */
+
+    // Objects containing Chi Square distribution methods
+    globalObject.chisq = {};          // chi square distribution functions for any data
+
+    /**
+     * Calculates the value of the chi-square distribution given a chistat and the degrees of freedom
+     * 
+     * @param Float chiStat
+     * @param Int df
+     * @param Boolean cumulative
+     */
+    globalObject.chisq.dist = function(chiStat, df, cumulative) {
+        // Default is set to cumulative as this is the expected behavior of the chi-square statistic
+        cumulative = typeof cumulative === "undefined" ? true : cumulative;
+
+        var errors = [];
+
+        if (isNaN(chiStat)) {
+            errors.push("chisq.dist: The chi-square statistic must be a number");
+        }
+
+        if (!isNaN(chiStat) && chiStat < 0) {
+            errors.push("chisq.dist: The chi-square statistic must be greater than or equal to 0");
+        }
+
+        if (isNaN(df)) {
+            errors.push("chisq.dist: The degrees of freedom must be a number");
+        }
+
+        if (!isNaN(df) && df < 0) {
+            errors.push("chisq.dist: The degrees of freedome must be positive");
+        }
+
+        if (errors.length > 0) {
+            throw new Error(errors.join("; "));
         }
 
         var prob;    // probability of given arguments
@@ -2100,1355 +3377,5733 @@ var ss = (function(undefined) {
         }
     };
 
-    /*=========================*
-     * Data Statistics Section *
-     *=========================*/
-
     /**
-     * Parses data into json array for use by the savvy stats object
-     * Allows ss([1,2,3,]).math_function or ss({"test": [1,2,3,4]}).math_function
-     * Returns a classic JSON array --> [{"col_name": "value", "other_col_name": "value"}, {"col_name": "value", "other_col_name": "value"}]
-     * 
-     * @param Array or Object Literal data
+     * Performs a chi-square goodness-of-fit test of observed counts against expected frequencies
+     * The expected frequencies can be counts or proportions, they are scaled to the total of the observed counts
+     * Returns the Pearson chi-square statistic, degrees of freedom, probability and the expected counts
+     *     along with warnings when expected counts are below 5 (the chi-square approximation may not be valid)
+     * Method described in FUNDAMENTALS OF BIOSTATISTSICS SEVENTH EDITION Bernard Rosner
+     *     and (https://en.wikipedia.org/wiki/Pearson%27s_chi-squared_test)
+     *
+     * @param Array observed
+     * @param Array expected (default equal frequencies)
      */
-    var dataParser = function(data) {
+    globalObject.chisq.gof = function(observed, expected) {
         var errors = [],
-            json = [];
-
-        // Expects data in a pure array (i.e. [1,3,5,2,3,1,3])
-        if (data.constructor === Array) {
-            // Map each value of the array as a new object with "defaultCol" as the property
-            // This default column name will be used in future functions
-            json = data.map(function(value) {
-                return {
-                    "defaultCol": value
-                };
-            });
+            i;
 
-        // Expects data in object with properties naming the data arrays
-        // i.e. {"col_name": [1,2,3,4,4], "col_name": [1,2,3,4,5,6]}
-        } else if (data.constructor === Object) {
-            for (var column in data) {
-                if (data[column].constructor !== Array) {
-                    throw new Error("dataParser: all values of object properties must be arrays");
+        if (!(observed instanceof Array) || observed.length < 2) {
+            errors.push("chisq.gof: The observed counts must be an array of at least 2 counts");
+        } else {
+            for (i = 0; i < observed.length; i++) {
+                if (isNaN(observed[i]) || observed[i] < 0) {
+                    errors.push("chisq.gof: The observed count " + observed[i] + " must be a number greater than or equal to 0");
                 }
+            }
+        }
 
-                for (var i = 0; i < data[column].length; i++) {
-                    
-                    // This JSON array index is already an object
-                    // Add the index of the data array (from the provided data) to the object indexed at the same location
-                    if (typeof json[i] !== "undefined") {
-                        json[i][column] = data[column][i];
-
-                    // JSON array index is not already an object
-                    // Create the object and add the data from the proper data array
-                    } else {
-                        json[i] = {};
-                        json[i][column] = data[column][i];
+        if (typeof expected !== "undefined") {
+            if (!(expected instanceof Array) || !(observed instanceof Array) || expected.length !== observed.length) {
+                errors.push("chisq.gof: The expected frequencies must be an array the same length as the observed counts");
+            } else {
+                for (i = 0; i < expected.length; i++) {
+                    if (isNaN(expected[i]) || expected[i] <= 0) {
+                        errors.push("chisq.gof: The expected frequency " + expected[i] + " must be a number greater than 0");
                     }
                 }
             }
+        }
 
-        } else {
-            throw new Error("dataParser: can't parse data that is not in an array or object");
+        if (errors.length > 0) {
+            throw new Error(errors.join("; "));
         }
 
-        // default return
-        return json;
-    }
+        var observedTotal = 0,
+            expectedTotal = 0,
+            expectedCounts = [],    // expected frequencies scaled to the observed total
+            chisq = 0,
+            df = observed.length - 1,
+            warnings = [];
 
-    /**
-     * Parses CSV and TSV file for loading into the ss object
-     * Allows ss(file).math_function to be used for any file
-     * 
-     * @param String file
-     * @param String fileType
-     */
-    var fileParser = function(file, delimiter) {
-        // Non-denoted delimiter will assume "," (to fix later)
-        delimiter = typeof delimiter === "undefined" ? "," : delimiter;
+        // Equal frequencies are expected if none are given
+        if (typeof expected === "undefined") {
+            expected = observed.map(function() {return 1;});
+        }
 
-        // Variable to store file in
-        var fileJson = [];
+        for (i = 0; i < observed.length; i++) {
+            observedTotal += parseFloat(observed[i]);
+            expectedTotal += parseFloat(expected[i]);
+        }
 
-        // Array of objects listing errors for graceful errors
-        var errors = [];
+        if (observedTotal === 0) {
+            throw new Error("chisq.gof: At least one observed count must be greater than 0");
+        }
 
-        if (delimiter !== "," && delimiter !=="\t") {
-            throw new Error("Only CSV and TSV file types can be parsed");
+        for (i = 0; i < observed.length; i++) {
+            expectedCounts.push(parseFloat(expected[i]) * observedTotal / expectedTotal);
+            chisq += Math.pow(parseFloat(observed[i]) - expectedCounts[i], 2) / expectedCounts[i];
+
+            if (expectedCounts[i] < 5) {
+                warnings.push("chisq.gof: The expected count " + expectedCounts[i] + " at position " + i + " is less than 5, the chi-square approximation may not be valid");
+            }
         }
 
-        // Function shamelessly stolen from PapaParse (mholt | http://papaparse.com) and modified
-        function guessLineEndings(input) {
-            input = input.substr(0, 1024 * 1024); // max length 1 MB
+        return {
+            "chisq": chisq,
+            "df": df,
+            "p": 1 - globalObject.chisq.dist(chisq, df, true),
+            "expected": expectedCounts,
+            "warnings": warnings
+        };
+    };
 
-            var r = input.split("\r");
+    /**
+     * Performs a chi-square test of independence on a contingency table (r x c) of counts
+     * Returns the Pearson chi-square statistic, degrees of freedom, probability, expected counts and Cramer's V
+     *     along with the Yates continuity corrected statistic for 2 x 2 tables and warnings when
+     *     expected counts are below 5 (the chi-square approximation may not be valid)
+     * Method described in FUNDAMENTALS OF BIOSTATISTSICS SEVENTH EDITION Bernard Rosner
+     *     and (https://en.wikipedia.org/wiki/Pearson%27s_chi-squared_test)
+     *
+     * @param Array table (array of rows, each row an array of counts)
+     */
+    globalObject.chisq.independence = function(table) {
+        var errors = [],
+            i,
+            j;
 
-            if (r.length === 1) {
-                var n = input.split("\n");
-                if (n.length > 1) {
-                    return "\n";
-                } else {
-                    // file has no line endings and is only one line
-                    return undefined;
+        if (!(table instanceof Array) || table.length < 2 || !(table[0] instanceof Array) || table[0].length < 2) {
+            errors.push("chisq.independence: The table must be an array of at least 2 rows, each an array of at least 2 counts");
+        } else {
+            for (i = 0; i < table.length; i++) {
+                if (!(table[i] instanceof Array) || table[i].length !== table[0].length) {
+                    errors.push("chisq.independence: Every row of the table must be an array with the same number of counts");
+                    continue;
                 }
-            }
 
-            var numWithN = 0;
-            for (var i = 0; i < r.length; i++) {
-                if (r[i][0] == "\n")
-                    numWithN++;
+                for (j = 0; j < table[i].length; j++) {
+                    if (isNaN(table[i][j]) || table[i][j] < 0) {
+                        errors.push("chisq.independence: The count " + table[i][j] + " must be a number greater than or equal to 0");
+                    }
+                }
             }
+        }
 
-            return numWithN >= r.length / 2 ? "\r\n" : "\r";
+        if (errors.length > 0) {
+            throw new Error(errors.join("; "));
         }
 
-        var lineEnding = guessLineEndings(file),
-            dataLines,
-            dataHeaders;
+        var rows = table.length,
+            columns = table[0].length,
+            rowTotals = [],
+            columnTotals = [],
+            total = 0,
+            expected = [],
+            chisq = 0,
+            yatesChisq = 0,
+            difference,
+            df = (rows - 1) * (columns - 1),
+            warnings = [],
+            result;
+
+        for (i = 0; i < rows; i++) {
+            rowTotals[i] = 0;
+
+            for (j = 0; j < columns; j++) {
+                columnTotals[j] = typeof columnTotals[j] === "undefined" ? 0 : columnTotals[j];
+                rowTotals[i] += parseFloat(table[i][j]);
+                columnTotals[j] += parseFloat(table[i][j]);
+                total += parseFloat(table[i][j]);
+            }
+        }
 
-        if (lineEnding) {
-            dataLines = file.split(lineEnding);
-        } else {
-            throw new Error("File provided has no line endings");
+        if (rowTotals.indexOf(0) !== -1 || columnTotals.indexOf(0) !== -1) {
+            throw new Error("chisq.independence: Every row and column of the table must have at least one count");
         }
 
-        for (var i = 0; i < dataLines.length; i++) {
-            var dataFields = dataLines[i].split(delimiter);
-            // Set headers and keep moving
-            if (i === 0) {
-                dataHeaders = dataFields;
-                continue;
-            }
+        // Expected counts under independence are (row total * column total) / total
+        for (i = 0; i < rows; i++) {
+            expected[i] = [];
 
-            // Don't fill with garbage data
-            if (dataLines[i] === "") {
-                errors.push({
-                    "function": "fileParser",
-                    "process": "Parsing file lines",
-                    "message": "No data present in the indicated line, skipping",
-                    "row": i
-                });
-                continue;
+            for (j = 0; j < columns; j++) {
+                expected[i][j] = rowTotals[i] * columnTotals[j] / total;
+                difference = Math.abs(parseFloat(table[i][j]) - expected[i][j]);
+
+                chisq += Math.pow(difference, 2) / expected[i][j];
+
+                // Yates correction can't make a difference smaller than 0
+                yatesChisq += Math.pow(difference - Math.min(0.5, difference), 2) / expected[i][j];
+
+                if (expected[i][j] < 5) {
+                    warnings.push("chisq.independence: The expected count " + expected[i][j] + " at row " + i + ", column " + j + " is less than 5, the chi-square approximation may not be valid");
+                }
             }
+        }
 
-            // object to hold data for each line
-            var lineObject = {};
-            for (var j = 0; j < dataFields.length; j++) {
-                if (typeof dataHeaders[j] !== "undefined") {
-                    lineObject[dataHeaders[j]] = dataFields[j];
-                } else {
-                    errors.push({
-                        "function": "fileParser",
-                        "process": "Parsing data fields",
-                        "message": "Fields exceeded expected number based on headers, skipping",
-                        "row": i
-                    });
+        result = {
+            "chisq": chisq,
+            "df": df,
+            "p": 1 - globalObject.chisq.dist(chisq, df, true),
+            "expected": expected,
+            "cramersV": Math.sqrt(chisq / (total * (Math.min(rows, columns) - 1))),
+            "warnings": warnings
+        };
+
+        // The continuity correction only applies to 2 x 2 tables
+        if (rows === 2 && columns === 2) {
+            result.yates = {
+                "chisq": yatesChisq,
+                "p": 1 - globalObject.chisq.dist(yatesChisq, df, true)
+            };
+        }
+
+        return result;
+    };
+
+    /* ------------------- *
+     * Fisher's Exact Test *
+     * ------------------- */
+
+    // Object containing Fisher's exact test methods
+    globalObject.fisher = {};
+
+    /**
+     * Performs Fisher's exact test on a contingency table (r x c) of counts
+     * The probability of each table with the same row and column totals is exact (hypergeometric), and
+     *     is calculated in log space with lnGamma to avoid arithmetic overflow of the factorials
+     * For 2 x 2 tables the alternative can be one-sided and the conditional maximum likelihood estimate
+     *     of the odds ratio is returned; larger tables are always two-sided
+     * The two-sided probability is the sum of the probabilities of all tables no more likely than the observed table
+     * Every table with the same totals is enumerated, so this is meant for small samples
+     *     (more than 1,000,000 such tables throws an error)
+     * Method described in (https://en.wikipedia.org/wiki/Fisher%27s_exact_test)
+     *
+     * @param Array table (array of rows, each row an array of counts)
+     * @param Number or String alternative (2 x 2 tables only)
+     */
+    globalObject.fisher.test = function(table, alternative) {
+        // Sets default to 2 and lowercases if filled with a string
+        alternative = typeof alternative === "undefined" ? 2 : typeof alternative === "string" ? alternative.toLowerCase() : alternative;
+
+        var errors = [],
+            i,
+            j;
+
+        if (!(table instanceof Array) || table.length < 2 || !(table[0] instanceof Array) || table[0].length < 2) {
+            errors.push("fisher.test: The table must be an array of at least 2 rows, each an array of at least 2 counts");
+        } else {
+            for (i = 0; i < table.length; i++) {
+                if (!(table[i] instanceof Array) || table[i].length !== table[0].length) {
+                    errors.push("fisher.test: Every row of the table must be an array with the same number of counts");
+                    continue;
+                }
+
+                for (j = 0; j < table[i].length; j++) {
+                    if (!isInt(parseFloat(table[i][j])) || table[i][j] < 0) {
+                        errors.push("fisher.test: The count " + table[i][j] + " must be an integer greater than or equal to 0");
+                    }
                 }
             }
+        }
 
-            // Add each object to json array of file
-            fileJson.push(lineObject);
+        if (alternative !== 1 && alternative !== 2 && alternative !== 3 && alternative !== "less" && alternative !== "diff" && alternative !== "greater") {
+            errors.push("fisher.test: The alternative must be a number between 1 - 3 or \"less\", \"diff\", or \"greater\"");
+        }
+
+        if (errors.length > 0) {
+            throw new Error(errors.join("; "));
+        }
+
+        var rows = table.length,
+            columns = table[0].length,
+            rowTotals = [],
+            columnTotals = [],
+            total = 0,
+            lnConstant,                    // natural log of (product of row and column total factorials) / total!
+            lnObserved,                    // natural log of the probability of the observed table
+            tolerance = 1 + 1e-7,          // relative tolerance when comparing table probabilities
+            prob = 0;
+
+        // natural log of n!
+        var lnFactorial = function(n) {
+            return n < 2 ? 0 : lnGamma(n + 1);
+        };
+
+        for (i = 0; i < rows; i++) {
+            rowTotals[i] = 0;
+
+            for (j = 0; j < columns; j++) {
+                columnTotals[j] = typeof columnTotals[j] === "undefined" ? 0 : columnTotals[j];
+                rowTotals[i] += parseFloat(table[i][j]);
+                columnTotals[j] += parseFloat(table[i][j]);
+                total += parseFloat(table[i][j]);
+            }
+        }
+
+        lnConstant = -lnFactorial(total);
+
+        for (i = 0; i < rows; i++) {
+            lnConstant += lnFactorial(rowTotals[i]);
+        }
+
+        for (j = 0; j < columns; j++) {
+            lnConstant += lnFactorial(columnTotals[j]);
+        }
+
+        lnObserved = lnConstant;
+
+        for (i = 0; i < rows; i++) {
+            for (j = 0; j < columns; j++) {
+                lnObserved -= lnFactorial(parseFloat(table[i][j]));
+            }
+        }
+
+        // 2 x 2 tables only depend on the top left count given the totals
+        if (rows === 2 && columns === 2) {
+            var observedCount = parseFloat(table[0][0]),
+                minCount = Math.max(0, rowTotals[0] + columnTotals[0] - total),
+                maxCount = Math.min(rowTotals[0], columnTotals[0]),
+                lnProbs = [],       // natural log of the probability of each possible top left count
+                oddsRatio,
+                count;
+
+            // Hypergeometric probability of the top left count
+            for (count = minCount; count <= maxCount; count++) {
+                lnProbs.push(lnConstant - lnFactorial(count) - lnFactorial(rowTotals[0] - count) - lnFactorial(columnTotals[0] - count) - lnFactorial(total - rowTotals[0] - columnTotals[0] + count));
+            }
+
+            for (count = minCount; count <= maxCount; count++) {
+                if ((alternative === 1 || alternative === "less") && count <= observedCount) {
+                    prob += Math.exp(lnProbs[count - minCount]);
+                } else if ((alternative === 3 || alternative === "greater") && count >= observedCount) {
+                    prob += Math.exp(lnProbs[count - minCount]);
+                } else if ((alternative === 2 || alternative === "diff") && lnProbs[count - minCount] <= lnObserved + Math.log(tolerance)) {
+                    prob += Math.exp(lnProbs[count - minCount]);
+                }
+            }
+
+            // Mean of the top left count under the noncentral hypergeometric distribution with odds ratio e^lnOdds
+            var conditionalMean = function(lnOdds) {
+                var weights = 0,
+                    weightedCounts = 0,
+                    largest = -Infinity,
+                    weight,
+                    k;
+
+                // Subtract the largest log weight before exponentiating to avoid arithmetic overflow
+                for (k = minCount; k <= maxCount; k++) {
+                    largest = Math.max(largest, lnProbs[k - minCount] + k * lnOdds);
+                }
+
+                for (k = minCount; k <= maxCount; k++) {
+                    weight = Math.exp(lnProbs[k - minCount] + k * lnOdds - largest);
+                    weights += weight;
+                    weightedCounts += k * weight;
+                }
+
+                return weightedCounts / weights;
+            };
+
+            // The conditional maximum likelihood estimate makes the conditional mean equal the observed count
+            // The conditional mean increases with the odds ratio, so bisect on the log of the odds ratio
+            if (observedCount === minCount) {
+                oddsRatio = 0;
+            } else if (observedCount === maxCount) {
+                oddsRatio = Infinity;
+            } else {
+                var lower = -100,
+                    upper = 100,
+                    middle,
+                    iter = 0,
+                    maxIter = 200;
+
+                while (upper - lower > 1e-12 && iter < maxIter) {
+                    middle = (lower + upper) / 2;
+
+                    if (conditionalMean(middle) < observedCount) {
+                        lower = middle;
+                    } else {
+                        upper = middle;
+                    }
+
+                    iter++;
+                }
+
+                oddsRatio = Math.exp((lower + upper) / 2);
+            }
+
+            return {
+                "p": prob > 1 ? 1 : prob,
+                "oddsRatio": oddsRatio
+            };
+        }
+
+        if (alternative !== 2 && alternative !== "diff") {
+            throw new Error("fisher.test: One-sided alternatives are only available for 2 x 2 tables");
+        }
+
+        // Every table with the same totals is enumerated, so stop before the count makes the test impractical
+        var maxTables = 1e6,
+            tableCount = 0;
+
+        // Recursively fill the table one row at a time, keeping the row and column totals
+        // Only the last row is left, it is whatever remains of the column totals
+        var fillRow = function(row, remainingColumns, lnProb) {
+            var lnLastRow = lnProb,
+                k;
+
+            if (row === rows - 1) {
+                tableCount++;
+
+                if (tableCount > maxTables) {
+                    throw new Error("fisher.test: There are more than " + maxTables + " tables with the same row and column totals to enumerate, the sample is too large for an exact test (see chisq.independence)");
+                }
+
+                for (k = 0; k < columns; k++) {
+                    lnLastRow -= lnFactorial(remainingColumns[k]);
+                }
+
+                if (lnLastRow <= lnObserved + Math.log(tolerance)) {
+                    prob += Math.exp(lnLastRow);
+                }
+
+                return;
+            }
+
+            fillCell(row, 0, rowTotals[row], remainingColumns, lnProb);
+        };
+
+        // Fill each cell of a row with every count allowed by what remains of the row and column totals
+        // The remaining column totals are updated in place and restored after each count
+        var fillCell = function(row, column, remainingRow, remainingColumns, lnProb) {
+            var count,
+                laterColumns = 0,
+                minCount,
+                maxCount = Math.min(remainingRow, remainingColumns[column]),
+                k;
+
+            // The last cell of the row takes the rest of the row total
+            if (column === columns - 1) {
+                remainingColumns[column] -= remainingRow;
+                fillRow(row + 1, remainingColumns, lnProb - lnFactorial(remainingRow));
+                remainingColumns[column] += remainingRow;
+                return;
+            }
+
+            // Leave no more of the row total than the later columns can take, so every table started is completed
+            for (k = column + 1; k < columns; k++) {
+                laterColumns += remainingColumns[k];
+            }
+
+            minCount = Math.max(0, remainingRow - laterColumns);
+
+            for (count = minCount; count <= maxCount; count++) {
+                remainingColumns[column] -= count;
+                fillCell(row, column + 1, remainingRow - count, remainingColumns, lnProb - lnFactorial(count));
+                remainingColumns[column] += count;
+            }
+        };
+
+        fillRow(0, columnTotals.slice(), lnConstant);
+
+        return {
+            "p": prob > 1 ? 1 : prob
+        };
+    };
+
+    /* -------------- *
+     * F Distribution *
+     * -------------- */
+
+    // Object containing F distribution methods
+    globalObject.F = {};
+
+    /**
+     * Calculates the value of the F distribution given an F statistic and the degrees of freedom
+     *     of the numerator and denominator
+     * Algorithm from (https://en.wikipedia.org/wiki/F-distribution)
+     *
+     * @param Float f
+     * @param Int df1
+     * @param Int df2
+     * @param Boolean cumulative
+     */
+    globalObject.F.dist = function(f, df1, df2, cumulative) {
+        // Default is set to cumulative as this is the expected behavior of the F statistic
+        cumulative = typeof cumulative === "undefined" ? true : cumulative;
+
+        var errors = [];
+
+        if (isNaN(f)) {
+            errors.push("F.dist: The F statistic: " + f + " must be a number");
+        }
+
+        if (!isNaN(f) && f < 0) {
+            errors.push("F.dist: The F statistic: " + f + " must be greater than or equal to 0");
+        }
+
+        if (isNaN(df1)) {
+            errors.push("F.dist: The numerator degrees of freedom: " + df1 + " must be a number");
+        }
+
+        if (!isNaN(df1) && df1 <= 0) {
+            errors.push("F.dist: The numerator degrees of freedom: " + df1 + " must be positive");
+        }
+
+        if (isNaN(df2)) {
+            errors.push("F.dist: The denominator degrees of freedom: " + df2 + " must be a number");
+        }
+
+        if (!isNaN(df2) && df2 <= 0) {
+            errors.push("F.dist: The denominator degrees of freedom: " + df2 + " must be positive");
+        }
+
+        if (errors.length > 0) {
+            throw new Error(errors.join("; "));
+        }
+
+        // An infinite F statistic holds all of the distribution below it
+        if (f === Infinity) {
+            return cumulative === true ? 1 : 0;
+        }
+
+        // parameters for beta functions
+        var x = df1 * f / (df1 * f + df2),    // x parameter of beta function
+            a = df1 / 2,                      // a parameter of beta function
+            b = df2 / 2,                      // b parameter of beta function
+            lnBeta,                           // natural log of the complete beta function B(a, b)
+            lnRegBetaInc,                     // natural log of regularized incomplete beta function (B(x; a, b)/B(a, b))
+            prob;                             // probability of given F statistic
+
+        // Beta(a, b) = Gamma(a) * Gamma(b) / Gamma(a + b)
+        lnBeta = lnGamma(a) + lnGamma(b) - lnGamma(a + b);
+
+        if (cumulative === true) {
+
+            // Optimized convergence based on (http://dlmf.nist.gov/8.17#v)
+            if (x < (a + 1) / (a + b + 2)) {
+                lnRegBetaInc = lnBetaIncomplete(x, a, b) - lnBeta;
+                prob = Math.exp(lnRegBetaInc);
+            } else {
+
+                // Note that Beta(a, b) = Beta(b, a), allowing same value for lnBeta to be used as above
+                lnRegBetaInc = lnBetaIncomplete(1 - x, b, a) - lnBeta;
+                prob = 1 - Math.exp(lnRegBetaInc);
+            }
+        } else {
+
+            // probability distribution function (probability moment)
+            if (f > 0) {
+                prob = Math.exp(a * Math.log(df1 / df2) + (a - 1) * Math.log(f) - (a + b) * Math.log(1 + df1 * f / df2) - lnBeta);
+            } else {
+                prob = 0;
+            }
+        }
+
+        return prob;
+    };
+
+    /**
+     * Calculates the smallest F statistic value that will give a cumulative probability equal to user input
+     * Based on the inverse functions provided by adussaq (https://github.com/adussaq)
+     *
+     * @param Float prob
+     * @param Int df1
+     * @param Int df2
+     */
+    globalObject.F.inv = function(prob, df1, df2) {
+        var errors = [];
+
+        // Sanitize the data
+        if (isNaN(prob)) {
+            errors.push("F.inv: the probability " + prob + " is not a number");
+        }
+
+        if (prob > 1 || prob < 0) {
+            errors.push("F.inv: the probability " + prob + " should be between 0 and 1 including the bounds");
+        }
+
+        if (isNaN(df1)) {
+            errors.push("F.inv: the numerator degrees of freedom " + df1 + " is not a number");
+        }
+
+        if (!isNaN(df1) && df1 <= 0) {
+            errors.push("F.inv: the numerator degrees of freedom " + df1 + " should be a positive number");
+        }
+
+        if (isNaN(df2)) {
+            errors.push("F.inv: the denominator degrees of freedom " + df2 + " is not a number");
+        }
+
+        if (!isNaN(df2) && df2 <= 0) {
+            errors.push("F.inv: the denominator degrees of freedom " + df2 + " should be a positive number");
+        }
+
+        if(errors.length > 0) {
+            throw new Error(errors.join("; "));
+        }
+
+        // The only way to achieve a cumulative probability = 1 is an infinite F statistic
+        if (prob === 1) {
+            return Infinity;
+        }
+
+        if (prob === 0) {
+            return 0;
+        }
+
+        // The search is done on the lower tail, where the cumulative probability keeps its precision
+        // The upper tail of F(df1, df2) at f is the lower tail of F(df2, df1) at 1 / f
+        if (prob > 0.5) {
+            return 1 / globalObject.F.inv(1 - prob, df2, df1);
+        }
+
+        var f,                  // F value that will be associated with user-submitted probability
+            diff,               // difference between guessed probability and user submitted probability
+            error = prob * 1e-10,   // allowed error, relative so that small tail probabilities are still found exactly
+            maxIter = 1000,     // after 1000 iterations, it's close enough
+            step = 0.25,        // gives faster convergence on diff
+            stepInc = 1.2,      // increase step to converge faster
+            stepDec = 0.5,      // decreases step for after overshoot
+            iter = 0,           // counts number of iterations
+            direction = 1,      // determines direction of alternation
+            lastDiff = 1;       // used to calculate overshooting
+
+        // The F distribution is centered near 1 (the ratio of two equal variances)
+        // Start the guess at 1 and let the step size find the right side of the distribution
+        f = 1;
+
+        // calculate difference to start iterations
+        diff = prob - globalObject.F.dist(f, df1, df2, true);
+
+        // Guess until gone for too many iterations or arrived within error
+        // The difference is checked before stepping so that a guess within error is not stepped away from
+        while (Math.abs(diff) > error && iter < maxIter) {
+
+            // Change direction on number line based on whether still above or below actual value
+            if (diff > 0) {
+                direction = 1;
+            } else if (diff < 0) {
+                direction = -1;
+            } else {
+                direction = 0;
+            }
+
+            // Increase step rate until overshoot
+            if (lastDiff * diff > 0) {
+                step *= stepInc;
+
+            // Decrease step rate immediately after overshooting to narrow in
+            } else {
+                step *= stepDec;
+            }
+
+            // create another guess
+            f += direction * step;
+
+            // f can't be less than 0
+            f = f < 0 ? 0 : f;
+
+            // save last diff to check for overshooting
+            lastDiff = diff;
+
+            // Check the new guess
+            diff = prob - globalObject.F.dist(f, df1, df2, true);
+
+            // Maintain count of iterations thus far
+            iter++;
+        }
+
+        // return value back based on user-selected probability
+        // return [f, globalObject.F.dist(f, df1, df2, true), iter]; // (for debugging)
+        return f;
+    };
+
+    /**
+     * Calculates the confidence interval for the ratio of two population variances (variance1 / variance2)
+     *     using the F distribution
+     * Solution comes from (https://en.wikipedia.org/wiki/F-test_of_equality_of_variances)
+     *
+     * @param Float alpha
+     * @param Float sampleStdev1
+     * @param Int sampleSize1
+     * @param Float sampleStdev2
+     * @param Int sampleSize2
+     * @param Int or String type
+     */
+    globalObject.F.conf = function(alpha, sampleStdev1, sampleSize1, sampleStdev2, sampleSize2, type) {
+        // Sets default to 2 and lowercases if filled with a string
+        type = typeof type === "undefined" ? 2 : typeof type === "string" ? type.toLowerCase() : type;
+
+        var errors = [];
+
+        // Sanitize the data
+        if (isNaN(alpha)) {
+            errors.push("F.conf: The alpha value must be a number");
+        }
+
+        if (!isNaN(alpha) && (alpha > 1 || alpha < 0)) {
+            errors.push("F.conf: The alpha value must be between 0 and 1");
+        }
+
+        if (isNaN(sampleStdev1) || isNaN(sampleStdev2)) {
+            errors.push("F.conf: The standard deviations must be numbers");
+        }
+
+        if (isNaN(sampleSize1) || isNaN(sampleSize2)) {
+            errors.push("F.conf: The sample sizes must be numbers");
+        }
+
+        if ((!isNaN(sampleSize1) && sampleSize1 < 2) || (!isNaN(sampleSize2) && sampleSize2 < 2)) {
+            errors.push("F.conf: The sample sizes must be at least 2");
         }
 
-        // Attach error to JsonData prototype for viewing of file errors
-        JsonData.prototype.errors = errors;
+        if (errors.length > 0) {
+            throw new Error(errors.join("; "));
+        }
+
+        var varianceRatio = Math.pow(sampleStdev1, 2) / Math.pow(sampleStdev2, 2),    // estimate of the ratio of variances
+            df1 = sampleSize1 - 1,                                                 // df of the numerator
+            df2 = sampleSize2 - 1,                                                 // df of the denominator
+            interval = {};                                                         // object containing the interval to be returned
+
+        // Set proper values for lower, two-sided, and upper confidence interval
+        // As with the chi-square interval, the upper bound comes from the lower tail of the distribution
+        if (type === 1 || type === "lower") {
+            interval.lower = NaN;
+            interval.upper = varianceRatio / globalObject.F.inv(alpha, df1, df2);
+
+        } else if (type === 2 || type === "two") {
+            interval.lower = varianceRatio / globalObject.F.inv(1 - alpha/2, df1, df2);
+            interval.upper = varianceRatio / globalObject.F.inv(alpha/2, df1, df2);
+
+        } else if (type === 3 || type === "upper") {
+            interval.lower = varianceRatio / globalObject.F.inv(1 - alpha, df1, df2);
+            interval.upper = NaN;
+
+        // Throw error if type is not as indicated
+        } else {
+            throw new Error("F.conf: The type must be a number between 1 - 3 or \"lower\", \"two\", or \"upper\"");
+        }
+
+        return interval;
+    };
+
+    /**
+     * Performs a 2 sample F test for the equality of two variances and returns the probability of the
+     *     ratio of sample variances given the directionality of the alternative
+     *
+     * @param Float sampleStdev1
+     * @param Int sampleSize1
+     * @param Float sampleStdev2
+     * @param Int sampleSize2
+     * @param Number or String alternative
+     */
+    globalObject.F.test2s = function(sampleStdev1, sampleSize1, sampleStdev2, sampleSize2, alternative) {
+        // Sets default to 2 and lowercases if filled with a string
+        alternative = typeof alternative === "undefined" ? 2 : typeof alternative === "string" ? alternative.toLowerCase() : alternative;
+
+        var errors = [];
+
+        if (isNaN(sampleStdev1)) {
+            errors.push("F.test2s: The first sample standard deviation must be a number");
+        }
+
+        if (isNaN(sampleSize1)) {
+            errors.push("F.test2s: The first sample size must be a number");
+        }
+
+        if (isNaN(sampleStdev2)) {
+            errors.push("F.test2s: The second sample standard deviation must be a number");
+        }
+
+        if (isNaN(sampleSize2)) {
+            errors.push("F.test2s: The second sample size must be a number");
+        }
+
+        if ((!isNaN(sampleSize1) && sampleSize1 < 2) || (!isNaN(sampleSize2) && sampleSize2 < 2)) {
+            errors.push("F.test2s: The sample sizes must be at least 2");
+        }
+
+        if (errors.length) {
+            throw new Error(errors.join("; "));
+        }
+
+        var f,      // F value based on the ratio of the sample variances
+            df1,    // degrees of freedom of the numerator
+            df2;    // degrees of freedom of the denominator
+
+        f = Math.pow(sampleStdev1, 2) / Math.pow(sampleStdev2, 2);
+        df1 = sampleSize1 - 1;
+        df2 = sampleSize2 - 1;
+
+        // Testing for alternative of the first variance less than the second
+        if (alternative === 1 || alternative === "less") {
+            return globalObject.F.dist(f, df1, df2, true);
+
+        // Testing for alternative of different variances (the F distribution is not symmetric, so double the smaller tail)
+        } else if (alternative === 2 || alternative === "diff") {
+            if (globalObject.F.dist(f, df1, df2, true) > 0.5) {
+                return 2 * (1 - globalObject.F.dist(f, df1, df2, true));
+            } else {
+                return 2 * globalObject.F.dist(f, df1, df2, true);
+            }
+
+        // Testing for alternative of the first variance greater than the second
+        } else if (alternative === 3 || alternative === "greater") {
+            return 1 - globalObject.F.dist(f, df1, df2, true);
+        } else {
+            throw new Error("F.test2s: The alternative must be a number between 1 - 3 or \"less\", \"diff\", or \"greater\"");
+        }
+    };
+
+    /* ------------------------------ *
+     * Studentized Range Distribution *
+     * ------------------------------ */
+
+    // Object containing studentized range distribution methods
+    globalObject.tukey = {};
+
+    /**
+     * Calculates the cumulative studentized range distribution, the distribution of the range of
+     *     k independent standard normal values divided by an independent estimate of their standard deviation with df
+     *     degrees of freedom
+     * P(Q < q) = integral from(0) to(infinity) of f(s; df) * k * integral of phi(z)[Phi(z) - Phi(z - qs)]^(k-1) dz ds
+     *     where f(s; df) is the density of sqrt(chisq_df / df)
+     * Both integrals are calculated numerically with Simpson's rule
+     * Algorithm from (https://en.wikipedia.org/wiki/Studentized_range_distribution)
+     *
+     * @param Float q
+     * @param Int groups (k, the number of means being compared)
+     * @param Int df (Infinity for a known standard deviation)
+     */
+    globalObject.tukey.dist = function(q, groups, df) {
+        var errors = [];
+
+        if (isNaN(q)) {
+            errors.push("tukey.dist: The studentized range: " + q + " must be a number");
+        }
+
+        if (isNaN(groups) || !isInt(groups) || groups < 2) {
+            errors.push("tukey.dist: The number of groups: " + groups + " must be an integer greater than or equal to 2");
+        }
+
+        if (isNaN(df)) {
+            errors.push("tukey.dist: The degrees of freedom: " + df + " must be a number");
+        }
+
+        if (!isNaN(df) && df < 1) {
+            errors.push("tukey.dist: The degrees of freedom: " + df + " must be greater than or equal to 1");
+        }
+
+        if (errors.length > 0) {
+            throw new Error(errors.join("; "));
+        }
+
+        if (q <= 0) {
+            return 0;
+        }
+
+        if (q === Infinity) {
+            return 1;
+        }
+
+        var zMin = -6,              // the standard normal density is negligible outside of +/- 6
+            zSteps = 120,           // Simpson intervals over z (must be even)
+            zStep = -2 * zMin / zSteps,
+            sSteps,                 // Simpson intervals over s (must be even)
+            sSpread,                // standard deviation of s used to bound the outer integral
+            sMin,
+            sMax,
+            sStep,
+            s,
+            normDensity = [],       // phi(z) on the grid of z
+            normCumulative = [],    // Phi(z) on the grid of z
+            lnDensityConstant,      // natural log of the constant of the density of s
+            prob = 0,
+            i;
+
+        // Calculates P(range of k standard normal values < w) by integrating over z
+        var rangeCumulative = function(w) {
+            var total = 0,
+                weight,
+                lowerCumulative,    // Phi(z - w)
+                z,
+                j;
+
+            for (j = 0; j <= zSteps; j++) {
+                z = zMin + j * zStep;
+                weight = j === 0 || j === zSteps ? 1 : j % 2 === 1 ? 4 : 2;
+
+                // Phi is 0 for all practical purposes past the bounds of the grid
+                lowerCumulative = z - w < zMin ? 0 : globalObject.norm.dist(z - w, 0, 1, true);
+
+                total += weight * normDensity[j] * Math.pow(normCumulative[j] - lowerCumulative, groups - 1);
+            }
+
+            return groups * total * zStep / 3;
+        };
+
+        // phi(z) and Phi(z) are the same for every w, so they are only calculated once
+        for (i = 0; i <= zSteps; i++) {
+            normDensity.push(globalObject.norm.dist(zMin + i * zStep, 0, 1, false));
+            normCumulative.push(globalObject.norm.dist(zMin + i * zStep, 0, 1, true));
+        }
+
+        // The standard deviation is known, no outer integral needed
+        if (df === Infinity) {
+            prob = rangeCumulative(q);
+
+        } else {
+
+            // s = sqrt(chisq_df / df) has a mean near 1 and a standard deviation near 1/sqrt(2 * df)
+            sSpread = 1 / Math.sqrt(2 * df);
+            sMin = Math.max(0, 1 - 8 * sSpread);
+            sMax = 1 + 8 * sSpread;
+
+            // At least 100 intervals, but keep q * sStep small as the range probability climbs quickly
+            //     for large q (which comes with small df)
+            sSteps = Math.max(100, 2 * Math.ceil((sMax - sMin) * q));
+            sStep = (sMax - sMin) / sSteps;
+
+            // f(s; df) = df^(df/2) / (Gamma(df/2) * 2^(df/2 - 1)) * s^(df - 1) * e^(-df * s^2 / 2)
+            lnDensityConstant = (df / 2) * Math.log(df) - lnGamma(df / 2) - (df / 2 - 1) * Math.log(2);
+
+            for (i = 0; i <= sSteps; i++) {
+                s = sMin + i * sStep;
+
+                if (s > 0) {
+                    prob += (i === 0 || i === sSteps ? 1 : i % 2 === 1 ? 4 : 2) *
+                        Math.exp(lnDensityConstant + (df - 1) * Math.log(s) - df * s * s / 2) *
+                        rangeCumulative(q * s);
+                }
+            }
+
+            prob *= sStep / 3;
+        }
+
+        // handling numerical integration overshoot
+        return prob > 1 ? 1 : prob < 0 ? 0 : prob;
+    };
+
+    /**
+     * Calculates the smallest studentized range that will give a cumulative probability equal to user input
+     * Based on the inverse functions provided by adussaq (https://github.com/adussaq)
+     *
+     * @param Float prob
+     * @param Int groups
+     * @param Int df
+     */
+    globalObject.tukey.inv = function(prob, groups, df) {
+        var errors = [];
+
+        // Sanitize the data
+        if (isNaN(prob)) {
+            errors.push("tukey.inv: the probability " + prob + " is not a number");
+        }
+
+        if (prob > 1 || prob < 0) {
+            errors.push("tukey.inv: the probability " + prob + " should be between 0 and 1 including the bounds");
+        }
+
+        if (isNaN(groups) || !isInt(groups) || groups < 2) {
+            errors.push("tukey.inv: the number of groups " + groups + " should be an integer greater than or equal to 2");
+        }
+
+        if (isNaN(df)) {
+            errors.push("tukey.inv: the degrees of freedom " + df + " is not a number");
+        }
+
+        if (!isNaN(df) && df < 1) {
+            errors.push("tukey.inv: the degrees of freedom " + df + " should be a positive number greater than or equal to 1");
+        }
+
+        if(errors.length > 0) {
+            throw new Error(errors.join("; "));
+        }
+
+        if (prob === 1) {
+            return Infinity;
+        }
+
+        if (prob === 0) {
+            return 0;
+        }
+
+        var q,                  // studentized range that will be associated with user-submitted probability
+            diff,               // difference between guessed probability and user submitted probability
+            error = 1e-8,       // allowed error (limited by the accuracy of the numerical integration)
+            maxIter = 200,      // each guess is a double integral, so stop sooner than the other inverse functions
+            step = 0.5,         // gives faster convergence on diff
+            stepInc = 1.2,      // increase step to converge faster
+            stepDec = 0.5,      // decreases step for after overshoot
+            iter = 0,           // counts number of iterations
+            direction = 1,      // determines direction of alternation
+            lastDiff = 1;       // used to calculate overshooting
+
+        // Most critical values of interest are between 2 and 6
+        q = 3;
+
+        // calculate difference to start iterations
+        diff = prob - globalObject.tukey.dist(q, groups, df);
+
+        // Guess until gone for too many iterations or arrived within error
+        while (Math.abs(diff) > error && iter < maxIter) {
+
+            // Change direction on number line based on whether still above or below actual value
+            if (diff > 0) {
+                direction = 1;
+            } else if (diff < 0) {
+                direction = -1;
+            } else {
+                direction = 0;
+            }
+
+            // Increase step rate until overshoot
+            if (lastDiff * diff > 0) {
+                step *= stepInc;
+
+            // Decrease step rate immediately after overshooting to narrow in
+            } else {
+                step *= stepDec;
+            }
+
+            // create another guess
+            q += direction * step;
+
+            // q can't be less than 0
+            q = q < 0 ? 0 : q;
+
+            // save last diff to check for overshooting
+            lastDiff = diff;
+
+            // Check the new guess
+            diff = prob - globalObject.tukey.dist(q, groups, df);
+
+            // Maintain count of iterations thus far
+            iter++;
+        }
+
+        // return [q, globalObject.tukey.dist(q, groups, df), iter]; // (for debugging)
+        return q;
+    };
+
+    /*======================*
+     * Multiple Comparisons *
+     *======================*/
+
+    /**
+     * Adjusts an array of p-values for multiple comparisons
+     * Returns the adjusted p-values in the same order as they were provided
+     * Tests that adjust their p-values (dunn and the tests run on an array of columns, see testColumns) take the
+     *     method as their last argument (adjustMethod) and report each adjusted p-value as adjustedP
+     * Methods follow (https://en.wikipedia.org/wiki/Holm%E2%80%93Bonferroni_method)
+     *     and (https://en.wikipedia.org/wiki/False_discovery_rate)
+     *     "bonferroni": controls the family-wise error rate
+     *     "holm": step-down Bonferroni, controls the family-wise error rate (default)
+     *     "hochberg": step-up, controls the family-wise error rate for independent tests
+     *     "bh" (or "fdr"): Benjamini-Hochberg, controls the false discovery rate
+     *     "by": Benjamini-Yekutieli, controls the false discovery rate under any dependence
+     *
+     * @param Array pValues
+     * @param String method
+     */
+    globalObject.padjust = function(pValues, method) {
+        // Set default method to holm and lowercase any string passed for comparison
+        method = typeof method === "undefined" ? "holm" : typeof method === "string" ? method.toLowerCase() : method;
+
+        var errors = [];
+
+        if (!(pValues instanceof Array)) {
+            errors.push("padjust: the p-values must be passed as an array");
+        } else {
+            for (var i = 0; i < pValues.length; i++) {
+                if (isNaN(pValues[i]) || pValues[i] < 0 || pValues[i] > 1) {
+                    errors.push("padjust: the p-value " + pValues[i] + " must be a number between 0 and 1");
+                }
+            }
+        }
+
+        if (["bonferroni", "holm", "hochberg", "bh", "fdr", "by"].indexOf(method) === -1) {
+            errors.push("padjust: the method must be \"bonferroni\", \"holm\", \"hochberg\", \"bh\", \"fdr\", or \"by\"");
+        }
+
+        if (errors.length > 0) {
+            throw new Error(errors.join("; "));
+        }
+
+        var n = pValues.length,
+            order = [],             // indexes of the p-values from smallest to largest p-value
+            adjusted = [],          // adjusted p-values in the original order
+            value,                  // adjusted value of the current p-value
+            bound,                  // running maximum (step-down) or minimum (step-up) of the adjusted values
+            harmonicSum = 0,        // sum of 1/i used by the Benjamini-Yekutieli method
+            rank;
+
+        for (rank = 0; rank < n; rank++) {
+            order.push(rank);
+        }
+
+        order.sort(function(a, b) {return pValues[a] - pValues[b];});
+
+        // Bonferroni simply multiplies every p-value by the number of tests
+        if (method === "bonferroni") {
+            for (rank = 0; rank < n; rank++) {
+                adjusted[rank] = Math.min(1, n * pValues[rank]);
+            }
+
+        // Holm steps down from the smallest p-value, the adjusted values can't decrease
+        } else if (method === "holm") {
+            bound = 0;
+
+            for (rank = 0; rank < n; rank++) {
+                value = Math.min(1, (n - rank) * pValues[order[rank]]);
+                bound = Math.max(bound, value);
+                adjusted[order[rank]] = bound;
+            }
+
+        // Hochberg, Benjamini-Hochberg and Benjamini-Yekutieli step up from the largest p-value,
+        //     the adjusted values can't increase
+        } else {
+            for (rank = 1; rank <= n; rank++) {
+                harmonicSum += 1 / rank;
+            }
+
+            bound = 1;
+
+            for (rank = n - 1; rank >= 0; rank--) {
+                if (method === "hochberg") {
+                    value = (n - rank) * pValues[order[rank]];
+                } else if (method === "bh" || method === "fdr") {
+                    value = n / (rank + 1) * pValues[order[rank]];
+                } else {
+                    value = harmonicSum * n / (rank + 1) * pValues[order[rank]];
+                }
+
+                bound = Math.min(bound, value);
+                adjusted[order[rank]] = bound;
+            }
+        }
+
+        return adjusted;
+    };
+
+    /*=========================*
+     * Data Statistics Section *
+     *=========================*/
+
+    /**
+     * Parses data into json array for use by the savvy stats object
+     * Allows ss([1,2,3,]).math_function or ss({"test": [1,2,3,4]}).math_function
+     * Returns a classic JSON array --> [{"col_name": "value", "other_col_name": "value"}, {"col_name": "value", "other_col_name": "value"}]
+     * 
+     * @param Array or Object Literal data
+     */
+    var dataParser = function(data) {
+        var errors = [],
+            json = [];
+
+        // Expects data in a pure array (i.e. [1,3,5,2,3,1,3])
+        if (data.constructor === Array) {
+            // Map each value of the array as a new object with "defaultCol" as the property
+            // This default column name will be used in future functions
+            json = data.map(function(value) {
+                return {
+                    "defaultCol": value
+                };
+            });
+
+        // Expects data in object with properties naming the data arrays
+        // i.e. {"col_name": [1,2,3,4,4], "col_name": [1,2,3,4,5,6]}
+        } else if (data.constructor === Object) {
+            for (var column in data) {
+                if (data[column].constructor !== Array) {
+                    throw new Error("dataParser: all values of object properties must be arrays");
+                }
+
+                for (var i = 0; i < data[column].length; i++) {
+                    
+                    // This JSON array index is already an object
+                    // Add the index of the data array (from the provided data) to the object indexed at the same location
+                    if (typeof json[i] !== "undefined") {
+                        json[i][column] = data[column][i];
+
+                    // JSON array index is not already an object
+                    // Create the object and add the data from the proper data array
+                    } else {
+                        json[i] = {};
+                        json[i][column] = data[column][i];
+                    }
+                }
+            }
+
+        } else {
+            throw new Error("dataParser: can't parse data that is not in an array or object");
+        }
+
+        // default return
+        return json;
+    }
+
+    /**
+     * Parses CSV and TSV file for loading into the ss object
+     * Allows ss(file).math_function to be used for any file
+     * 
+     * @param String file
+     * @param String fileType
+     */
+    var fileParser = function(file, delimiter) {
+        // Non-denoted delimiter will assume "," (to fix later)
+        delimiter = typeof delimiter === "undefined" ? "," : delimiter;
+
+        // Variable to store file in
+        var fileJson = [];
+
+        // Array of objects listing errors for graceful errors
+        var errors = [];
+
+        if (delimiter !== "," && delimiter !=="\t") {
+            throw new Error("Only CSV and TSV file types can be parsed");
+        }
+
+        // Function shamelessly stolen from PapaParse (mholt | http://papaparse.com) and modified
+        function guessLineEndings(input) {
+            input = input.substr(0, 1024 * 1024); // max length 1 MB
+
+            var r = input.split("\r");
+
+            if (r.length === 1) {
+                var n = input.split("\n");
+                if (n.length > 1) {
+                    return "\n";
+                } else {
+                    // file has no line endings and is only one line
+                    return undefined;
+                }
+            }
+
+            var numWithN = 0;
+            for (var i = 0; i < r.length; i++) {
+                if (r[i][0] == "\n")
+                    numWithN++;
+            }
+
+            return numWithN >= r.length / 2 ? "\r\n" : "\r";
+        }
+
+        var lineEnding = guessLineEndings(file),
+            dataLines,
+            dataHeaders;
+
+        if (lineEnding) {
+            dataLines = file.split(lineEnding);
+        } else {
+            throw new Error("File provided has no line endings");
+        }
+
+        for (var i = 0; i < dataLines.length; i++) {
+            var dataFields = dataLines[i].split(delimiter);
+            // Set headers and keep moving
+            if (i === 0) {
+                dataHeaders = dataFields;
+                continue;
+            }
+
+            // Don't fill with garbage data
+            if (dataLines[i] === "") {
+                errors.push({
+                    "function": "fileParser",
+                    "process": "Parsing file lines",
+                    "message": "No data present in the indicated line, skipping",
+                    "row": i
+                });
+                continue;
+            }
+
+            // object to hold data for each line
+            var lineObject = {};
+            for (var j = 0; j < dataFields.length; j++) {
+                if (typeof dataHeaders[j] !== "undefined") {
+                    lineObject[dataHeaders[j]] = dataFields[j];
+                } else {
+                    errors.push({
+                        "function": "fileParser",
+                        "process": "Parsing data fields",
+                        "message": "Fields exceeded expected number based on headers, skipping",
+                        "row": i
+                    });
+                }
+            }
+
+            // Add each object to json array of file
+            fileJson.push(lineObject);
+        }
+
+        // Attach error to JsonData prototype for viewing of file errors
+        JsonData.prototype.errors = errors;
+
+        return fileJson;
+    };
+
+
+    /**
+     * Class for creating objects that hold file data in JSON
+     * This class forms the foundation of doing statistics on file
+     */
+    function JsonData(json) {
+        if (!(json instanceof Array)) {
+            throw new Error("The savvy stats object (ss) must be provided a JSON array");
+        }
+
+        var self = this;
+        self.json = json;
+
+        /*=============================*
+         * Assistive Methods of Object *
+         *=============================*/
+
+        /**
+         * Sorts a json array based on provided column if the provided column is populated by numbers
+         * Preserves the original array by forcing a copy of the array to be made before sorting (not sure if I need this anymore, seems processor expensive)
+         *
+         * @param Array array
+         */
+        var jsonSort = function(json, sortColumn) {
+            if (!(json instanceof Array)) {
+                return undefined;
+            } else {
+                return Array.prototype.slice.call(json).sort(function(a,b) {return a[sortColumn]-b[sortColumn];});
+            }
+        };
+
+        /**
+         * Class that will be used for pseudo-type-hinting to ensure that JSON data are only validated once
+         * This uses filtered or non-filtered json and stores the count for repeated use as well (saves on processing)
+         */
+        function ValidJson(json, count) {
+            var self = this;
+
+            // Check if value passed is an array in the first place
+            // If no, then it can't possibly be a validated array
+            // If yes, then make it a part of the object for passing along
+            if (!(json instanceof Array)) {
+                self.validArray = false;
+            } else {
+                self.validJson = json;
+                self.count = count;
+            }
+        }
+
+        /**
+         * Validates a JSON array and any columns provided to it (allowed to be a variable number of params)
+         * This is one (large) function to accomplish all validation with one loop to save on processing speed for large data sets
+         * Note that the only static parameter of this function is the "json" param, all others are just placeholders for readability
+         * The function only uses the arguments object from then on
+         * 
+         * @param JsonArray json
+         * @params String columns
+         * @param function filterCb
+         *     takes an object in the JSON array
+         *     should return true or false
+         *     used to filter values in column used for mean based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var validateJson = function(json, column, filterCb) {
+            // Error collection object
+            var validationReport = {};
+            validationReport.validJson = [];
+            validationReport.count = 0;
+
+            // In case multiple errors need to be thrown
+            var errors = [],
+                missingColumn = 0;
+
+            // -- Validating all input --
+            // Make sure json is actually an array
+            if (!(json instanceof Array)) {
+                errors.push("Data must be in a JSON format starting with an array");
+            }
+
+            // Insure that column passed is a string
+            if (typeof column !== "string") {
+                errors.push("The column name must be passed as strings: " + column + ".");
+            }
+
+            // One of the inputs failed initial validation, no need to go further
+            if (validationReport.error) {
+                throw new Error(errors.join("; "));
+            }
+
+            // -- Validating the parts of the JSON data --
+            for (var i = 0; i < json.length; i++) {
+                // Making sure the array components are objects (note: arrays are considered to be instances of objects, so have to 
+                // specificall exclude arrays)
+                if (!(json[i] instanceof Object) || (json[i] instanceof Array)) {
+                    throw new Error("The JSON array must be filled with objects");
+                }
+
+                // Column argument must be a property of every JSON object
+                if (!json[i].hasOwnProperty(column)) {
+                    // Count the number of times the column has been missing
+                    missingColumn++;
+
+                    // if column is missing the whole length of the json
+                    // it doesn't exist, throw error
+                    if (missingColumn === json.length) {
+                        throw new Error("The column " + column + " does not exist; or, if you're sure it does, the json might be broken. Verify the JSON before continuing.");
+                    
+                    // Otherwise, it is just not in every object
+                    // (this accounts for users providing their own data in arrays of unequal length,
+                    // see dataParser())
+                    } else {
+                        continue;
+                    }
+                }
+
+                // column property argument listed must only consist of numbers
+                if (isNaN(json[i][column])) {
+                    throw new Error("The column " + column + " does not contain only numbers and has to for this operation.");
+                }
+
+                // filter array (put this in after documentation, simply need to pass validationReport.validJson to "new ValidJson" instead of the original json argument for each function)
+                // NOTE: will also need to remove unnecessary filtering from each function as well
+                
+                // If a callback has been used (argument in filterCb) and is a callback function, filter data
+                if (filterCb && typeof filterCb === "function") {
+                    
+                    // callback must return true or false
+                    if (filterCb(json[i]) === true || filterCb(json[i]) === false) {
+                        
+                        // If the callback succeeds (the data meets the filter criteria set by the callback function)
+                        // Note, this is the most trippy function I have every written in javascript
+                        if (filterCb(json[i]) === true) {
+                            
+                            // Add that object to a new JSON array for returning, this is the json array that should be considered valid
+                            validationReport.validJson.push(json[i]);
+                            validationReport.count++;
+                        }
+                    } else {
+                        throw new Error("The function " + filterCb + " must return either true or false.");
+                    }
+
+                // If a callback has been used but is not a function, return error
+                } else if (filterCb && typeof filterCb !== "function") {
+                    throw new Error("The function " + filterCb + " is not a function or is improperly formed.");
+                }
+
+                // filter callback has not be used, filter data to only use rows in column that have data
+                // TODO: this seems messy for the files, I think it might be better to skip this data 
+                //     in the file and let the column detection above sort this out
+                if (!filterCb && json[i][column] !== "") {
+                    validationReport.validJson.push(json[i]);
+                    validationReport.count++;
+                }
+            }
+
+            // Default return
+            return validationReport;
+        };
+
+        /**
+         * Validates a JSON array row-wise over several columns at once
+         * Only rows (objects) that have a value in every one of the columns are kept, so the values
+         *     of the columns stay paired by row (e.g. before and after measurements of the same subject)
+         *
+         * @param JsonArray json
+         * @param Array columns
+         * @param function filterCb
+         *     takes an object in the JSON array
+         *     should return true or false
+         *     used to filter rows based on values in the same columns or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var validateJsonColumns = function(json, columns, filterCb) {
+            // Error collection object
+            var validationReport = {};
+            validationReport.validJson = [];
+            validationReport.count = 0;
+
+            // In case multiple errors need to be thrown
+            var errors = [],
+                missingColumns = {},
+                complete,
+                filterResult,
+                i,
+                j;
+
+            // -- Validating all input --
+            // Make sure json is actually an array
+            if (!(json instanceof Array)) {
+                errors.push("Data must be in a JSON format starting with an array");
+            }
+
+            // Insure that the columns are passed as an array of strings
+            if (!(columns instanceof Array) || columns.length === 0) {
+                errors.push("The columns must be passed as an array of strings: " + columns + ".");
+            } else {
+                for (j = 0; j < columns.length; j++) {
+                    if (typeof columns[j] !== "string") {
+                        errors.push("The column name must be passed as strings: " + columns[j] + ".");
+                    }
+
+                    missingColumns[columns[j]] = 0;
+                }
+            }
+
+            // If a callback has been used but is not a function, return error
+            if (filterCb && typeof filterCb !== "function") {
+                errors.push("The function " + filterCb + " is not a function or is improperly formed.");
+            }
+
+            // One of the inputs failed initial validation, no need to go further
+            if (errors.length > 0) {
+                throw new Error(errors.join("; "));
+            }
+
+            // -- Validating the parts of the JSON data --
+            for (i = 0; i < json.length; i++) {
+                // Making sure the array components are objects (note: arrays are considered to be instances of objects, so have to
+                // specificall exclude arrays)
+                if (!(json[i] instanceof Object) || (json[i] instanceof Array)) {
+                    throw new Error("The JSON array must be filled with objects");
+                }
+
+                complete = true;
+
+                for (j = 0; j < columns.length; j++) {
+                    // Column is not in this object or is blank, the row can't be paired
+                    if (!json[i].hasOwnProperty(columns[j]) || json[i][columns[j]] === "") {
+                        missingColumns[columns[j]]++;
+                        complete = false;
+
+                        // if column is missing the whole length of the json
+                        // it doesn't exist, throw error
+                        if (missingColumns[columns[j]] === json.length) {
+                            throw new Error("The column " + columns[j] + " does not exist; or, if you're sure it does, the json might be broken. Verify the JSON before continuing.");
+                        }
+
+                    // column property argument listed must only consist of numbers
+                    } else if (isNaN(json[i][columns[j]])) {
+                        throw new Error("The column " + columns[j] + " does not contain only numbers and has to for this operation.");
+                    }
+                }
+
+                if (!complete) {
+                    continue;
+                }
+
+                // If a callback has been used, filter data
+                if (filterCb) {
+                    filterResult = filterCb(json[i]);
+
+                    // callback must return true or false
+                    if (filterResult !== true && filterResult !== false) {
+                        throw new Error("The function " + filterCb + " must return either true or false.");
+                    }
+
+                    if (filterResult === false) {
+                        continue;
+                    }
+                }
+
+                validationReport.validJson.push(json[i]);
+                validationReport.count++;
+            }
+
+            // Default return
+            return validationReport;
+        };
+
+        /**
+         * Splits the valid values of a column into groups based on the distinct values of another (categorical) column
+         * Each group is returned as ValidJson so the descriptive statistics can be used on it without re-validating
+         * Groups are kept in the order they first appear in the data
+         *
+         * @param JsonArray json
+         * @param String valueColumn
+         * @param String groupColumn
+         * @param function filterCb
+         *     takes an object in the JSON array
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var groupJson = function(json, valueColumn, groupColumn, filterCb) {
+            if (typeof groupColumn !== "string") {
+                throw new Error("The group column name must be passed as strings: " + groupColumn + ".");
+            }
+
+            // Validate the value column (errors are thrown from validateJson)
+            var validationReport = validateJson(json, valueColumn, filterCb),
+                groupIndex = {},    // position of each group in the groups array, keyed by group value
+                groups = [],        // array of {group: group value, json: ValidJson}
+                groupValue,
+                row,
+                i;
+
+            for (i = 0; i < validationReport.validJson.length; i++) {
+                row = validationReport.validJson[i];
+
+                // Rows without a value or a group can't be placed in a group
+                if (row[valueColumn] === "" || !row.hasOwnProperty(groupColumn) || row[groupColumn] === "") {
+                    continue;
+                }
+
+                groupValue = row[groupColumn];
+
+                if (!groupIndex.hasOwnProperty(groupValue)) {
+                    groupIndex[groupValue] = groups.length;
+                    groups.push({
+                        "group": groupValue,
+                        "json": []
+                    });
+                }
+
+                groups[groupIndex[groupValue]].json.push(row);
+            }
+
+            if (groups.length === 0) {
+                throw new Error("The group column " + groupColumn + " does not exist or has no values; or, if you're sure it does, the json might be broken. Verify the JSON before continuing.");
+            }
+
+            // Convert each group to validated json for use by the descriptive statistics
+            for (i = 0; i < groups.length; i++) {
+                groups[i].json = new ValidJson(groups[i].json, groups[i].json.length);
+            }
+
+            return groups;
+        };
+
+        /**
+         * Runs the same test on each column of an array of columns and adjusts the resulting
+         *     p-values for the multiple comparisons (see globalObject.padjust)
+         * Returns an object for each column in the order of the columns:
+         *     {column, p, adjustedP, result}, where result is what the test returns for that column alone
+         *
+         * @param Array columns
+         * @param function test
+         *     takes a column name and returns the result of the test on that column
+         *     (a p-value or an object with a "p" property)
+         * @param String adjustMethod
+         */
+        var testColumns = function(columns, test, adjustMethod) {
+            if (columns.length === 0) {
+                throw new Error("At least one column must be provided in the array of columns");
+            }
+
+            var results = columns.map(test),
+                pValues = results.map(function(result) {
+                    return typeof result === "number" ? result : result.p;
+                }),
+                adjustedP = globalObject.padjust(pValues, adjustMethod);
+
+            return columns.map(function(column, i) {
+                return {
+                    "column": column,
+                    "p": pValues[i],
+                    "adjustedP": adjustedP[i],
+                    "result": results[i]
+                };
+            });
+        };
+
+        /**
+         * Counts the occurrences of each distinct value (category) of a column
+         * Unlike validateJson, the values do not have to be numbers; rows missing the column or with a
+         *     blank value are skipped
+         * Categories are kept in the order they first appear in the data
+         *
+         * @param JsonArray json
+         * @param String column
+         * @param function filterCb
+         *     takes an object in the JSON array
+         *     should return true or false
+         *     used to filter rows based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var tabulateJson = function(json, column, filterCb) {
+            var errors = [],
+                table = {
+                    "categories": [],
+                    "counts": []
+                },
+                position,
+                filterResult;
+
+            // Make sure json is actually an array
+            if (!(json instanceof Array)) {
+                errors.push("Data must be in a JSON format starting with an array");
+            }
+
+            // Insure that column passed is a string
+            if (typeof column !== "string") {
+                errors.push("The column name must be passed as strings: " + column + ".");
+            }
+
+            // If a callback has been used but is not a function, return error
+            if (filterCb && typeof filterCb !== "function") {
+                errors.push("The function " + filterCb + " is not a function or is improperly formed.");
+            }
+
+            if (errors.length > 0) {
+                throw new Error(errors.join("; "));
+            }
+
+            for (var i = 0; i < json.length; i++) {
+                if (!(json[i] instanceof Object) || (json[i] instanceof Array)) {
+                    throw new Error("The JSON array must be filled with objects");
+                }
+
+                if (!json[i].hasOwnProperty(column) || json[i][column] === "") {
+                    continue;
+                }
+
+                // If a callback has been used, filter data
+                if (filterCb) {
+                    filterResult = filterCb(json[i]);
+
+                    // callback must return true or false
+                    if (filterResult !== true && filterResult !== false) {
+                        throw new Error("The function " + filterCb + " must return either true or false.");
+                    }
+
+                    if (filterResult === false) {
+                        continue;
+                    }
+                }
+
+                position = table.categories.indexOf(json[i][column]);
+
+                if (position === -1) {
+                    table.categories.push(json[i][column]);
+                    table.counts.push(1);
+                } else {
+                    table.counts[position]++;
+                }
+            }
+
+            if (table.categories.length === 0) {
+                throw new Error("The column " + column + " does not exist or has no values; or, if you're sure it does, the json might be broken. Verify the JSON before continuing.");
+            }
+
+            return table;
+        };
+
+        /**
+         * Counts the occurrences of each combination of the distinct values (categories) of two columns
+         *     (a contingency table)
+         * Rows missing either column or with a blank value in either column are skipped
+         * Categories are kept in the order they first appear in the data
+         *
+         * @param JsonArray json
+         * @param String rowColumn
+         * @param String colColumn
+         * @param function filterCb
+         *     takes an object in the JSON array
+         *     should return true or false
+         *     used to filter rows based on values in the same columns or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var crossTabulateJson = function(json, rowColumn, colColumn, filterCb) {
+            if (typeof colColumn !== "string") {
+                throw new Error("The column name must be passed as strings: " + colColumn + ".");
+            }
+
+            if (filterCb && typeof filterCb !== "function") {
+                throw new Error("The function " + filterCb + " is not a function or is improperly formed.");
+            }
+
+            // Tabulate the row column with only the rows that have both values
+            // (errors for the json, the row column and the filter are thrown from tabulateJson)
+            var rowTable = tabulateJson(json, rowColumn, function(row) {
+                    if (!row.hasOwnProperty(colColumn) || row[colColumn] === "") {
+                        return false;
+                    }
+
+                    return filterCb ? filterCb(row) : true;
+                }),
+                table = {
+                    "rowCategories": rowTable.categories,
+                    "colCategories": [],
+                    "counts": []
+                },
+                rowPosition,
+                colPosition,
+                i,
+                j;
+
+            for (i = 0; i < table.rowCategories.length; i++) {
+                table.counts.push([]);
+            }
+
+            for (i = 0; i < json.length; i++) {
+                if (!json[i].hasOwnProperty(rowColumn) || json[i][rowColumn] === "" || !json[i].hasOwnProperty(colColumn) || json[i][colColumn] === "") {
+                    continue;
+                }
+
+                if (filterCb && filterCb(json[i]) === false) {
+                    continue;
+                }
+
+                rowPosition = table.rowCategories.indexOf(json[i][rowColumn]);
+                colPosition = table.colCategories.indexOf(json[i][colColumn]);
+
+                // New column category, every row starts with a count of 0
+                if (colPosition === -1) {
+                    colPosition = table.colCategories.length;
+                    table.colCategories.push(json[i][colColumn]);
+
+                    for (j = 0; j < table.counts.length; j++) {
+                        table.counts[j].push(0);
+                    }
+                }
+
+                table.counts[rowPosition][colPosition]++;
+            }
+
+            return table;
+        };
+
+        /**
+         * Ranks an array of numbers from smallest (rank 1) to largest, tied values all get the average of their ranks
+         * Returns the ranks in the same order as the values along with the size of each group of tied values
+         *     (used in tie corrections)
+         *
+         * @param Array values
+         */
+        var rankValues = function(values) {
+            var indexed = [],
+                sorted,
+                ranking = {
+                    "ranks": [],
+                    "ties": []
+                },
+                averageRank,
+                i,
+                j,
+                k;
+
+            // Remember where each value came from, since the sorted copy is in a different order
+            for (i = 0; i < values.length; i++) {
+                indexed.push({
+                    "value": values[i],
+                    "index": i
+                });
+            }
+
+            sorted = jsonSort(indexed, "value");
+
+            for (i = 0; i < sorted.length; i = j) {
+                // Find the end of the group of values tied with this one
+                j = i + 1;
+
+                while (j < sorted.length && sorted[j].value === sorted[i].value) {
+                    j++;
+                }
+
+                // Ranks i + 1 through j averaged
+                averageRank = (i + 1 + j) / 2;
+
+                for (k = i; k < j; k++) {
+                    ranking.ranks[sorted[k].index] = averageRank;
+                }
+
+                if (j - i > 1) {
+                    ranking.ties.push(j - i);
+                }
+            }
+
+            return ranking;
+        };
+
+        /**
+         * Ranks the values of a column (see rankValues)
+         * The json is expected to be validated with a number in the column of every object
+         *
+         * @param JsonArray json
+         * @param String column
+         */
+        var rankJson = function(json, column) {
+            return rankValues(json.map(function(row) {
+                return parseFloat(row[column]);
+            }));
+        };
+
+        /**
+         * A simple function with error checking to sum an array
+         * Since a loop for addition of all data is required, validation is done while parsing data
+         * 
+         * @param (JSON array) json
+         * @param String column
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var sum = function(json, column, filterCb) {
+            // Holds the total that is returned if the function is successful
+            var total = 0,
+                errors = [];
+
+            // Is json an array in the first place
+            if (!(json instanceof Array)) {
+                errors.push("Data must be passed as a JSON array starting with an array");
+            }
+
+            // Is the column appropriate to be passed as the name of an object property
+            if (typeof column !== "string") {
+                errors.push("The column must be provided as a string");
+            }
+
+            // Grab errors and print
+            if (errors.length > 0) {
+                throw new Error(errors.join("; "));
+            }
+
+            // Begin going through JSON array
+            for (var i = 0; i < json.length; i++) {
+                // Does the JSON array contain objects
+                if (!(json[i] instanceof Object)) {
+                    throw new Error("The JSON array must be filled with objects");
+                }
+
+                // Do the objects have the property passed in the column param
+                if (!json[i].hasOwnProperty(column)) {
+                    throw new Error("The column selected does not exist, or, if you're sure it does, the json might be broken.  Verify the JSON before continuing.");
+                }
+
+                // Are values in the column param property numbers
+                if (isNaN(json[i][column])) {
+                    throw new Error("All values of the chosen column must be numbers for the summmation");
+                }
+
+                // Use filter if it exists
+                if(filterCb && filterCb(json[i]) === false) {
+                    continue;
+                }
+
+                total += parseFloat(json[i][column]);
+            }
+
+            return total;
+        };
+
+        /**
+         * Calculates the sumOfSquares of a data set (column)
+         * Data in column can be filtered with callback (filterCb)
+         * This calculation is used in many statistical functions but itself is not useful
+         * 
+         * @param (JSON array) json
+         * @param String column
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var sumOfSquares = function(json, column, filterCb) {
+            // If JSON has already been validated, crunch numbers
+            if (json instanceof ValidJson) {
+                var total = 0;
+                var avg = mean(json, column, filterCb);
+
+                for (var i = 0; i < json.validJson.length; i++) {
+                    total += Math.pow((parseFloat(json.validJson[i][column]) - avg), 2);
+                }
+
+                return total;
+
+           // Data has not been validated
+            } else {
+
+                // Attempt to validate... everything!!!
+                try {
+                    var validationReport = validateJson(json, column, filterCb);
+                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
+                    return sumOfSquares(validJson, column, filterCb);
+                
+                // Validation failed, catch errors
+                } catch (err) {
+                    
+                    // Re-throw for catching later
+                    throw err;
+                }
+            }
+        };
+
+        /*=============================================*
+         * Descriptive Statistics or Sample Statistics *
+         *=============================================*/
+
+        var count = function(json, column, filterCb) {
+            // If JSON has already been validated, crunch numbers
+            if (json instanceof ValidJson) {
+                return json.count;
+
+            // Data has not been validated
+            } else {
+
+                // Attempt to validate... everything!!!
+                try {
+                    var validationReport = validateJson(json, column, filterCb);
+                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
+                    return count(validJson, column, filterCb);
+                
+                // Validation failed, catch errors
+                } catch (err) {
+                    
+                    // Re-throw for catching later
+                    throw err;
+                }
+            }
+        };
+
+        self.count = function(column, filterCb) {
+            return count(self.json, column, filterCb);
+        };
+
+        /**
+         * Log transforms a column in the data set and returns the new data set
+         * Uses the base e for the transformation (because e is what the JavaScript Math library has)
+         * Returns a new JSON array with the transformed data
+         * Similar to the sum function, this function must go through all data, so validation is done while parsing
+         * 
+         * @param (JSON array) json
+         * @param String column
+         */
+        var logtrans = function(json, column) {
+            // set up something to catch errors
+            var errors = [];
+
+            // Is json an array in the first place
+            if (!(json instanceof Array)) {
+                errors.push("Data must be passed as a JSON array starting with an array");
+            }
+
+            // Is the column appropriate to be passed as the name of an object property
+            if (typeof column !== "string") {
+                errors.push("The column must be provided as a string");
+            }
+
+            // Grab errors and print
+            if (errors.length > 0) {
+                throw new Error(errors.join("; "));
+            }
+
+            // Copy json array so that the original data is not affected
+            // This is, admittedly a little bit of a hack, but...
+            var transformedJson = JSON.parse(JSON.stringify(json));
+
+            for (var i = 0; i < transformedJson.length; i++) {
+                // Does the JSON array contain objects
+                if (!(json[i] instanceof Object)) {
+                    throw new Error("The JSON array must be filled with objects");
+                }
+
+                // Do the objects have the property passed in the column param
+                if (!transformedJson[i].hasOwnProperty(column)) {
+                    throw new Error("The column selected does not exist, or, if you're sure it does, the json might be broken.  Verify the JSON before continuing.");
+                }
+
+                // Are values in the column param property numbers
+                if (isNaN(transformedJson[i][column])) {
+                    throw new Error("All values of the chosen column must be numbers for the logarithm transformation");
+                }
+
+                // Log transform the specified column in the JSON data
+                transformedJson[i][column] = Math.log(transformedJson[i][column]);
+            }
+
+            return transformedJson;
+        };
+
+        // Add logtrans to prototype and return new JsonData for stringing methods
+        self.logtrans = function(column) {
+            return new JsonData(logtrans(self.json, column));
+        };
+
+        /**
+         * Calculates the minimum of a data set (column)
+         * Data in column can be filtered with callback (filterCb)
+         * 
+         * @param (JSON array) json
+         * @param String column
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var min = function(json, column, filterCb) {
+            // If JSON has already been validated, crunch numbers
+            if (json instanceof ValidJson) {
+                var sortedJson = jsonSort(json.validJson, column);      // sort json on column
+                return parseFloat(sortedJson[0][column]);               // return first value (minimum)
+            
+            // Data has not been validated
+            } else {
+
+                // Attempt to validate... everything!!!
+                try {
+                    var validationReport = validateJson(json, column, filterCb);
+                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
+                    return min(validJson, column, filterCb);
+                } catch (err) {
+                    
+                    // Re-throw for catching later
+                    throw err;
+                }
+            }
+        };
+
+        // Add min to prototype for easy access
+        self.min = function(column, filterCb) {
+            return min(self.json, column, filterCb);
+        };
+
+        /**
+         * Calculates the maximum of a data set (column)
+         * Data in column can be filtered with callback (filterCb)
+         * 
+         * @param (JSON array) json
+         * @param String column
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var max = function(json, column, filterCb) {
+            // If JSON has already been validated, crunch numbers
+            if (json instanceof ValidJson) {
+                var sortedJson = jsonSort(json.validJson, column);        // sort json on column
+                return parseFloat(sortedJson[json.count - 1][column]);    // return last value (maximum)
+
+            // Data has not been validated
+            } else {
+
+                // Attempt to validate... everything!!!
+                try {
+                    var validationReport = validateJson(json, column, filterCb);
+                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
+                    return max(validJson, column, filterCb);
+                
+                // Validation failed, catch errors
+                } catch (err) {
+                    
+                    // Re-throw for catching later
+                    throw err;
+                }
+            }
+        };
+
+        // Add max to prototype for easy access
+        self.max = function(column, filterCb) {
+            return max(self.json, column, filterCb);
+        };
+
+
+        /**
+         * Calculates the range of a data set (column)
+         * Data in column can be filtered with callback (filterCb)
+         * 
+         * @param (JSON array) json
+         * @param String column
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var range = function(json, column, filterCb) {
+            // If JSON has already been validated, crunch numbers
+            if (json instanceof ValidJson) {
+                return max(json, column, filterCb) - min(json, column, filterCb);
+
+            // Data has not been validated
+            } else {
+
+                // Attempt to validate... everything!!!
+                try {
+                    var validationReport = validateJson(json, column, filterCb);
+                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
+                    return range(validJson, column, filterCb);
+                
+                // Validation failed, catch errors
+                } catch (err) {
+                    
+                    // Re-throw for catching later
+                    throw err;
+                }
+             }
+        };
+
+        // Add range to prototype for easy access
+        self.range = function(column, filterCb) {
+            return range(self.json, column, filterCb);
+        };
+
+        /**
+         * Calculates the mean of a data set (column)
+         * Data in column can be filtered with callback (filterCb)
+         * 
+         * @param (JSON array) json
+         * @param String column
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var mean = function(json, column, filterCb) {
+            // If JSON has already been validated, crunch numbers
+            if (json instanceof ValidJson) {
+                return sum(json.validJson, column, filterCb)/json.count;
+
+            // Data has not been validated
+            } else {
+
+                // Attempt to validate... everything!!!
+                try {
+                    var validationReport = validateJson(json, column, filterCb);
+                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
+                    return mean(validJson, column, filterCb);
+                
+                // Validation failed, catch errors
+                } catch (err) {
+                    
+                    // Re-throw for catching later
+                    throw err;
+                }
+            }
+        };
+
+        // Allowing JsonData to have access to mean for easy calculation on any column
+        self.mean = function(column, filterCb) {
+            return mean(self.json, column, filterCb);
+        };
+
+        /**
+         * Calculates the geometric mean of a data set (column)
+         * Data in column can be filtered with callback (filterCb)
+         * 
+         * @param (JSON array) json
+         * @param String column
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var geomean = function(json, column, filterCb) {
+            // If JSON has already been validated, crunch numbers
+            if (json instanceof ValidJson) {
+                var logJson = logtrans(json.validJson, column);
+                return Math.exp(sum(logJson, column, filterCb)/json.count);
+
+            // Data has not been validated
+            } else {
+
+
+                // Attempt to validate... everything!!!
+                try {
+                    var validationReport = validateJson(json, column, filterCb);
+                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
+                    return geomean(validJson, column, filterCb);
+                
+                // Validation failed, catch errors
+                } catch (err) {
+                    
+                    // Re-throw for catching later
+                    throw err;
+                }
+            }
+        };
+
+        // Allow easy access to geomean through prototype
+        self.geomean = function(column, filterCb) {
+            return geomean(self.json, column, filterCb);
+        };
+
+        /**
+         * Calculates the variance of a data set (column)
+         * Data in column can be filtered with callback (filterCb)
+         * 
+         * @param (JSON array) json
+         * @param String column
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var variance = function(json, column, filterCb) {
+            // If JSON has already been validated, crunch numbers
+            if (json instanceof ValidJson) {
+                
+                // Filter count if needed
+                return sumOfSquares(json, column, filterCb)/(json.count - 1);
+
+            // Data has not been validated
+            } else {
+
+
+                // Attempt to validate... everything!!!
+                try {
+                    var validationReport = validateJson(json, column, filterCb);
+                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
+                    return variance(validJson, column, filterCb);
+                
+                // Validation failed, catch errors
+                } catch (err) {
+                    
+                    // Re-throw for catching later
+                    throw err;
+                }
+            }
+        };
+
+        // Add variance to prototype for easy access
+        self.variance = function(column, filterCb) {
+            return variance(self.json, column, filterCb);
+        };
+
+        /**
+         * Calculates the standard deviation of a data set (column)
+         * Data in column can be filtered with callback (filterCb)
+         * 
+         * @param (JSON array) json
+         * @param String column
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var stdev = function(json, column, filterCb) {
+            // If JSON has already been validated, crunch numbers
+            if (json instanceof ValidJson) {
+                return Math.sqrt(variance(json, column, filterCb));
+            
+            // Data has not been validated
+            } else {
+
+                // Attempt to validate... everything!!!
+                try {
+                    var validationReport = validateJson(json, column, filterCb);
+                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
+                    return stdev(validJson, column, filterCb);
+                
+                // Validation failed, catch errors
+                } catch (err) {
+                    
+                    // Re-throw for catching later
+                    throw err;
+                }
+            }
+        };
+
+        // Add stdev to prototype for easy access
+        self.stdev = function(column, filterCb) {
+            return stdev(self.json, column, filterCb);
+        };
+
+        /**
+         * Calculates the standard error of the sample mean
+         * 
+         * @param (JSON array) json
+         * @param String column
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var stderror = function(json, column, filterCb) {
+            // If JSON has already been validated, crunch numbers
+            if (json instanceof ValidJson) {
+                return stdev(json, column, filterCb)/Math.sqrt(json.count);
+            
+            // Data has not been validated
+            } else {
+
+                // Attempt to validate... everything!!!
+                try {
+                    var validationReport = validateJson(json, column, filterCb);
+                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
+                    return stderror(validJson, column, filterCb);
+                
+                // Validation failed, catch errors
+                } catch (err) {
+                    
+                    // Re-throw for catching later
+                    throw err;
+                }
+            }
+        };
+
+        // Attach stderror function to the self for easy access
+        self.stderror = function(column, filterCb) {
+            return stderror(self.json, column, filterCb);
+        };
+
+        /**
+         * Calculates the kth percentile (weighted, exclusive) of a data set (column)
+         * Function comes from (https://en.wikipedia.org/wiki/Percentile#NIST_method)
+         * Data in column can be filtered with callback (filterCb)
+         * 
+         * @param Number k
+         * @param (JSON array) json
+         * @param String column
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var percentile = function(k, json, column, filterCb) {
+            // If JSON has already been validated, crunch numbers
+            if (json instanceof ValidJson) {
+
+                // Validate that k is a number in the appropriate domain [0, 100]
+                if (typeof k === "number" && k >= 0 && k <= 100) {
+                    
+                    // Sort the data
+                    var sortedJson = jsonSort(json.validJson, column);
+
+                    // Position used to determine percentile ((k/100) * (n + 1))
+                    // Because arrays are 0-based, subtract 1 to correct locator position
+                    var locatorPos = (k/100) * (json.count + 1),
+                        locatorPosInt = Math.floor(locatorPos),
+                        locatorPosDec = locatorPos - locatorPosInt;
+
+                    // The 0th percentile doesn't technically exist, but can be considered to be the min value
+                    if (k === 0) {
+                        return parseFloat(sortedJson[0][column]);
+
+                    // The 100th percentile also doesn't technically exist, but can be considered to be the max value
+                    } else if (k === 100) {
+                        return parseFloat(sortedJson[json.count - 1][column]);
+
+                    // formula based on NIST suggestion, this is a weighted non-exclusive percentile
+                    } else {
+                        return parseFloat(sortedJson[locatorPosInt - 1][column]) + parseFloat(locatorPosDec) * (parseFloat(sortedJson[locatorPosInt][column]) - parseFloat(sortedJson[locatorPosInt - 1][column]));
+                    }
+
+                // k was not a number or it was not in the range
+                } else {
+                    throw new Error("The kth percentile must be a number between 1 and 100: " + k);
+                }
+            // Data has not been validated
+            } else {
+
+
+                // Attempt to validate... everything!!!
+                try {
+                    var validationReport = validateJson(json, column, filterCb);
+                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
+                    return percentile(k, validJson, column, filterCb);
+                
+                // Validation failed, catch errors
+                } catch (err) {
+                    
+                    // Re-throw for catching later
+                    throw err;
+                }
+            }
+        };
+
+        // Add percentile to prototype for easy access
+        self.percentile = function(k, column, filterCb) {
+            return percentile(k, self.json, column, filterCb);
+        };
+
+        /**
+         * Calculates the median of a data set (column)
+         * Data in column can be filtered with callback (filterCb)
+         * A median is a type of percentile (k = 50), so this function depends on percentile
+         * 
+         * @param (JSON array) json
+         * @param String column
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var median = function(json, column, filterCb) {
+            // If JSON has already been validated, crunch numbers
+            if (json instanceof ValidJson) {
+
+                // Median is the 50th percentile
+                return percentile(50, json.validJson, column, filterCb);
+
+            // Data has not been validated
+            } else {
+
+                // Attempt to validate... everything!!!
+                try {
+                    var validationReport = validateJson(json, column, filterCb);
+                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
+                    return median(validJson, column, filterCb);
+                
+                // Validation failed, catch errors
+                } catch (err) {
+                    
+                    // Re-throw for catching later
+                    throw err;
+                }
+            }
+        };
+
+        // Add median to prototype for easy access
+        self.median = function(column, filterCb) {
+            return median(self.json, column, filterCb);
+        };
+
+        /**
+         * Calculates the quartiles (exclusive) of a data set (column)
+         * Data in column can be filtered with callback (filterCb)
+         * Quartiles are types of percentile (k = 50), so this function depends on percentile
+         * 
+         * @param Number type
+         * @param (JSON array) json
+         * @param String column
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var quartile = function(type, json, column, filterCb) {
+            // If JSON has already been validated, crunch numbers
+            if (json instanceof ValidJson) {
+
+                // Quartiles are special percentiles, so using the type of quartile to calculate the related percentile
+                if (type === 1) {
+                    return percentile(25, json.validJson, column, filterCb);
+                } else if (type === 2) {
+                    return percentile(50, json.validJson, column, filterCb);
+                } else if (type === 3) {
+                    return percentile(75, json.validJson, column, filterCb);
+                } else if (type === 4) {
+                    return percentile(100, json.validJson, column, filterCb);
+                } else {
+                    throw new Error(type + " is not a quartile. Appropriate quartiles are 1, 2, 3, 4");
+                }
+
+           // Data has not been validated
+            } else {
+
+
+                // Attempt to validate... everything!!!
+                try {
+                    var validationReport = validateJson(json, column, filterCb);
+                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
+                    return quartile(type, validJson, column, filterCb);
+                
+                // Validation failed, catch errors
+                } catch (err) {
+                    
+                    // Re-throw for catching later
+                    throw err;
+                }
+            }
+        };
+
+        // Add quartile to prototype for easy access
+        self.quartile = function(type, column, filterCb) {
+            return quartile(type, self.json, column, filterCb);
+        };
+
+
+        /**
+         * Calculates the mode of a data set (column)
+         * Data in column can be filtered with callback (filterCb)
+         * 
+         * @param Number type
+         * @param (JSON array) json
+         * @param String column
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var mode = function(json, column, filterCb) {
+            // If JSON has already been validated, crunch numbers
+            if (json instanceof ValidJson) {
+
+                var sortedJson = jsonSort(json.validJson, column);
+
+                var currentCount = 0,         // Changed each time a new number appears
+                    rememberedCount = 0,      // Highest count remembered so far
+                    rememberedValues = [];    // Values with the highest count currently, set as an array to hold more than one mode
+
+                // Starting sortedJson at 2nd value to avoid initial edge effect
+                for (var i = 1; i < json.count; i++) {
+
+                    // If callback returns false (data does not match user submitted filter)
+                    if (filterCb && filterCb(json.validJson[i]) === false) continue;
+
+                    // If the current value is the same as the previous, increment counter (it has occurred more than once)
+                    if (sortedJson[i][column] === sortedJson[i - 1][column]) {
+                        // The first number is not counted because the number before it was different;
+                        // therefore, the count is always 1 less than the total actually occurring
+                        currentCount++;
+
+                    // The current value is new, begin storing state
+                    } else {
+
+                        // The current group of same numbers is larger than any previous
+                        if (currentCount > rememberedCount) {
+                            rememberedValues = [];                                           // reset current sortedJson array of values (anything stored occurs less frequently)
+                            rememberedValues.push(parseFloat(sortedJson[i - 1][column]));    // put the previous value (last member of group) into sortedJson to be remembered
+                            rememberedCount = currentCount;                                  // Pass the current count to the remembered count as the highest remembered count
+                            currentCount = 0;                                                // reset the current count
+
+                        // Current count is equal to the last highest remembered (don't fill this if count is 0 (no two equal values); this is not a mode!)
+                        } else if (currentCount === rememberedCount && currentCount !== 0) {
+                            rememberedValues.push(parseFloat(sortedJson[i - 1][column]));    // simply add the last number of the group to the sortedJson with any others
+                            currentCount = 0;                                                // reset counter
+                        
+                        // Current counter did not exceed highest remembered count (this number is obviously not the mode)
+                        } else {
+                            currentCount = 0;    // reset counter
+                        }
+                    }
+                }
+
+                // A count of 1 is not a mode!!
+                if (rememberedCount === 0) {
+                    return "DNE";
+                } else {
+                    return rememberedValues;
+                }
+
+           // Data has not been validated
+            } else {
+
+
+                // Attempt to validate... everything!!!
+                try {
+                    var validationReport = validateJson(json, column, filterCb);
+                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
+                    return mode(validJson, column, filterCb);
+                
+                // Validation failed, catch errors
+                } catch (err) {
+                    
+                    // Re-throw for catching later
+                    throw err;
+                }
+            }
+        };
+
+        // Add mode to prototype for easy access
+        self.mode = function(column, filterCb) {
+            return mode(self.json, column, filterCb);
+        };
+
+        /*=======================================*
+         * Distributions and Their Related Tests *
+         *=======================================*/
+
+        /* --------------------- *
+         * Binomial Distribution *
+         * --------------------- */
+
+        // Objects containing Binomial distribution methods
+        var binom = {};
+        self.binom = {};
+
+        /**
+         * Performs an exact binomial test on a data set (column) against a hypothesized probability of success
+         * Each non-blank value in the column is a trial, and each value equal to successValue is a success
+         *     (compared as strings, so 1 and "1" are the same success value)
+         *     (see globalObject.binom.test)
+         * Data in column can be filtered with callback (filterCb)
+         *
+         * @param (JSON array) json
+         * @param String or Array column
+         *     an array of columns runs the test on each column (see testColumns)
+         * @param String or Number successValue
+         * @param Float expectedProb
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in columns used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         * @param Number or String alternative
+         * @param String adjustMethod (see globalObject.padjust, only used with an array of columns)
+         */
+        binom.test = function(json, column, successValue, expectedProb, filterCb, alternative, adjustMethod) {
+            // The alternative may be passed in place of filterCb
+            if (typeof alternative === "undefined" && (typeof filterCb === "string" || typeof filterCb === "number")) {
+                alternative = filterCb;
+                filterCb = undefined;
+            }
+
+            // Test each column and adjust the p-values for the multiple comparisons
+            if (column instanceof Array) {
+                return testColumns(column, function(eachColumn) {
+                    return binom.test(json, eachColumn, successValue, expectedProb, filterCb, alternative);
+                }, adjustMethod);
+            }
+
+            // Count the trials and successes (errors are thrown from tabulateJson)
+            // Values parsed from a file are strings, so the success value is compared as a string
+            var table = tabulateJson(json, column, filterCb),
+                position = table.categories.map(String).indexOf(String(successValue)),
+                trials = 0,
+                result;
+
+            for (var i = 0; i < table.counts.length; i++) {
+                trials += table.counts[i];
+            }
+
+            result = globalObject.binom.test(position === -1 ? 0 : table.counts[position], trials, expectedProb, alternative);
+            result.successes = position === -1 ? 0 : table.counts[position];
+            result.trials = trials;
+
+            return result;
+        };
+
+        // Allowing JsonData to have access to binom.test for easy calculation on any column
+        self.binom.test = function(column, successValue, expectedProb, filterCb, alternative, adjustMethod) {
+            return binom.test(self.json, column, successValue, expectedProb, filterCb, alternative, adjustMethod);
+        };
+
+        /* ------------------- *
+         * Normal Distribution *
+         * ------------------- */
+
+        // Objects containing Normal distribution methods
+        var norm = {};
+        self.norm = {};
+
+        /**
+         * Calculates the confidence interval of the difference between the means of two data sets (columns)
+         *     (mean of columnA - mean of columnB) if the population standard deviations are known
+         * Missing values are dropped from each column separately
+         * Data in columns can be filtered with callback (filterCb)
+         *
+         * @param Float alpha
+         * @param Float popStdevA
+         * @param Float popStdevB
+         * @param (JSON array) json
+         * @param String columnA
+         * @param String columnB
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in columns used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        norm.conf2s = function(alpha, popStdevA, popStdevB, json, columnA, columnB, filterCb, type) {
+            // sanitize the data
+            if (isNaN(alpha) || alpha > 1 || alpha < 0){
+                throw new Error("norm.conf2s: alpha must be a number between 0 and 1");
+            }
+
+            // The interval type may be passed in place of filterCb
+            if (typeof type === "undefined" && (typeof filterCb === "string" || typeof filterCb === "number")) {
+                type = filterCb;
+                filterCb = undefined;
+            }
+
+            // Validate each column on its own, dropping only its blank values (errors are thrown from validateJsonColumns)
+            var validationReportA = validateJsonColumns(json, [columnA], filterCb),
+                validationReportB = validateJsonColumns(json, [columnB], filterCb),
+                validJsonA = new ValidJson(validationReportA.validJson, validationReportA.count),
+                validJsonB = new ValidJson(validationReportB.validJson, validationReportB.count);
+
+            return globalObject.norm.conf2s(alpha, mean(validJsonA, columnA, filterCb), popStdevA, validJsonA.count, mean(validJsonB, columnB, filterCb), popStdevB, validJsonB.count, type);
+        };
+
+        // Allowing JsonData to have access to norm.conf2s for easy calculation on any two columns
+        self.norm.conf2s = function(alpha, popStdevA, popStdevB, columnA, columnB, filterCb, type) {
+            return norm.conf2s(alpha, popStdevA, popStdevB, self.json, columnA, columnB, filterCb, type);
+        };
+
+        /* -------------- *
+         * T Distribution *
+         * -------------- */
+
+        // Objects containing T distribution methods
+        var t = {};
+        self.t = {};
+
+        /**
+         * Calculates the confidence interval of the mean of a data set (column) assuming 
+         *     that the population variance is not known
+         * Data in column can be filtered with callback (filterCb)
+         * 
+         * @param Float alpha
+         * @param (JSON array) json
+         * @param String column
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        t.conf = function(alpha, json, column, filterCb, type) {
+            // sanitize the data
+            if (isNaN(alpha) || alpha > 1 || alpha < 0){
+                throw new Error("t.conf: alpha must be a number between 0 and 1");
+            }
+
+            // This function is called from another function
+            // Therefore, all arguments have values, but they might be undefined 
+            //     meaning that the user didn't put them into the function that calls
+            //     this function
+            // So, check for "undefined", not the number of arguments
+            if (typeof type === "undefined" && (typeof filterCb === "string" || typeof filterCb === "number")) {
+                type = filterCb;
+                filterCb = undefined;
+            }
+
+            // If JSON has already been validated, crunch numbers
+            if (json instanceof ValidJson) {
+                var sampleMean = mean(json.validJson, column, filterCb),
+                    sampleStdev = stdev(json.validJson, column, filterCb);
+
+                return globalObject.t.conf(alpha, sampleMean, sampleStdev, json.count, type);
+
+            // Data has not been validated
+            } else {
+
+                // Attempt to validate... everything!!!
+                try {
+                    var validationReport = validateJson(json, column, filterCb);
+                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
+                    return t.conf(alpha, validJson, column, filterCb, type);
+                
+                // Validation failed, catch errors
+                } catch (err) {
+                    
+                    // Re-throw for catching later
+                    throw err;
+                }
+            }
+        };
+        
+        // Allowing JsonData to have access to t.conf for easy calculation on any column
+        self.t.conf = function(alpha, column, filterCb, type) {
+            return t.conf(alpha, self.json, column, filterCb, type);
+        };
+        
+
+        /**
+         * Performs a 1 sample t test, returns the probability of achieving the data
+         *     given the expected mean
+         * Data in column can be filtered with callback (filterCb)
+         * 
+         * @param Float alpha
+         * @param (JSON array) json
+         * @param String or Array column
+         *     an array of columns runs the test on each column (see testColumns)
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         * @param Number or String alternative
+         * @param String adjustMethod (see globalObject.padjust, only used with an array of columns)
+         */
+        t.test1s = function(expectedMean, json, column, filterCb, alternative, adjustMethod) {
+            // sanitize the data
+            if (isNaN(expectedMean)){
+                throw new Error("t.test1s: the expected mean must be a number");
+            }
+
+            // This function is called from another function
+            // Therefore, all arguments have values, but they might be undefined 
+            //     meaning that the user didn't put them into the function that calls
+            //     this function
+            // So, check for "undefined", not the number of arguments
+            if (typeof alternative === "undefined" && (typeof filterCb === "string" || typeof filterCb === "number")) {
+                alternative = filterCb;
+                filterCb = undefined;
+            }
+
+            // Test each column and adjust the p-values for the multiple comparisons
+            if (column instanceof Array) {
+                return testColumns(column, function(eachColumn) {
+                    return t.test1s(expectedMean, json, eachColumn, filterCb, alternative);
+                }, adjustMethod);
+            }
+
+            // If JSON has already been validated, crunch numbers
+            if (json instanceof ValidJson) {
+                var sampleMean = mean(json.validJson, column, filterCb),
+                    sampleStdev = stdev(json.validJson, column, filterCb);
+                    
+                return globalObject.t.test1s(expectedMean, sampleMean, sampleStdev, json.count, alternative);
+
+            // Data has not been validated
+            } else {
+
+                // Attempt to validate... everything!!!
+                try {
+                    var validationReport = validateJson(json, column, filterCb);
+                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
+                    return t.test1s(expectedMean, validJson, column, filterCb, alternative);
+                
+                // Validation failed, catch errors
+                } catch (err) {
+                    
+                    // Re-throw for catching later
+                    throw err;
+                }
+            }
+        };
+
+        // Make the function available to the savvy stats object
+        self.t.test1s = function(expectedMean, column, filterCb, alternative, adjustMethod) {
+            return t.test1s(expectedMean, self.json, column, filterCb, alternative, adjustMethod);
+        };
+
+        /**
+         * Performs a 2 sample t test, returns the probability of achieving the difference between
+         *     the means of two data sets (columns) given that the population means are equal
+         * Missing values are dropped from each column separately
+         * Data in columns can be filtered with callback (filterCb)
+         *
+         * @param (JSON array) json
+         * @param String columnA
+         * @param String columnB
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in columns used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         * @param Number or String alternative
+         * @param Object options (see globalObject.t.test2s)
+         */
+        t.test2s = function(json, columnA, columnB, filterCb, alternative, options) {
+            // options and the alternative may each be passed in the place of an earlier argument
+            if (typeof options === "undefined" && typeof alternative === "object") {
+                options = alternative;
+                alternative = undefined;
+            }
+
+            if (typeof options === "undefined" && typeof filterCb === "object") {
+                options = filterCb;
+                filterCb = undefined;
+            }
+
+            if (typeof alternative === "undefined" && (typeof filterCb === "string" || typeof filterCb === "number")) {
+                alternative = filterCb;
+                filterCb = undefined;
+            }
+
+            // Validate each column on its own, dropping only its blank values (errors are thrown from validateJsonColumns)
+            var validationReportA = validateJsonColumns(json, [columnA], filterCb),
+                validationReportB = validateJsonColumns(json, [columnB], filterCb),
+                validJsonA = new ValidJson(validationReportA.validJson, validationReportA.count),
+                validJsonB = new ValidJson(validationReportB.validJson, validationReportB.count);
+
+            return globalObject.t.test2s(
+                mean(validJsonA, columnA, filterCb), stdev(validJsonA, columnA, filterCb), validJsonA.count,
+                mean(validJsonB, columnB, filterCb), stdev(validJsonB, columnB, filterCb), validJsonB.count,
+                alternative, options
+            );
+        };
+
+        // Make the function available to the savvy stats object
+        self.t.test2s = function(columnA, columnB, filterCb, alternative, options) {
+            return t.test2s(self.json, columnA, columnB, filterCb, alternative, options);
+        };
+
+        /**
+         * Calculates the confidence interval of the difference between the means of two data sets (columns)
+         *     (mean of columnA - mean of columnB) assuming that the population variances are not known
+         * Missing values are dropped from each column separately
+         * Data in columns can be filtered with callback (filterCb)
+         *
+         * @param Float alpha
+         * @param (JSON array) json
+         * @param String columnA
+         * @param String columnB
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in columns used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         * @param Int or String type
+         * @param Object options (see globalObject.t.conf2s)
+         */
+        t.conf2s = function(alpha, json, columnA, columnB, filterCb, type, options) {
+            // sanitize the data
+            if (isNaN(alpha) || alpha > 1 || alpha < 0){
+                throw new Error("t.conf2s: alpha must be a number between 0 and 1");
+            }
+
+            // options and the interval type may each be passed in the place of an earlier argument
+            if (typeof options === "undefined" && typeof type === "object") {
+                options = type;
+                type = undefined;
+            }
+
+            if (typeof options === "undefined" && typeof filterCb === "object") {
+                options = filterCb;
+                filterCb = undefined;
+            }
+
+            if (typeof type === "undefined" && (typeof filterCb === "string" || typeof filterCb === "number")) {
+                type = filterCb;
+                filterCb = undefined;
+            }
+
+            // Validate each column on its own, dropping only its blank values (errors are thrown from validateJsonColumns)
+            var validationReportA = validateJsonColumns(json, [columnA], filterCb),
+                validationReportB = validateJsonColumns(json, [columnB], filterCb),
+                validJsonA = new ValidJson(validationReportA.validJson, validationReportA.count),
+                validJsonB = new ValidJson(validationReportB.validJson, validationReportB.count);
+
+            return globalObject.t.conf2s(
+                alpha,
+                mean(validJsonA, columnA, filterCb), stdev(validJsonA, columnA, filterCb), validJsonA.count,
+                mean(validJsonB, columnB, filterCb), stdev(validJsonB, columnB, filterCb), validJsonB.count,
+                type, options
+            );
+        };
+
+        // Allowing JsonData to have access to t.conf2s for easy calculation on any two columns
+        self.t.conf2s = function(alpha, columnA, columnB, filterCb, type, options) {
+            return t.conf2s(alpha, self.json, columnA, columnB, filterCb, type, options);
+        };
+
+        /**
+         * Performs a paired t test on two data sets (columns) measured on the same rows
+         *     (e.g. before and after measurements)
+         * The difference is taken as columnA - columnB for each row and rows missing either value are skipped
+         * Returns the t statistic, degrees of freedom, probability, mean difference and the confidence
+         *     interval of the mean difference (one-sided intervals follow the direction of the alternative)
+         * Data in columns can be filtered with callback (filterCb)
+         *
+         * @param (JSON array) json
+         * @param String columnA
+         * @param String columnB
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter rows used for calculation based on values in the same columns or other columns
+         *     e.g. function(data) {data.column == "value";}
+         * @param Number or String alternative
+         * @param Float alpha (default 0.05) used for the confidence interval
+         */
+        t.testPaired = function(json, columnA, columnB, filterCb, alternative, alpha) {
+            // The alternative may be passed in place of filterCb
+            if (typeof alternative === "undefined" && (typeof filterCb === "string" || typeof filterCb === "number")) {
+                alternative = filterCb;
+                filterCb = undefined;
+            }
+
+            // Sets defaults and lowercases if filled with a string
+            alternative = typeof alternative === "undefined" ? 2 : typeof alternative === "string" ? alternative.toLowerCase() : alternative;
+            alpha = typeof alpha === "undefined" ? 0.05 : alpha;
+
+            // sanitize the data
+            if (isNaN(alpha) || alpha > 1 || alpha < 0){
+                throw new Error("t.testPaired: alpha must be a number between 0 and 1");
+            }
+
+            // Keep only the rows that have both values (errors are thrown from validateJsonColumns)
+            var validationReport = validateJsonColumns(json, [columnA, columnB], filterCb),
+                differences,
+                validJson,
+                meanDifference,
+                stdevDifference,
+                type;
+
+            if (validationReport.count < 2) {
+                throw new Error("t.testPaired: at least 2 rows with values in both " + columnA + " and " + columnB + " are needed");
+            }
+
+            // Differences of each pair form the single sample that is tested
+            differences = validationReport.validJson.map(function(row) {
+                return {
+                    "difference": parseFloat(row[columnA]) - parseFloat(row[columnB])
+                };
+            });
+
+            validJson = new ValidJson(differences, validationReport.count);
+            meanDifference = mean(validJson, "difference");
+            stdevDifference = stdev(validJson, "difference");
+
+            // Confidence interval matching the alternative (see globalObject.t.conf for the types)
+            if (alternative === 1 || alternative === "less") {
+                type = 1;
+            } else if (alternative === 3 || alternative === "greater") {
+                type = 3;
+            } else {
+                type = 2;
+            }
+
+            return {
+                "t": meanDifference / (stdevDifference / Math.sqrt(validJson.count)),
+                "df": validJson.count - 1,
+                "p": globalObject.t.test1s(0, meanDifference, stdevDifference, validJson.count, alternative),
+                "meanDifference": meanDifference,
+                "interval": globalObject.t.conf(alpha, meanDifference, stdevDifference, validJson.count, type)
+            };
+        };
+
+        // Make the function available to the savvy stats object
+        self.t.testPaired = function(columnA, columnB, filterCb, alternative, alpha) {
+            return t.testPaired(self.json, columnA, columnB, filterCb, alternative, alpha);
+        };
+
+        /* ----------------------- *
+         * Chi Square Distribution *
+         * ----------------------- */
+
+        // Objects containing chi square methods
+        var chisq = {};
+        self.chisq = {};
+
+        /**
+         * Calculates the confidence interval of the variance of a data set (column) assuming 
+         *     that the population variance is not known
+         * Data in column can be filtered with callback (filterCb)
+         * 
+         * @param Float alpha
+         * @param (JSON array) json
+         * @param String column
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        chisq.conf = function(alpha, json, column, filterCb, type) {
+            // sanitize the data
+            if (isNaN(alpha) || alpha > 1 || alpha < 0){
+                throw new Error("chisq.conf: alpha must be a number between 0 and 1");
+            }
+
+            // This function is called from another function
+            // Therefore, all arguments have values, but they might be undefined 
+            //     meaning that the user didn't put them into the function that calls
+            //     this function
+            // So, check for "undefined", not the number of arguments
+            if (typeof type === "undefined" && (typeof filterCb === "string" || typeof filterCb === "number")) {
+                type = filterCb;
+                filterCb = undefined;
+            }
+
+            // If JSON has already been validated, crunch numbers
+            if (json instanceof ValidJson) {
+                var sampleStdev = stdev(json.validJson, column, filterCb);
+                
+                return globalObject.chisq.conf(alpha, sampleStdev, json.count, type);
+
+            // Data has not been validated
+            } else {
+
+                // Attempt to validate... everything!!!
+                try {
+                    var validationReport = validateJson(json, column, filterCb);
+                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
+                    return chisq.conf(alpha, validJson, column, filterCb, type);
+                
+                // Validation failed, catch errors
+                } catch (err) {
+                    
+                    // Re-throw for catching later
+                    throw err;
+                }
+            }
+        };
+        // Add the chisq.conf function to the object as a method
+        self.chisq.conf = function(alpha, column, filterCb, type) {
+            return chisq.conf(alpha, self.json, column, filterCb, type);
+        };
+
+        /**
+         * Performs a 1 sample t test, returns the probability of achieving the data
+         *     given the expected mean
+         * Data in column can be filtered with callback (filterCb)
+         * 
+         * @param Float alpha
+         * @param (JSON array) json
+         * @param String or Array column
+         *     an array of columns runs the test on each column (see testColumns)
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         * @param Number or String alternative
+         * @param String adjustMethod (see globalObject.padjust, only used with an array of columns)
+         */
+        chisq.test1s = function(expectedStdev, json, column, filterCb, alternative, adjustMethod) {
+            // sanitize the data
+            if (isNaN(expectedStdev)){
+                throw new Error("chisq.test1s: the expected standard deviation must be a number");
+            }
+
+            // This function is called from another function
+            // Therefore, all arguments have values, but they might be undefined 
+            //     meaning that the user didn't put them into the function that calls
+            //     this function
+            // So, check for "undefined", not the number of arguments
+            if (typeof alternative === "undefined" && (typeof filterCb === "string" || typeof filterCb === "number")) {
+                alternative = filterCb;
+                filterCb = undefined;
+            }
+
+            // Test each column and adjust the p-values for the multiple comparisons
+            if (column instanceof Array) {
+                return testColumns(column, function(eachColumn) {
+                    return chisq.test1s(expectedStdev, json, eachColumn, filterCb, alternative);
+                }, adjustMethod);
+            }
+
+            // If JSON has already been validated, crunch numbers
+            if (json instanceof ValidJson) {
+                var sampleStdev = stdev(json.validJson, column, filterCb);
+                
+                return globalObject.chisq.test1s(expectedStdev, sampleStdev, json.count, alternative);
+
+            // Data has not been validated
+            } else {
+
+                // Attempt to validate... everything!!!
+                try {
+                    var validationReport = validateJson(json, column, filterCb);
+                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
+                    return chisq.test1s(expectedStdev, validJson, column, filterCb, alternative);
+                
+                // Validation failed, catch errors
+                } catch (err) {
+                    
+                    // Re-throw for catching later
+                    throw err;
+                }
+            }
+        };
+
+        // Make the function available to the savvy stats object
+        self.chisq.test1s = function(expectedStdev, column, filterCb, alternative, adjustMethod) {
+            return chisq.test1s(expectedStdev, self.json, column, filterCb, alternative, adjustMethod);
+        };
+
+        /**
+         * Performs a chi-square goodness-of-fit test on the categories of a data set (column)
+         * The occurrences of each distinct value in the column are counted and compared to the
+         *     expected proportions (see globalObject.chisq.gof)
+         * Data in column can be filtered with callback (filterCb)
+         *
+         * @param (JSON array) json
+         * @param String or Array column
+         *     an array of columns runs the test on each column (see testColumns)
+         * @param Object expectedProportions (default equal proportions)
+         *     keyed by category, e.g. {"red": 0.5, "green": 0.25, "blue": 0.25}
+         *     categories that are expected but never occur are counted as 0
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         * @param String adjustMethod (see globalObject.padjust, only used with an array of columns)
+         */
+        chisq.gof = function(json, column, expectedProportions, filterCb, adjustMethod) {
+            // filterCb may be passed in place of expectedProportions
+            if (typeof filterCb === "undefined" && typeof expectedProportions === "function") {
+                filterCb = expectedProportions;
+                expectedProportions = undefined;
+            }
+
+            // Test each column and adjust the p-values for the multiple comparisons
+            if (column instanceof Array) {
+                return testColumns(column, function(eachColumn) {
+                    return chisq.gof(json, eachColumn, expectedProportions, filterCb);
+                }, adjustMethod);
+            }
+
+            var table = tabulateJson(json, column, filterCb),
+                expected,
+                result,
+                category;
+
+            if (typeof expectedProportions !== "undefined") {
+                if (typeof expectedProportions !== "object" || expectedProportions === null || expectedProportions instanceof Array) {
+                    throw new Error("chisq.gof: the expected proportions must be an object keyed by category");
+                }
+
+                // Every category that occurs must have an expected proportion
+                for (var i = 0; i < table.categories.length; i++) {
+                    if (!expectedProportions.hasOwnProperty(table.categories[i])) {
+                        throw new Error("chisq.gof: there is no expected proportion for the category " + table.categories[i] + " of " + column);
+                    }
+                }
+
+                // Categories that are expected but never occur have a count of 0
+                for (category in expectedProportions) {
+                    if (expectedProportions.hasOwnProperty(category) && table.categories.map(String).indexOf(category) === -1) {
+                        table.categories.push(category);
+                        table.counts.push(0);
+                    }
+                }
+
+                expected = table.categories.map(function(category) {
+                    return expectedProportions[category];
+                });
+            }
+
+            result = globalObject.chisq.gof(table.counts, expected);
+            result.categories = table.categories;
+            result.observed = table.counts;
+
+            return result;
+        };
+
+        // Make the function available to the savvy stats object
+        self.chisq.gof = function(column, expectedProportions, filterCb, adjustMethod) {
+            return chisq.gof(self.json, column, expectedProportions, filterCb, adjustMethod);
+        };
+
+        /**
+         * Performs a chi-square test of independence between the categories of two data sets (columns)
+         * The two columns are cross-tabulated into a contingency table (see globalObject.chisq.independence)
+         * Data in columns can be filtered with callback (filterCb)
+         *
+         * @param (JSON array) json
+         * @param String rowColumn
+         * @param String colColumn
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter rows used for calculation based on values in the same columns or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        chisq.independence = function(json, rowColumn, colColumn, filterCb) {
+            var table = crossTabulateJson(json, rowColumn, colColumn, filterCb),
+                result = globalObject.chisq.independence(table.counts);
+
+            result.rowCategories = table.rowCategories;
+            result.colCategories = table.colCategories;
+            result.observed = table.counts;
+
+            return result;
+        };
+
+        // Make the function available to the savvy stats object
+        self.chisq.independence = function(rowColumn, colColumn, filterCb) {
+            return chisq.independence(self.json, rowColumn, colColumn, filterCb);
+        };
+
+        /* ------------------- *
+         * Fisher's Exact Test *
+         * ------------------- */
+
+        // Objects containing Fisher's exact test methods
+        var fisher = {};
+        self.fisher = {};
+
+        /**
+         * Performs Fisher's exact test between the categories of two data sets (columns)
+         * The two columns are cross-tabulated into a contingency table (see globalObject.fisher.test)
+         * Data in columns can be filtered with callback (filterCb)
+         *
+         * @param (JSON array) json
+         * @param String rowColumn
+         * @param String colColumn
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter rows used for calculation based on values in the same columns or other columns
+         *     e.g. function(data) {data.column == "value";}
+         * @param Number or String alternative (2 x 2 tables only)
+         */
+        fisher.test = function(json, rowColumn, colColumn, filterCb, alternative) {
+            // The alternative may be passed in place of filterCb
+            if (typeof alternative === "undefined" && (typeof filterCb === "string" || typeof filterCb === "number")) {
+                alternative = filterCb;
+                filterCb = undefined;
+            }
+
+            var table = crossTabulateJson(json, rowColumn, colColumn, filterCb),
+                result = globalObject.fisher.test(table.counts, alternative);
+
+            result.rowCategories = table.rowCategories;
+            result.colCategories = table.colCategories;
+            result.observed = table.counts;
+
+            return result;
+        };
+
+        // Make the function available to the savvy stats object
+        self.fisher.test = function(rowColumn, colColumn, filterCb, alternative) {
+            return fisher.test(self.json, rowColumn, colColumn, filterCb, alternative);
+        };
+
+        /* -------------- *
+         * F Distribution *
+         * -------------- */
+
+        // Objects containing F distribution methods
+        var F = {};
+        self.F = {};
+
+        /**
+         * Calculates the confidence interval of the ratio of the variances of two data sets (columns)
+         *     (variance of columnA / variance of columnB), missing values are dropped from each column separately
+         * Data in columns can be filtered with callback (filterCb)
+         *
+         * @param Float alpha
+         * @param (JSON array) json
+         * @param String columnA
+         * @param String columnB
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in columns used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        F.conf = function(alpha, json, columnA, columnB, filterCb, type) {
+            // sanitize the data
+            if (isNaN(alpha) || alpha > 1 || alpha < 0){
+                throw new Error("F.conf: alpha must be a number between 0 and 1");
+            }
+
+            // The interval type may be passed in place of filterCb
+            if (typeof type === "undefined" && (typeof filterCb === "string" || typeof filterCb === "number")) {
+                type = filterCb;
+                filterCb = undefined;
+            }
+
+            // Validate each column on its own, dropping only its blank values (errors are thrown from validateJsonColumns)
+            var validationReportA = validateJsonColumns(json, [columnA], filterCb),
+                validationReportB = validateJsonColumns(json, [columnB], filterCb),
+                validJsonA = new ValidJson(validationReportA.validJson, validationReportA.count),
+                validJsonB = new ValidJson(validationReportB.validJson, validationReportB.count);
+
+            return globalObject.F.conf(alpha, stdev(validJsonA, columnA, filterCb), validJsonA.count, stdev(validJsonB, columnB, filterCb), validJsonB.count, type);
+        };
+
+        // Add the F.conf function to the object as a method
+        self.F.conf = function(alpha, columnA, columnB, filterCb, type) {
+            return F.conf(alpha, self.json, columnA, columnB, filterCb, type);
+        };
+
+        /**
+         * Performs a 2 sample F test, returns the probability of achieving the ratio of the
+         *     variances of two data sets (columns) given that the population variances are equal
+         * Data in columns can be filtered with callback (filterCb)
+         *
+         * @param (JSON array) json
+         * @param String columnA
+         * @param String columnB
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in columns used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         * @param Number or String alternative
+         */
+        F.test2s = function(json, columnA, columnB, filterCb, alternative) {
+            // The alternative may be passed in place of filterCb
+            if (typeof alternative === "undefined" && (typeof filterCb === "string" || typeof filterCb === "number")) {
+                alternative = filterCb;
+                filterCb = undefined;
+            }
+
+            // Validate each column on its own, dropping only its blank values (errors are thrown from validateJsonColumns)
+            var validationReportA = validateJsonColumns(json, [columnA], filterCb),
+                validationReportB = validateJsonColumns(json, [columnB], filterCb),
+                validJsonA = new ValidJson(validationReportA.validJson, validationReportA.count),
+                validJsonB = new ValidJson(validationReportB.validJson, validationReportB.count);
+
+            return globalObject.F.test2s(stdev(validJsonA, columnA, filterCb), validJsonA.count, stdev(validJsonB, columnB, filterCb), validJsonB.count, alternative);
+        };
+
+        // Make the function available to the savvy stats object
+        self.F.test2s = function(columnA, columnB, filterCb, alternative) {
+            return F.test2s(self.json, columnA, columnB, filterCb, alternative);
+        };
+
+        /*======================*
+         * Analysis of Variance *
+         *======================*/
+
+        /**
+         * Performs a one-way analysis of variance on a data set (column) split into groups by the
+         *     distinct values of another (categorical) column
+         * Returns the ANOVA table with the sums of squares, degrees of freedom and mean squares of the
+         *     between group, within group and total variation as well as the F statistic and its probability
+         * Method described in FUNDAMENTALS OF BIOSTATISTSICS SEVENTH EDITION Bernard Rosner ch. 12
+         * Data in column can be filtered with callback (filterCb)
+         *
+         * @param (JSON array) json
+         * @param String valueColumn
+         * @param String groupColumn
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var anova = function(json, valueColumn, groupColumn, filterCb) {
+            var groups = groupJson(json, valueColumn, groupColumn, filterCb),
+                errors = [],
+                groupSummaries = [],
+                totalCount = 0,
+                totalSum = 0,
+                grandMean,
+                groupCount,
+                groupMean,
+                withinVariation = false,    // whether the values of any group differ from each other
+                ssBetween = 0,
+                ssWithin = 0,
+                dfBetween,
+                dfWithin,
+                msBetween,
+                msWithin,
+                f,
+                i;
+
+            // Summarize each group, the within group sum of squares is the sum of each group's sum of squares
+            for (i = 0; i < groups.length; i++) {
+                groupCount = count(groups[i].json, valueColumn);
+                groupMean = mean(groups[i].json, valueColumn);
+
+                totalCount += groupCount;
+                totalSum += groupMean * groupCount;
+                ssWithin += sumOfSquares(groups[i].json, valueColumn);
+
+                // Checked on the values since rounding in the mean can leave a tiny sum of squares for identical values
+                if (min(groups[i].json, valueColumn) !== max(groups[i].json, valueColumn)) {
+                    withinVariation = true;
+                }
+
+                groupSummaries.push({
+                    "group": groups[i].group,
+                    "count": groupCount,
+                    "mean": groupMean
+                });
+            }
+
+            dfBetween = groups.length - 1;
+            dfWithin = totalCount - groups.length;
 
-        return fileJson;
-    };
+            if (dfBetween < 1) {
+                errors.push("anova: at least 2 groups are needed in " + valueColumn + " grouped by " + groupColumn);
+            }
 
+            if (dfWithin < 1) {
+                errors.push("anova: there must be more values than groups in " + valueColumn + " grouped by " + groupColumn);
+            } else if (!withinVariation) {
+                errors.push("anova: the values of " + valueColumn + " are all the same within each group of " + groupColumn + ", so there is no within group variance to compare to");
+            }
 
-    /**
-     * Class for creating objects that hold file data in JSON
-     * This class forms the foundation of doing statistics on file
-     */
-    function JsonData(json) {
-        if (!(json instanceof Array)) {
-            throw new Error("The savvy stats object (ss) must be provided a JSON array");
-        }
+            if (errors.length > 0) {
+                throw new Error(errors.join("; "));
+            }
 
-        var self = this;
-        self.json = json;
+            // Between group sum of squares is based on the distance of each group mean from the grand mean
+            grandMean = totalSum / totalCount;
 
-        /*=============================*
-         * Assistive Methods of Object *
-         *=============================*/
+            for (i = 0; i < groupSummaries.length; i++) {
+                ssBetween += groupSummaries[i].count * Math.pow(groupSummaries[i].mean - grandMean, 2);
+            }
+
+            msBetween = ssBetween / dfBetween;
+            msWithin = ssWithin / dfWithin;
+            f = msBetween / msWithin;
+
+            return {
+                "between": {
+                    "ss": ssBetween,
+                    "df": dfBetween,
+                    "ms": msBetween,
+                    "F": f,
+                    "p": 1 - globalObject.F.dist(f, dfBetween, dfWithin, true)
+                },
+                "within": {
+                    "ss": ssWithin,
+                    "df": dfWithin,
+                    "ms": msWithin
+                },
+                "total": {
+                    "ss": ssBetween + ssWithin,
+                    "df": totalCount - 1
+                },
+                "groups": groupSummaries
+            };
+        };
+
+        // Make the function available to the savvy stats object
+        self.anova = function(valueColumn, groupColumn, filterCb) {
+            return anova(self.json, valueColumn, groupColumn, filterCb);
+        };
 
         /**
-         * Sorts a json array based on provided column if the provided column is populated by numbers
-         * Preserves the original array by forcing a copy of the array to be made before sorting (not sure if I need this anymore, seems processor expensive)
+         * Performs Tukey's honestly significant difference test (Tukey-Kramer for unequal group sizes)
+         *     on every pair of groups of a data set (column) split by the distinct values of another
+         *     (categorical) column, usually as a follow-up to a significant one-way ANOVA
+         * Returns each pair's mean difference (groupA - groupB), the probability adjusted for all of the
+         *     comparisons and the simultaneous confidence interval of the difference
+         * Method described in (https://en.wikipedia.org/wiki/Tukey%27s_range_test)
+         * Data in column can be filtered with callback (filterCb)
          *
-         * @param Array array
+         * @param (JSON array) json
+         * @param String valueColumn
+         * @param String groupColumn
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         * @param Float alpha (default 0.05) used for the confidence intervals
          */
-        var jsonSort = function(json, sortColumn) {
-            if (!(json instanceof Array)) {
-                return undefined;
-            } else {
-                return Array.prototype.slice.call(json).sort(function(a,b) {return a[sortColumn]-b[sortColumn];});
+        var tukeyHSD = function(json, valueColumn, groupColumn, filterCb, alpha) {
+            // alpha may be passed in place of filterCb
+            if (typeof alpha === "undefined" && typeof filterCb === "number") {
+                alpha = filterCb;
+                filterCb = undefined;
             }
-        };
 
-        /**
-         * Class that will be used for pseudo-type-hinting to ensure that JSON data are only validated once
-         * This uses filtered or non-filtered json and stores the count for repeated use as well (saves on processing)
-         */
-        function ValidJson(json, count) {
-            var self = this;
+            alpha = typeof alpha === "undefined" ? 0.05 : alpha;
 
-            // Check if value passed is an array in the first place
-            // If no, then it can't possibly be a validated array
-            // If yes, then make it a part of the object for passing along
-            if (!(json instanceof Array)) {
-                self.validArray = false;
-            } else {
-                self.validJson = json;
-                self.count = count;
+            // sanitize the data
+            if (isNaN(alpha) || alpha > 1 || alpha < 0){
+                throw new Error("tukeyHSD: alpha must be a number between 0 and 1");
             }
-        }
+
+            // The ANOVA supplies the group means and the pooled (within group) variance
+            // The critical value is a search over double integrals, so it is found once and shared by every comparison
+            var anovaTable = anova(json, valueColumn, groupColumn, filterCb),
+                groups = anovaTable.groups,
+                msWithin = anovaTable.within.ms,
+                dfWithin = anovaTable.within.df,
+                qCritical = globalObject.tukey.inv(1 - alpha, groups.length, dfWithin),
+                comparisons = [],
+                difference,
+                stderror,
+                i,
+                j;
+
+            for (i = 0; i < groups.length - 1; i++) {
+                for (j = i + 1; j < groups.length; j++) {
+                    difference = groups[i].mean - groups[j].mean;
+                    stderror = Math.sqrt(msWithin / 2 * (1/groups[i].count + 1/groups[j].count));
+
+                    comparisons.push({
+                        "groupA": groups[i].group,
+                        "groupB": groups[j].group,
+                        "difference": difference,
+                        "p": 1 - globalObject.tukey.dist(Math.abs(difference) / stderror, groups.length, dfWithin),
+                        "interval": {
+                            "lower": difference - qCritical * stderror,
+                            "upper": difference + qCritical * stderror
+                        }
+                    });
+                }
+            }
+
+            return comparisons;
+        };
+
+        // Make the function available to the savvy stats object
+        self.tukeyHSD = function(valueColumn, groupColumn, filterCb, alpha) {
+            return tukeyHSD(self.json, valueColumn, groupColumn, filterCb, alpha);
+        };
 
         /**
-         * Validates a JSON array and any columns provided to it (allowed to be a variable number of params)
-         * This is one (large) function to accomplish all validation with one loop to save on processing speed for large data sets
-         * Note that the only static parameter of this function is the "json" param, all others are just placeholders for readability
-         * The function only uses the arguments object from then on
-         * 
-         * @param JsonArray json
-         * @params String columns
+         * Performs a two-way analysis of variance with interaction on a data set (column) split into
+         *     groups by the distinct values of two other (categorical) columns (factorial designs)
+         * Sums of squares are found by comparing least squares fits of the models with and without each
+         *     term (sum-to-zero coding of the factors) so unbalanced designs are handled
+         *     Type II: each main effect adjusted for the other main effect, interaction adjusted for both
+         *     Type III: each term adjusted for all other terms (default)
+         * For balanced designs both types are the same as the classical sums of squares
+         * Every combination of the factors must have at least one value
+         * Data in column can be filtered with callback (filterCb)
+         *
+         * @param (JSON array) json
+         * @param String valueColumn
+         * @param String factorA
+         * @param String factorB
          * @param function filterCb
-         *     takes an object in the JSON array
+         *     takes an object in the JSON array as an argument
          *     should return true or false
-         *     used to filter values in column used for mean based on values in the same column or other columns
+         *     used to filter values in column used for calculation based on values in the same column or other columns
          *     e.g. function(data) {data.column == "value";}
+         * @param Int type (2 or 3)
          */
-        var validateJson = function(json, column, filterCb) {
-            // Error collection object
-            var validationReport = {};
-            validationReport.validJson = [];
-            validationReport.count = 0;
+        var twoWayAnova = function(json, valueColumn, factorA, factorB, filterCb, type) {
+            // The type may be passed in place of filterCb
+            if (typeof type === "undefined" && typeof filterCb === "number") {
+                type = filterCb;
+                filterCb = undefined;
+            }
 
-            // In case multiple errors need to be thrown
-            var errors = [],
-                missingColumn = 0;
+            type = typeof type === "undefined" ? 3 : type;
 
-            // -- Validating all input --
-            // Make sure json is actually an array
-            if (!(json instanceof Array)) {
-                errors.push("Data must be in a JSON format starting with an array");
+            if (type !== 2 && type !== 3) {
+                throw new Error("twoWayAnova: The type of sums of squares must be 2 or 3");
             }
 
-            // Insure that column passed is a string
-            if (typeof column !== "string") {
-                errors.push("The column name must be passed as strings: " + column + ".");
+            if (typeof factorA !== "string" || typeof factorB !== "string") {
+                throw new Error("twoWayAnova: The factor column names must be passed as strings: " + factorA + ", " + factorB + ".");
             }
 
-            // One of the inputs failed initial validation, no need to go further
-            if (validationReport.error) {
-                throw new Error(errors.join("; "));
-            }
+            // Validate the value column (errors are thrown from validateJson)
+            var validationReport = validateJson(json, valueColumn, filterCb),
+                levelsA = [],          // distinct values of factorA
+                levelsB = [],          // distinct values of factorB
+                cellCounts = {},       // number of values in each combination of the factors
+                rows = [],             // rows with a value and both factors
+                response = [],         // values of the value column
+                totalMean = 0,
+                ssTotal = 0,
+                balanced = true,
+                cellValues = {},       // first value of each combination of the factors
+                residualVariation = false,     // whether the values of any combination differ from each other
+                row,
+                cell,
+                i,
+                j;
+
+            for (i = 0; i < validationReport.validJson.length; i++) {
+                row = validationReport.validJson[i];
+
+                // Rows without a value or either factor can't be placed in a cell
+                if (row[valueColumn] === "" || !row.hasOwnProperty(factorA) || row[factorA] === "" || !row.hasOwnProperty(factorB) || row[factorB] === "") {
+                    continue;
+                }
 
-            // -- Validating the parts of the JSON data --
-            for (var i = 0; i < json.length; i++) {
-                // Making sure the array components are objects (note: arrays are considered to be instances of objects, so have to 
-                // specificall exclude arrays)
-                if (!(json[i] instanceof Object) || (json[i] instanceof Array)) {
-                    throw new Error("The JSON array must be filled with objects");
+                if (levelsA.indexOf(row[factorA]) === -1) {
+                    levelsA.push(row[factorA]);
                 }
 
-                // Column argument must be a property of every JSON object
-                if (!json[i].hasOwnProperty(column)) {
-                    // Count the number of times the column has been missing
-                    missingColumn++;
+                if (levelsB.indexOf(row[factorB]) === -1) {
+                    levelsB.push(row[factorB]);
+                }
 
-                    // if column is missing the whole length of the json
-                    // it doesn't exist, throw error
-                    if (missingColumn === json.length) {
-                        throw new Error("The column " + column + " does not exist; or, if you're sure it does, the json might be broken. Verify the JSON before continuing.");
-                    
-                    // Otherwise, it is just not in every object
-                    // (this accounts for users providing their own data in arrays of unequal length,
-                    // see dataParser())
-                    } else {
-                        continue;
+                cell = row[factorA] + "\u0000" + row[factorB];
+                cellCounts[cell] = cellCounts.hasOwnProperty(cell) ? cellCounts[cell] + 1 : 1;
+
+                if (!cellValues.hasOwnProperty(cell)) {
+                    cellValues[cell] = parseFloat(row[valueColumn]);
+                } else if (cellValues[cell] !== parseFloat(row[valueColumn])) {
+                    residualVariation = true;
+                }
+
+                rows.push(row);
+                response.push(parseFloat(row[valueColumn]));
+                totalMean += parseFloat(row[valueColumn]);
+            }
+
+            if (levelsA.length < 2 || levelsB.length < 2) {
+                throw new Error("twoWayAnova: each factor must have at least 2 levels");
+            }
+
+            // Every combination of the factors needs a value and balance is checked on the way
+            for (i = 0; i < levelsA.length; i++) {
+                for (j = 0; j < levelsB.length; j++) {
+                    cell = levelsA[i] + "\u0000" + levelsB[j];
+
+                    if (!cellCounts.hasOwnProperty(cell)) {
+                        throw new Error("twoWayAnova: there are no values for " + factorA + " = " + levelsA[i] + " and " + factorB + " = " + levelsB[j]);
+                    }
+
+                    if (cellCounts[cell] !== cellCounts[levelsA[0] + "\u0000" + levelsB[0]]) {
+                        balanced = false;
                     }
                 }
+            }
 
-                // column property argument listed must only consist of numbers
-                if (isNaN(json[i][column])) {
-                    throw new Error("The column " + column + " does not contain only numbers and has to for this operation.");
+            if (rows.length <= levelsA.length * levelsB.length) {
+                throw new Error("twoWayAnova: at least one combination of the factors must have more than one value");
+            }
+
+            // The full model fits every combination's mean, so there is no residual variance without variation in a combination
+            if (!residualVariation) {
+                throw new Error("twoWayAnova: the values of " + valueColumn + " are all the same within each combination of " + factorA + " and " + factorB + ", so there is no residual variance to compare to");
+            }
+
+            totalMean /= rows.length;
+
+            for (i = 0; i < response.length; i++) {
+                ssTotal += Math.pow(response[i] - totalMean, 2);
+            }
+
+            // Sum-to-zero (effect) coding of a factor level: the last level is coded as -1 in every column
+            var effectCode = function(levels, value) {
+                var code = [],
+                    position = levels.indexOf(value);
+
+                for (var k = 0; k < levels.length - 1; k++) {
+                    code.push(position === levels.length - 1 ? -1 : position === k ? 1 : 0);
                 }
 
-                // filter array (put this in after documentation, simply need to pass validationReport.validJson to "new ValidJson" instead of the original json argument for each function)
-                // NOTE: will also need to remove unnecessary filtering from each function as well
-                
-                // If a callback has been used (argument in filterCb) and is a callback function, filter data
-                if (filterCb && typeof filterCb === "function") {
-                    
-                    // callback must return true or false
-                    if (filterCb(json[i]) === true || filterCb(json[i]) === false) {
-                        
-                        // If the callback succeeds (the data meets the filter criteria set by the callback function)
-                        // Note, this is the most trippy function I have every written in javascript
-                        if (filterCb(json[i]) === true) {
-                            
-                            // Add that object to a new JSON array for returning, this is the json array that should be considered valid
-                            validationReport.validJson.push(json[i]);
-                            validationReport.count++;
+                return code;
+            };
+
+            // Residual sum of squares of the model holding the requested terms (intercept always included)
+            var fitModel = function(includeA, includeB, includeInteraction) {
+                var designMatrix = [],
+                    designRow,
+                    codeA,
+                    codeB,
+                    k,
+                    m;
+
+                for (k = 0; k < rows.length; k++) {
+                    codeA = effectCode(levelsA, rows[k][factorA]);
+                    codeB = effectCode(levelsB, rows[k][factorB]);
+                    designRow = [1];
+
+                    if (includeA) {
+                        designRow = designRow.concat(codeA);
+                    }
+
+                    if (includeB) {
+                        designRow = designRow.concat(codeB);
+                    }
+
+                    if (includeInteraction) {
+                        for (m = 0; m < codeA.length * codeB.length; m++) {
+                            designRow.push(codeA[Math.floor(m / codeB.length)] * codeB[m % codeB.length]);
                         }
-                    } else {
-                        throw new Error("The function " + filterCb + " must return either true or false.");
                     }
 
-                // If a callback has been used but is not a function, return error
-                } else if (filterCb && typeof filterCb !== "function") {
-                    throw new Error("The function " + filterCb + " is not a function or is improperly formed.");
+                    designMatrix.push(designRow);
                 }
 
-                // filter callback has not be used, filter data to only use rows in column that have data
-                // TODO: this seems messy for the files, I think it might be better to skip this data 
-                //     in the file and let the column detection above sort this out
-                if (!filterCb && json[i][column] !== "") {
-                    validationReport.validJson.push(json[i]);
-                    validationReport.count++;
-                }
+                return residualSumOfSquares(designMatrix, response);
+            };
+
+            var rssFull = fitModel(true, true, true),
+                rssMain = fitModel(true, true, false),
+                dfA = levelsA.length - 1,
+                dfB = levelsB.length - 1,
+                dfInteraction = dfA * dfB,
+                dfResidual = rows.length - levelsA.length * levelsB.length,
+                msResidual = rssFull / dfResidual,
+                ssA,
+                ssB,
+                ssInteraction = Math.max(0, rssMain - rssFull);
+
+            // The sums of squares are differences of residual sums of squares, which rounding can leave just below 0
+            if (type === 2) {
+                ssA = Math.max(0, fitModel(false, true, false) - rssMain);
+                ssB = Math.max(0, fitModel(true, false, false) - rssMain);
+            } else {
+                ssA = Math.max(0, fitModel(false, true, true) - rssFull);
+                ssB = Math.max(0, fitModel(true, false, true) - rssFull);
             }
 
-            // Default return
-            return validationReport;
+            // Builds the row of the ANOVA table for a term
+            var effect = function(ss, df) {
+                var f = (ss / df) / msResidual;
+
+                return {
+                    "ss": ss,
+                    "df": df,
+                    "ms": ss / df,
+                    "F": f,
+                    "p": 1 - globalObject.F.dist(f, df, dfResidual, true)
+                };
+            };
+
+            return {
+                "factorA": effect(ssA, dfA),
+                "factorB": effect(ssB, dfB),
+                "interaction": effect(ssInteraction, dfInteraction),
+                "residual": {
+                    "ss": rssFull,
+                    "df": dfResidual,
+                    "ms": msResidual
+                },
+                "total": {
+                    "ss": ssTotal,
+                    "df": rows.length - 1
+                },
+                "balanced": balanced,
+                "type": type
+            };
+        };
+
+        // Make the function available to the savvy stats object
+        self.twoWayAnova = function(valueColumn, factorA, factorB, filterCb, type) {
+            return twoWayAnova(self.json, valueColumn, factorA, factorB, filterCb, type);
         };
 
         /**
-         * A simple function with error checking to sum an array
-         * Since a loop for addition of all data is required, validation is done while parsing data
-         * 
+         * Performs Levene's test of whether the groups of a data set (column) split by the distinct values of another
+         *     (categorical) column have equal variances (e.g. before choosing between pooled and Welch procedures)
+         * The absolute deviations of the values from their group's center are compared with a one-way ANOVA
+         * Options (optional) currently support:
+         *     center: "median" (default, the Brown-Forsythe test, robust to non-normal data) or "mean" (Levene's
+         *         original test)
+         * Returns the F statistic, its degrees of freedom, the probability and the center used
+         * Method described in (https://en.wikipedia.org/wiki/Levene%27s_test)
+         *     and (https://en.wikipedia.org/wiki/Brown%E2%80%93Forsythe_test)
+         * Data in column can be filtered with callback (filterCb)
+         *
          * @param (JSON array) json
-         * @param String column
+         * @param String valueColumn
+         * @param String groupColumn
          * @param function filterCb
          *     takes an object in the JSON array as an argument
          *     should return true or false
          *     used to filter values in column used for calculation based on values in the same column or other columns
          *     e.g. function(data) {data.column == "value";}
+         * @param Object options
          */
-        var sum = function(json, column, filterCb) {
-            // Holds the total that is returned if the function is successful
-            var total = 0,
-                errors = [];
-
-            // Is json an array in the first place
-            if (!(json instanceof Array)) {
-                errors.push("Data must be passed as a JSON array starting with an array");
+        var levene = function(json, valueColumn, groupColumn, filterCb, options) {
+            // options may be passed in place of filterCb
+            if (typeof options === "undefined" && typeof filterCb === "object") {
+                options = filterCb;
+                filterCb = undefined;
             }
 
-            // Is the column appropriate to be passed as the name of an object property
-            if (typeof column !== "string") {
-                errors.push("The column must be provided as a string");
+            options = typeof options === "undefined" ? {} : options;
+
+            if (typeof options !== "object" || options === null) {
+                throw new Error("levene: The options must be passed as an object");
             }
 
-            // Grab errors and print
-            if (errors.length > 0) {
-                throw new Error(errors.join("; "));
+            var center = typeof options.center === "undefined" ? "median" : typeof options.center === "string" ? options.center.toLowerCase() : options.center;
+
+            if (center !== "median" && center !== "mean") {
+                throw new Error("levene: the center must be \"median\" or \"mean\"");
             }
 
-            // Begin going through JSON array
-            for (var i = 0; i < json.length; i++) {
-                // Does the JSON array contain objects
-                if (!(json[i] instanceof Object)) {
-                    throw new Error("The JSON array must be filled with objects");
+            var groups = groupJson(json, valueColumn, groupColumn, filterCb),
+                deviations = [],        // absolute deviation of each value from its group's center, with its group
+                deviationVariation = false,     // whether the deviations of any group differ from each other
+                groupCenter,
+                deviation,
+                anovaTable,
+                i,
+                j;
+
+            for (i = 0; i < groups.length; i++) {
+                groupCenter = center === "median" ? median(groups[i].json, valueColumn) : mean(groups[i].json, valueColumn);
+
+                for (j = 0; j < groups[i].json.count; j++) {
+                    deviation = {};
+                    deviation[valueColumn] = Math.abs(parseFloat(groups[i].json.validJson[j][valueColumn]) - groupCenter);
+                    deviation[groupColumn] = groups[i].group;
+                    deviations.push(deviation);
+
+                    if (j > 0 && deviation[valueColumn] !== deviations[deviations.length - 2][valueColumn]) {
+                        deviationVariation = true;
+                    }
                 }
+            }
 
-                // Do the objects have the property passed in the column param
-                if (!json[i].hasOwnProperty(column)) {
-                    throw new Error("The column selected does not exist, or, if you're sure it does, the json might be broken.  Verify the JSON before continuing.");
-                }
+            // Without any variation in the deviations the ANOVA has no within group variance to compare to
+            if (!deviationVariation) {
+                throw new Error("levene: the deviations of " + valueColumn + " from the " + center + " are all the same within each group of " + groupColumn + ", so the test can't be done");
+            }
 
-                // Are values in the column param property numbers
-                if (isNaN(json[i][column])) {
-                    throw new Error("All values of the chosen column must be numbers for the summmation");
+            // The deviations are already filtered, errors for too few groups or values are thrown from anova
+            anovaTable = anova(deviations, valueColumn, groupColumn);
+
+            return {
+                "F": anovaTable.between.F,
+                "dfBetween": anovaTable.between.df,
+                "dfWithin": anovaTable.within.df,
+                "p": anovaTable.between.p,
+                "center": center
+            };
+        };
+
+        // Make the function available to the savvy stats object
+        self.levene = function(valueColumn, groupColumn, filterCb, options) {
+            return levene(self.json, valueColumn, groupColumn, filterCb, options);
+        };
+
+        /**
+         * Performs Bartlett's test of whether the groups of a data set (column) split by the distinct values of another
+         *     (categorical) column have equal variances, assuming the data in each group are normal
+         *     (see levene for a test that is robust to non-normal data)
+         * The statistic compares the pooled variance to the group variances and is compared to a chi-square
+         *     distribution with (groups - 1) degrees of freedom
+         * Returns the K^2 statistic, the degrees of freedom and the probability
+         * Method described in (https://en.wikipedia.org/wiki/Bartlett%27s_test)
+         * Data in column can be filtered with callback (filterCb)
+         *
+         * @param (JSON array) json
+         * @param String valueColumn
+         * @param String groupColumn
+         * @param function filterCb
+         *     takes an object in the JSON array as an argument
+         *     should return true or false
+         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     e.g. function(data) {data.column == "value";}
+         */
+        var bartlett = function(json, valueColumn, groupColumn, filterCb) {
+            var groups = groupJson(json, valueColumn, groupColumn, filterCb),
+                df = groups.length - 1,
+                totalCount = 0,
+                pooledVariance = 0,
+                sumLogVariance = 0,
+                sumReciprocal = 0,
+                groupCount,
+                groupVariance,
+                correction,
+                k2,
+                i;
+
+            if (df < 1) {
+                throw new Error("bartlett: at least 2 groups are needed in " + valueColumn + " grouped by " + groupColumn);
+            }
+
+            for (i = 0; i < groups.length; i++) {
+                groupCount = groups[i].json.count;
+
+                if (groupCount < 2) {
+                    throw new Error("bartlett: every group needs at least 2 values, " + groupColumn + " = " + groups[i].group + " has " + groupCount);
                 }
 
-                // Use filter if it exists
-                if(filterCb && filterCb(json[i]) === false) {
-                    continue;
+                // Checked on the values since rounding in the mean can leave a tiny variance for identical values
+                if (min(groups[i].json, valueColumn) === max(groups[i].json, valueColumn)) {
+                    throw new Error("bartlett: all of the values in " + valueColumn + " are the same for " + groupColumn + " = " + groups[i].group);
                 }
 
-                total += parseFloat(json[i][column]);
+                groupVariance = variance(groups[i].json, valueColumn);
+
+                totalCount += groupCount;
+                pooledVariance += (groupCount - 1) * groupVariance;
+                sumLogVariance += (groupCount - 1) * Math.log(groupVariance);
+                sumReciprocal += 1 / (groupCount - 1);
             }
 
-            return total;
+            pooledVariance /= totalCount - groups.length;
+
+            // K^2 = ((N - k) * ln(S_p^2) - sum((n_i - 1) * ln(S_i^2))) / (1 + (sum(1/(n_i - 1)) - 1/(N - k)) / (3(k - 1)))
+            correction = 1 + (sumReciprocal - 1 / (totalCount - groups.length)) / (3 * df);
+            k2 = ((totalCount - groups.length) * Math.log(pooledVariance) - sumLogVariance) / correction;
+
+            return {
+                "K2": k2,
+                "df": df,
+                "p": 1 - globalObject.chisq.dist(k2, df, true)
+            };
+        };
+
+        // Make the function available to the savvy stats object
+        self.bartlett = function(valueColumn, groupColumn, filterCb) {
+            return bartlett(self.json, valueColumn, groupColumn, filterCb);
         };
 
+        /*=====================*
+         * Nonparametric Tests *
+         *=====================*/
+
+        // Objects containing Wilcoxon test methods
+        var wilcoxon = {};
+        self.wilcoxon = {};
+
         /**
-         * Calculates the sumOfSquares of a data set (column)
-         * Data in column can be filtered with callback (filterCb)
-         * This calculation is used in many statistical functions but itself is not useful
-         * 
+         * Performs a Wilcoxon rank-sum (Mann-Whitney U) test between two data sets (columns)
+         * All values of both columns are ranked together (ties get the average rank) and the statistic W is the sum of
+         *     the ranks of columnA minus nA(nA + 1)/2, the number of pairs with the value from columnA larger
+         * Missing values are dropped from each column separately
+         * Options (optional) currently support:
+         *     exact: Boolean -- use the exact distribution of W (default true when both columns have fewer than
+         *         50 values and there are no ties, the exact distribution is only valid without ties and is only
+         *         calculated when nA * nB is at most 10000)
+         *     correct: Boolean -- use a continuity correction in the normal approximation (default true)
+         * The normal approximation corrects the variance for ties
+         * Data in columns can be filtered with callback (filterCb)
+         * Method described in FUNDAMENTALS OF BIOSTATISTSICS SEVENTH EDITION Bernard Rosner
+         *     and (https://en.wikipedia.org/wiki/Mann%E2%80%93Whitney_U_test)
+         *
          * @param (JSON array) json
-         * @param String column
+         * @param String columnA
+         * @param String columnB
          * @param function filterCb
          *     takes an object in the JSON array as an argument
          *     should return true or false
-         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     used to filter values in columns used for calculation based on values in the same column or other columns
          *     e.g. function(data) {data.column == "value";}
+         * @param Number or String alternative
+         * @param Object options
          */
-        var sumOfSquares = function(json, column, filterCb) {
-            // If JSON has already been validated, crunch numbers
-            if (json instanceof ValidJson) {
-                var total = 0;
-                var avg = mean(json, column, filterCb);
+        wilcoxon.rankSum = function(json, columnA, columnB, filterCb, alternative, options) {
+            // options may be passed in place of alternative or filterCb, and alternative in place of filterCb
+            if (typeof options === "undefined" && typeof alternative === "object") {
+                options = alternative;
+                alternative = undefined;
+            }
 
-                for (var i = 0; i < json.validJson.length; i++) {
-                    total += Math.pow((parseFloat(json.validJson[i][column]) - avg), 2);
-                }
+            if (typeof options === "undefined" && typeof filterCb === "object") {
+                options = filterCb;
+                filterCb = undefined;
+            }
 
-                return total;
+            if (typeof alternative === "undefined" && (typeof filterCb === "string" || typeof filterCb === "number")) {
+                alternative = filterCb;
+                filterCb = undefined;
+            }
 
-           // Data has not been validated
-            } else {
+            // Sets defaults and lowercases alternative if filled with a string
+            alternative = typeof alternative === "undefined" ? 2 : typeof alternative === "string" ? alternative.toLowerCase() : alternative;
+            options = typeof options === "undefined" ? {} : options;
 
-                // Attempt to validate... everything!!!
-                try {
-                    var validationReport = validateJson(json, column, filterCb);
-                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
-                    return sumOfSquares(validJson, column, filterCb);
-                
-                // Validation failed, catch errors
-                } catch (err) {
-                    
-                    // Re-throw for catching later
-                    throw err;
-                }
+            if (alternative !== 1 && alternative !== 2 && alternative !== 3 && alternative !== "less" && alternative !== "diff" && alternative !== "greater") {
+                throw new Error("wilcoxon.rankSum: The alternative must be a number between 1 - 3 or \"less\", \"diff\", or \"greater\"");
             }
-        };
-
-        /*=============================================*
-         * Descriptive Statistics or Sample Statistics *
-         *=============================================*/
 
-        var count = function(json, column, filterCb) {
-            // If JSON has already been validated, crunch numbers
-            if (json instanceof ValidJson) {
-                return json.count;
+            if (typeof options !== "object" || options === null) {
+                throw new Error("wilcoxon.rankSum: The options must be passed as an object");
+            }
 
-            // Data has not been validated
-            } else {
+            // Validate each column (errors are thrown from validateJsonColumns)
+            var validJsonA = validateJsonColumns(json, [columnA], filterCb).validJson,
+                validJsonB = validateJsonColumns(json, [columnB], filterCb).validJson,
+                sizeA = validJsonA.length,
+                sizeB = validJsonB.length,
+                pooled = [],
+                ranking,
+                rankSumA = 0,
+                w,
+                exact,
+                warnings = [],
+                lowerProb,              // probability of W or anything smaller
+                upperProb,              // probability of W or anything larger
+                i;
+
+            if (sizeA === 0 || sizeB === 0) {
+                throw new Error("wilcoxon.rankSum: Both columns must have at least one value");
+            }
 
-                // Attempt to validate... everything!!!
-                try {
-                    var validationReport = validateJson(json, column, filterCb);
-                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
-                    return count(validJson, column, filterCb);
-                
-                // Validation failed, catch errors
-                } catch (err) {
-                    
-                    // Re-throw for catching later
-                    throw err;
-                }
+            // Rank the values of both columns together
+            for (i = 0; i < sizeA; i++) {
+                pooled.push({"value": validJsonA[i][columnA]});
             }
-        };
 
-        self.count = function(column, filterCb) {
-            return count(self.json, column, filterCb);
-        };
+            for (i = 0; i < sizeB; i++) {
+                pooled.push({"value": validJsonB[i][columnB]});
+            }
 
-        /**
-         * Log transforms a column in the data set and returns the new data set
-         * Uses the base e for the transformation (because e is what the JavaScript Math library has)
-         * Returns a new JSON array with the transformed data
-         * Similar to the sum function, this function must go through all data, so validation is done while parsing
-         * 
-         * @param (JSON array) json
-         * @param String column
-         */
-        var logtrans = function(json, column) {
-            // set up something to catch errors
-            var errors = [];
+            ranking = rankJson(pooled, "value");
 
-            // Is json an array in the first place
-            if (!(json instanceof Array)) {
-                errors.push("Data must be passed as a JSON array starting with an array");
+            for (i = 0; i < sizeA; i++) {
+                rankSumA += ranking.ranks[i];
             }
 
-            // Is the column appropriate to be passed as the name of an object property
-            if (typeof column !== "string") {
-                errors.push("The column must be provided as a string");
+            w = rankSumA - sizeA * (sizeA + 1) / 2;
+
+            exact = typeof options.exact === "undefined" ? sizeA < 50 && sizeB < 50 && ranking.ties.length === 0 : options.exact === true;
+
+            if (exact && ranking.ties.length > 0) {
+                warnings.push("wilcoxon.rankSum: The exact distribution is not valid with ties, the normal approximation was used");
+                exact = false;
             }
 
-            // Grab errors and print
-            if (errors.length > 0) {
-                throw new Error(errors.join("; "));
+            // The exact distribution takes time and memory that grow with nA * nB
+            if (exact && sizeA * sizeB > 10000) {
+                warnings.push("wilcoxon.rankSum: The exact distribution is only calculated when nA * nB is at most 10000, the normal approximation was used");
+                exact = false;
             }
 
-            // Copy json array so that the original data is not affected
-            // This is, admittedly a little bit of a hack, but...
-            var transformedJson = JSON.parse(JSON.stringify(json));
+            // Exact distribution of W
+            if (exact) {
+                var probs = rankSumProbs(sizeA, sizeB);
 
-            for (var i = 0; i < transformedJson.length; i++) {
-                // Does the JSON array contain objects
-                if (!(json[i] instanceof Object)) {
-                    throw new Error("The JSON array must be filled with objects");
-                }
+                lowerProb = 0;
+                upperProb = 0;
 
-                // Do the objects have the property passed in the column param
-                if (!transformedJson[i].hasOwnProperty(column)) {
-                    throw new Error("The column selected does not exist, or, if you're sure it does, the json might be broken.  Verify the JSON before continuing.");
+                for (i = 0; i < probs.length; i++) {
+                    lowerProb += i <= w ? probs[i] : 0;
+                    upperProb += i >= w ? probs[i] : 0;
                 }
 
-                // Are values in the column param property numbers
-                if (isNaN(transformedJson[i][column])) {
-                    throw new Error("All values of the chosen column must be numbers for the logarithm transformation");
+            // Normal approximation of W with the variance corrected for ties
+            } else {
+                var total = sizeA + sizeB,
+                    tieCorrection = 0,
+                    correction = options.correct === false ? 0 : 0.5,
+                    stdev;
+
+                for (i = 0; i < ranking.ties.length; i++) {
+                    tieCorrection += Math.pow(ranking.ties[i], 3) - ranking.ties[i];
                 }
 
-                // Log transform the specified column in the JSON data
-                transformedJson[i][column] = Math.log(transformedJson[i][column]);
+                stdev = Math.sqrt(sizeA * sizeB / 12 * (total + 1 - tieCorrection / (total * (total - 1))));
+
+                lowerProb = globalObject.norm.dist((w - sizeA * sizeB / 2 + correction) / stdev, 0, 1, true);
+                upperProb = globalObject.norm.dist(-(w - sizeA * sizeB / 2 - correction) / stdev, 0, 1, true);
             }
 
-            return transformedJson;
+            return {
+                "W": w,
+                "p": alternative === 1 || alternative === "less" ? lowerProb : alternative === 3 || alternative === "greater" ? upperProb : Math.min(1, 2 * Math.min(lowerProb, upperProb)),
+                "exact": exact,
+                "warnings": warnings
+            };
         };
 
-        // Add logtrans to prototype and return new JsonData for stringing methods
-        self.logtrans = function(column) {
-            return new JsonData(logtrans(self.json, column));
+        // Make the function available to the savvy stats object
+        self.wilcoxon.rankSum = function(columnA, columnB, filterCb, alternative, options) {
+            return wilcoxon.rankSum(self.json, columnA, columnB, filterCb, alternative, options);
         };
 
         /**
-         * Calculates the minimum of a data set (column)
-         * Data in column can be filtered with callback (filterCb)
-         * 
+         * Performs a Wilcoxon signed-rank test on the differences of a data set (column) from an expected median,
+         *     or on the paired differences of two data sets (columnA - columnB, paired by row)
+         * Pass a column name as columnB for paired data, or a number (default 0) as the expected median for one column
+         * Zero differences are dropped (Wilcoxon's method), the remaining absolute differences are ranked (ties get the
+         *     average rank) and the statistic V is the sum of the ranks of the positive differences
+         * Options (optional) currently support:
+         *     exact: Boolean -- use the exact distribution of V (default true when there are at most 50 differences and
+         *         there are no ties, the exact distribution is only valid without ties)
+         *     correct: Boolean -- use a continuity correction in the normal approximation (default true)
+         * The normal approximation corrects the variance for ties
+         * Data in columns can be filtered with callback (filterCb)
+         * Method described in FUNDAMENTALS OF BIOSTATISTSICS SEVENTH EDITION Bernard Rosner
+         *     and (https://en.wikipedia.org/wiki/Wilcoxon_signed-rank_test)
+         *
          * @param (JSON array) json
-         * @param String column
+         * @param String or Array columnA
+         *     an array of columns tests each column against the expected median (see testColumns)
+         * @param String or Float columnB (column of paired values or expected median)
          * @param function filterCb
          *     takes an object in the JSON array as an argument
          *     should return true or false
-         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     used to filter rows used for calculation based on values in the same columns or other columns
          *     e.g. function(data) {data.column == "value";}
+         * @param Number or String alternative
+         * @param Object options
+         * @param String adjustMethod (see globalObject.padjust, only used with an array of columns)
          */
-        var min = function(json, column, filterCb) {
-            // If JSON has already been validated, crunch numbers
-            if (json instanceof ValidJson) {
-                var sortedJson = jsonSort(json.validJson, column);      // sort json on column
-                return parseFloat(sortedJson[0][column]);               // return first value (minimum)
-            
-            // Data has not been validated
-            } else {
+        wilcoxon.signedRank = function(json, columnA, columnB, filterCb, alternative, options, adjustMethod) {
+            // options may be passed in place of alternative or filterCb, and alternative in place of filterCb
+            if (typeof options === "undefined" && typeof alternative === "object") {
+                options = alternative;
+                alternative = undefined;
+            }
 
-                // Attempt to validate... everything!!!
-                try {
-                    var validationReport = validateJson(json, column, filterCb);
-                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
-                    return min(validJson, column, filterCb);
-                } catch (err) {
-                    
-                    // Re-throw for catching later
-                    throw err;
+            if (typeof options === "undefined" && typeof filterCb === "object") {
+                options = filterCb;
+                filterCb = undefined;
+            }
+
+            if (typeof alternative === "undefined" && (typeof filterCb === "string" || typeof filterCb === "number")) {
+                alternative = filterCb;
+                filterCb = undefined;
+            }
+
+            // Sets defaults and lowercases alternative if filled with a string
+            columnB = typeof columnB === "undefined" ? 0 : columnB;
+            alternative = typeof alternative === "undefined" ? 2 : typeof alternative === "string" ? alternative.toLowerCase() : alternative;
+            options = typeof options === "undefined" ? {} : options;
+
+            if (typeof columnB !== "string" && isNaN(columnB)) {
+                throw new Error("wilcoxon.signedRank: The second argument must be a column name or an expected median");
+            }
+
+            if (alternative !== 1 && alternative !== 2 && alternative !== 3 && alternative !== "less" && alternative !== "diff" && alternative !== "greater") {
+                throw new Error("wilcoxon.signedRank: The alternative must be a number between 1 - 3 or \"less\", \"diff\", or \"greater\"");
+            }
+
+            if (typeof options !== "object" || options === null) {
+                throw new Error("wilcoxon.signedRank: The options must be passed as an object");
+            }
+
+            // Test each column and adjust the p-values for the multiple comparisons
+            if (columnA instanceof Array) {
+                if (typeof columnB === "string") {
+                    throw new Error("wilcoxon.signedRank: An array of columns can only be tested against an expected median, not a paired column");
                 }
+
+                return testColumns(columnA, function(eachColumn) {
+                    return wilcoxon.signedRank(json, eachColumn, columnB, filterCb, alternative, options);
+                }, adjustMethod);
             }
-        };
 
-        // Add min to prototype for easy access
-        self.min = function(column, filterCb) {
-            return min(self.json, column, filterCb);
-        };
+            // Validate the columns row-wise so paired values stay together (errors are thrown from validateJsonColumns)
+            var paired = typeof columnB === "string",
+                validJson = validateJsonColumns(json, paired ? [columnA, columnB] : [columnA], filterCb).validJson,
+                differences = [],
+                difference,
+                ranking,
+                size,
+                v = 0,
+                exact,
+                warnings = [],
+                lowerProb,              // probability of V or anything smaller
+                upperProb,              // probability of V or anything larger
+                i;
+
+            // Zero differences are dropped
+            for (i = 0; i < validJson.length; i++) {
+                difference = parseFloat(validJson[i][columnA]) - (paired ? parseFloat(validJson[i][columnB]) : parseFloat(columnB));
+
+                if (difference !== 0) {
+                    differences.push({
+                        "difference": difference,
+                        "absolute": Math.abs(difference)
+                    });
+                }
+            }
 
-        /**
-         * Calculates the maximum of a data set (column)
-         * Data in column can be filtered with callback (filterCb)
-         * 
-         * @param (JSON array) json
-         * @param String column
-         * @param function filterCb
-         *     takes an object in the JSON array as an argument
-         *     should return true or false
-         *     used to filter values in column used for calculation based on values in the same column or other columns
-         *     e.g. function(data) {data.column == "value";}
-         */
-        var max = function(json, column, filterCb) {
-            // If JSON has already been validated, crunch numbers
-            if (json instanceof ValidJson) {
-                var sortedJson = jsonSort(json.validJson, column);        // sort json on column
-                return parseFloat(sortedJson[json.count - 1][column]);    // return last value (maximum)
+            size = differences.length;
 
-            // Data has not been validated
+            if (size === 0) {
+                throw new Error("wilcoxon.signedRank: There must be at least one difference that is not 0");
+            }
+
+            if (size < validJson.length) {
+                warnings.push("wilcoxon.signedRank: " + (validJson.length - size) + " zero difference(s) were dropped");
+            }
+
+            ranking = rankJson(differences, "absolute");
+
+            for (i = 0; i < size; i++) {
+                v += differences[i].difference > 0 ? ranking.ranks[i] : 0;
+            }
+
+            exact = typeof options.exact === "undefined" ? size <= 50 && ranking.ties.length === 0 : options.exact === true;
+
+            if (exact && ranking.ties.length > 0) {
+                warnings.push("wilcoxon.signedRank: The exact distribution is not valid with ties, the normal approximation was used");
+                exact = false;
+            }
+
+            // Exact distribution of V
+            if (exact) {
+                var probs = signedRankProbs(size);
+
+                lowerProb = 0;
+                upperProb = 0;
+
+                for (i = 0; i < probs.length; i++) {
+                    lowerProb += i <= v ? probs[i] : 0;
+                    upperProb += i >= v ? probs[i] : 0;
+                }
+
+            // Normal approximation of V with the variance corrected for ties
             } else {
+                var tieCorrection = 0,
+                    correction = options.correct === false ? 0 : 0.5,
+                    stdev;
 
-                // Attempt to validate... everything!!!
-                try {
-                    var validationReport = validateJson(json, column, filterCb);
-                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
-                    return max(validJson, column, filterCb);
-                
-                // Validation failed, catch errors
-                } catch (err) {
-                    
-                    // Re-throw for catching later
-                    throw err;
+                for (i = 0; i < ranking.ties.length; i++) {
+                    tieCorrection += Math.pow(ranking.ties[i], 3) - ranking.ties[i];
                 }
+
+                stdev = Math.sqrt(size * (size + 1) * (2 * size + 1) / 24 - tieCorrection / 48);
+
+                lowerProb = globalObject.norm.dist((v - size * (size + 1) / 4 + correction) / stdev, 0, 1, true);
+                upperProb = globalObject.norm.dist(-(v - size * (size + 1) / 4 - correction) / stdev, 0, 1, true);
             }
-        };
 
-        // Add max to prototype for easy access
-        self.max = function(column, filterCb) {
-            return max(self.json, column, filterCb);
+            return {
+                "V": v,
+                "p": alternative === 1 || alternative === "less" ? lowerProb : alternative === 3 || alternative === "greater" ? upperProb : Math.min(1, 2 * Math.min(lowerProb, upperProb)),
+                "exact": exact,
+                "warnings": warnings
+            };
         };
 
+        // Make the function available to the savvy stats object
+        self.wilcoxon.signedRank = function(columnA, columnB, filterCb, alternative, options, adjustMethod) {
+            return wilcoxon.signedRank(self.json, columnA, columnB, filterCb, alternative, options, adjustMethod);
+        };
 
         /**
-         * Calculates the range of a data set (column)
-         * Data in column can be filtered with callback (filterCb)
-         * 
+         * Ranks all values of a data set (column) together and sums the ranks of each group, where the groups
+         *     are the distinct values of another (categorical) column (used in kruskal and dunn)
+         * Returns the number of values, the tie correction term sum(t^3 - t) over the groups of tied values
+         *     and each group's count and mean rank
+         *
          * @param (JSON array) json
-         * @param String column
+         * @param String valueColumn
+         * @param String groupColumn
          * @param function filterCb
-         *     takes an object in the JSON array as an argument
-         *     should return true or false
-         *     used to filter values in column used for calculation based on values in the same column or other columns
-         *     e.g. function(data) {data.column == "value";}
          */
-        var range = function(json, column, filterCb) {
-            // If JSON has already been validated, crunch numbers
-            if (json instanceof ValidJson) {
-                return max(json, column, filterCb) - min(json, column, filterCb);
+        var rankGroups = function(json, valueColumn, groupColumn, filterCb) {
+            var groups = groupJson(json, valueColumn, groupColumn, filterCb),
+                pooled = [],
+                ranking,
+                ranked = {
+                    "count": 0,
+                    "tieCorrection": 0,
+                    "groups": []
+                },
+                rankSum,
+                position = 0,
+                i,
+                j;
+
+            // Keep the values in group order so that each group's ranks are together
+            for (i = 0; i < groups.length; i++) {
+                pooled = pooled.concat(groups[i].json.validJson);
+            }
 
-            // Data has not been validated
-            } else {
+            ranking = rankJson(pooled, valueColumn);
 
-                // Attempt to validate... everything!!!
-                try {
-                    var validationReport = validateJson(json, column, filterCb);
-                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
-                    return range(validJson, column, filterCb);
-                
-                // Validation failed, catch errors
-                } catch (err) {
-                    
-                    // Re-throw for catching later
-                    throw err;
+            for (i = 0; i < ranking.ties.length; i++) {
+                ranked.tieCorrection += Math.pow(ranking.ties[i], 3) - ranking.ties[i];
+            }
+
+            for (i = 0; i < groups.length; i++) {
+                rankSum = 0;
+
+                for (j = 0; j < groups[i].json.count; j++) {
+                    rankSum += ranking.ranks[position];
+                    position++;
                 }
-             }
-        };
 
-        // Add range to prototype for easy access
-        self.range = function(column, filterCb) {
-            return range(self.json, column, filterCb);
+                ranked.groups.push({
+                    "group": groups[i].group,
+                    "count": groups[i].json.count,
+                    "meanRank": rankSum / groups[i].json.count
+                });
+            }
+
+            ranked.count = pooled.length;
+
+            return ranked;
         };
 
         /**
-         * Calculates the mean of a data set (column)
+         * Performs a Kruskal-Wallis test (rank-based one-way analysis of variance) on a data set (column) split
+         *     into groups by the distinct values of another (categorical) column
+         * All values are ranked together (ties get the average rank) and the statistic H, corrected for ties,
+         *     is compared to a chi-square distribution with (groups - 1) degrees of freedom
+         * Returns H, the degrees of freedom, the probability and each group's count and mean rank
+         * Method described in FUNDAMENTALS OF BIOSTATISTSICS SEVENTH EDITION Bernard Rosner
+         *     and (https://en.wikipedia.org/wiki/Kruskal%E2%80%93Wallis_one-way_analysis_of_variance)
          * Data in column can be filtered with callback (filterCb)
-         * 
+         *
          * @param (JSON array) json
-         * @param String column
+         * @param String valueColumn
+         * @param String groupColumn
          * @param function filterCb
          *     takes an object in the JSON array as an argument
          *     should return true or false
          *     used to filter values in column used for calculation based on values in the same column or other columns
          *     e.g. function(data) {data.column == "value";}
          */
-        var mean = function(json, column, filterCb) {
-            // If JSON has already been validated, crunch numbers
-            if (json instanceof ValidJson) {
-                return sum(json.validJson, column, filterCb)/json.count;
+        var kruskal = function(json, valueColumn, groupColumn, filterCb) {
+            var ranked = rankGroups(json, valueColumn, groupColumn, filterCb),
+                total = ranked.count,
+                df = ranked.groups.length - 1,
+                h = 0,
+                i;
+
+            if (df < 1 || total === ranked.groups.length) {
+                throw new Error("kruskal: at least 2 groups and more values than groups are needed in " + valueColumn + " grouped by " + groupColumn);
+            }
 
-            // Data has not been validated
-            } else {
+            if (ranked.tieCorrection === Math.pow(total, 3) - total) {
+                throw new Error("kruskal: all of the values in " + valueColumn + " are the same");
+            }
 
-                // Attempt to validate... everything!!!
-                try {
-                    var validationReport = validateJson(json, column, filterCb);
-                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
-                    return mean(validJson, column, filterCb);
-                
-                // Validation failed, catch errors
-                } catch (err) {
-                    
-                    // Re-throw for catching later
-                    throw err;
-                }
+            // H = 12 / (N(N + 1)) * sum(n_i * (mean rank_i - (N + 1)/2)^2)
+            for (i = 0; i < ranked.groups.length; i++) {
+                h += ranked.groups[i].count * Math.pow(ranked.groups[i].meanRank - (total + 1) / 2, 2);
             }
+
+            h *= 12 / (total * (total + 1));
+
+            // Correct for ties
+            h /= 1 - ranked.tieCorrection / (Math.pow(total, 3) - total);
+
+            return {
+                "H": h,
+                "df": df,
+                "p": 1 - globalObject.chisq.dist(h, df, true),
+                "groups": ranked.groups
+            };
         };
 
-        // Allowing JsonData to have access to mean for easy calculation on any column
-        self.mean = function(column, filterCb) {
-            return mean(self.json, column, filterCb);
+        // Make the function available to the savvy stats object
+        self.kruskal = function(valueColumn, groupColumn, filterCb) {
+            return kruskal(self.json, valueColumn, groupColumn, filterCb);
         };
 
         /**
-         * Calculates the geometric mean of a data set (column)
+         * Performs Dunn's test on every pair of groups of a data set (column) split by the distinct values of another
+         *     (categorical) column, usually as a follow-up to a significant Kruskal-Wallis test
+         * Each pair's difference in mean rank (groupA - groupB) is compared to the standard normal distribution using the
+         *     ranks of all groups together (with the variance corrected for ties)
+         * Returns each pair's z value, the probability and the probability adjusted for all of the comparisons
+         *     (adjustedP, see globalObject.padjust, default "holm")
+         * Method described in (https://www.jstor.org/stable/1266041)
          * Data in column can be filtered with callback (filterCb)
-         * 
+         *
          * @param (JSON array) json
-         * @param String column
+         * @param String valueColumn
+         * @param String groupColumn
          * @param function filterCb
          *     takes an object in the JSON array as an argument
          *     should return true or false
          *     used to filter values in column used for calculation based on values in the same column or other columns
          *     e.g. function(data) {data.column == "value";}
+         * @param String adjustMethod
          */
-        var geomean = function(json, column, filterCb) {
-            // If JSON has already been validated, crunch numbers
-            if (json instanceof ValidJson) {
-                var logJson = logtrans(json.validJson, column);
-                return Math.exp(sum(logJson, column, filterCb)/json.count);
+        var dunn = function(json, valueColumn, groupColumn, filterCb, adjustMethod) {
+            // adjustMethod may be passed in place of filterCb
+            if (typeof adjustMethod === "undefined" && typeof filterCb === "string") {
+                adjustMethod = filterCb;
+                filterCb = undefined;
+            }
 
-            // Data has not been validated
-            } else {
+            var ranked = rankGroups(json, valueColumn, groupColumn, filterCb),
+                groups = ranked.groups,
+                total = ranked.count,
+                variance = total * (total + 1) / 12 - ranked.tieCorrection / (12 * (total - 1)),
+                comparisons = [],
+                adjusted,
+                z,
+                i,
+                j;
 
+            var errors = [];
 
-                // Attempt to validate... everything!!!
-                try {
-                    var validationReport = validateJson(json, column, filterCb);
-                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
-                    return geomean(validJson, column, filterCb);
-                
-                // Validation failed, catch errors
-                } catch (err) {
-                    
-                    // Re-throw for catching later
-                    throw err;
+            if (groups.length < 2) {
+                errors.push("dunn: at least 2 groups are needed in " + valueColumn + " grouped by " + groupColumn);
+            }
+
+            // Without any untied values the variance of the ranks is 0 and z can't be found
+            if (ranked.tieCorrection === Math.pow(total, 3) - total) {
+                errors.push("dunn: all of the values in " + valueColumn + " are the same");
+            }
+
+            if (errors.length > 0) {
+                throw new Error(errors.join("; "));
+            }
+
+            for (i = 0; i < groups.length - 1; i++) {
+                for (j = i + 1; j < groups.length; j++) {
+                    z = (groups[i].meanRank - groups[j].meanRank) / Math.sqrt(variance * (1/groups[i].count + 1/groups[j].count));
+
+                    comparisons.push({
+                        "groupA": groups[i].group,
+                        "groupB": groups[j].group,
+                        "z": z,
+                        "p": 2 * globalObject.norm.dist(-Math.abs(z), 0, 1, true)
+                    });
                 }
             }
+
+            // Errors for the adjustment method are thrown from padjust
+            adjusted = globalObject.padjust(comparisons.map(function(comparison) {
+                return comparison.p;
+            }), adjustMethod);
+
+            for (i = 0; i < comparisons.length; i++) {
+                comparisons[i].adjustedP = adjusted[i];
+            }
+
+            return comparisons;
         };
 
-        // Allow easy access to geomean through prototype
-        self.geomean = function(column, filterCb) {
-            return geomean(self.json, column, filterCb);
+        // Make the function available to the savvy stats object
+        self.dunn = function(valueColumn, groupColumn, filterCb, adjustMethod) {
+            return dunn(self.json, valueColumn, groupColumn, filterCb, adjustMethod);
         };
 
         /**
-         * Calculates the variance of a data set (column)
-         * Data in column can be filtered with callback (filterCb)
-         * 
+         * Performs a Friedman test (rank-based repeated measures analysis of variance) on several data sets (columns)
+         *     measured on the same subjects, one subject per row
+         * Only rows with a value in every column are used; the values of each row are ranked (ties get the average rank)
+         *     and the chi-square statistic, corrected for ties, compares the rank sums of the columns
+         * Returns the chi-square statistic, the degrees of freedom (columns - 1), the probability, Kendall's W
+         *     (coefficient of concordance, between 0 and 1) and each column's mean rank
+         * Method described in (https://en.wikipedia.org/wiki/Friedman_test)
+         *     and (https://en.wikipedia.org/wiki/Kendall%27s_W)
+         * Data in columns can be filtered with callback (filterCb)
+         *
          * @param (JSON array) json
-         * @param String column
+         * @param Array columns
          * @param function filterCb
          *     takes an object in the JSON array as an argument
          *     should return true or false
-         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     used to filter rows used for calculation based on values in the same columns or other columns
          *     e.g. function(data) {data.column == "value";}
          */
-        var variance = function(json, column, filterCb) {
-            // If JSON has already been validated, crunch numbers
-            if (json instanceof ValidJson) {
-                
-                // Filter count if needed
-                return sumOfSquares(json, column, filterCb)/(json.count - 1);
+        var friedman = function(json, columns, filterCb) {
+            if (!(columns instanceof Array) || columns.length < 2) {
+                throw new Error("friedman: at least 2 columns must be passed in an array of columns");
+            }
 
-            // Data has not been validated
-            } else {
+            // Validate the columns row-wise so each subject's values stay together (errors are thrown from validateJsonColumns)
+            var validJson = validateJsonColumns(json, columns, filterCb).validJson,
+                subjects = validJson.length,
+                treatments = columns.length,
+                rankSums = [],
+                tieCorrection = 0,
+                row,
+                ranking,
+                squares = 0,
+                chisq,
+                meanRanks = [],
+                i,
+                j;
+
+            if (subjects < 2) {
+                throw new Error("friedman: at least 2 rows need a value in every column");
+            }
 
+            for (j = 0; j < treatments; j++) {
+                rankSums[j] = 0;
+            }
 
-                // Attempt to validate... everything!!!
-                try {
-                    var validationReport = validateJson(json, column, filterCb);
-                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
-                    return variance(validJson, column, filterCb);
-                
-                // Validation failed, catch errors
-                } catch (err) {
-                    
-                    // Re-throw for catching later
-                    throw err;
+            // Rank the values within each row
+            for (i = 0; i < subjects; i++) {
+                row = [];
+
+                for (j = 0; j < treatments; j++) {
+                    row.push({"value": validJson[i][columns[j]]});
+                }
+
+                ranking = rankJson(row, "value");
+
+                for (j = 0; j < treatments; j++) {
+                    rankSums[j] += ranking.ranks[j];
+                }
+
+                for (j = 0; j < ranking.ties.length; j++) {
+                    tieCorrection += Math.pow(ranking.ties[j], 3) - ranking.ties[j];
                 }
             }
+
+            if (tieCorrection === subjects * (Math.pow(treatments, 3) - treatments)) {
+                throw new Error("friedman: the values of every row are all the same");
+            }
+
+            for (j = 0; j < treatments; j++) {
+                squares += Math.pow(rankSums[j] - subjects * (treatments + 1) / 2, 2);
+
+                meanRanks.push({
+                    "column": columns[j],
+                    "meanRank": rankSums[j] / subjects
+                });
+            }
+
+            // Q = 12 * sum((R_j - n(k + 1)/2)^2) / (nk(k + 1) - sum(t^3 - t)/(k - 1))
+            chisq = 12 * squares / (subjects * treatments * (treatments + 1) - tieCorrection / (treatments - 1));
+
+            return {
+                "chisq": chisq,
+                "df": treatments - 1,
+                "p": 1 - globalObject.chisq.dist(chisq, treatments - 1, true),
+                "kendallsW": chisq / (subjects * (treatments - 1)),
+                "columns": meanRanks
+            };
         };
 
-        // Add variance to prototype for easy access
-        self.variance = function(column, filterCb) {
-            return variance(self.json, column, filterCb);
+        // Make the function available to the savvy stats object
+        self.friedman = function(columns, filterCb) {
+            return friedman(self.json, columns, filterCb);
         };
 
+        // Objects containing Kolmogorov-Smirnov test methods
+        var ks = {};
+        self.ks = {};
+
         /**
-         * Calculates the standard deviation of a data set (column)
+         * Performs a one sample Kolmogorov-Smirnov test comparing a data set (column) to a theoretical distribution
+         * The statistic D is the largest distance between the empirical and the theoretical cumulative distributions
+         * The cumulative distribution function takes a value and returns its cumulative probability, e.g.
+         *     function(x) {return ss.norm.dist(x, 0, 1, true);}
+         *     (the test assumes a continuous distribution, it is conservative for discrete ones like ss.poisson.dist)
+         * Options (optional) currently support:
+         *     exact: Boolean -- use the exact distribution of D (default true when there are fewer than 100 values
+         *         and there are no ties), otherwise the limiting Kolmogorov distribution is used
          * Data in column can be filtered with callback (filterCb)
-         * 
+         * Method described in (https://en.wikipedia.org/wiki/Kolmogorov%E2%80%93Smirnov_test)
+         *
          * @param (JSON array) json
-         * @param String column
+         * @param String or Array column
+         *     an array of columns runs the test on each column (see testColumns)
+         * @param function cdf
          * @param function filterCb
          *     takes an object in the JSON array as an argument
          *     should return true or false
          *     used to filter values in column used for calculation based on values in the same column or other columns
          *     e.g. function(data) {data.column == "value";}
+         * @param Object options
+         * @param String adjustMethod (see globalObject.padjust, only used with an array of columns)
          */
-        var stdev = function(json, column, filterCb) {
-            // If JSON has already been validated, crunch numbers
-            if (json instanceof ValidJson) {
-                return Math.sqrt(variance(json, column, filterCb));
-            
-            // Data has not been validated
-            } else {
+        ks.test1s = function(json, column, cdf, filterCb, options, adjustMethod) {
+            // options may be passed in place of filterCb
+            if (typeof options === "undefined" && typeof filterCb === "object") {
+                options = filterCb;
+                filterCb = undefined;
+            }
 
-                // Attempt to validate... everything!!!
-                try {
-                    var validationReport = validateJson(json, column, filterCb);
-                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
-                    return stdev(validJson, column, filterCb);
-                
-                // Validation failed, catch errors
-                } catch (err) {
-                    
-                    // Re-throw for catching later
-                    throw err;
+            options = typeof options === "undefined" ? {} : options;
+
+            if (typeof cdf !== "function") {
+                throw new Error("ks.test1s: the cumulative distribution must be passed as a function");
+            }
+
+            if (typeof options !== "object" || options === null) {
+                throw new Error("ks.test1s: The options must be passed as an object");
+            }
+
+            // Test each column and adjust the p-values for the multiple comparisons
+            if (column instanceof Array) {
+                return testColumns(column, function(eachColumn) {
+                    return ks.test1s(json, eachColumn, cdf, filterCb, options);
+                }, adjustMethod);
+            }
+
+            // Validate the column (errors are thrown from validateJsonColumns)
+            var sorted = jsonSort(validateJsonColumns(json, [column], filterCb).validJson, column),
+                size = sorted.length,
+                d = 0,
+                ties = false,
+                exact,
+                warnings = [],
+                value,
+                prob,
+                i;
+
+            if (size === 0) {
+                throw new Error("ks.test1s: the column " + column + " must have at least one value");
+            }
+
+            // The empirical distribution steps from i/n to (i + 1)/n at each sorted value
+            for (i = 0; i < size; i++) {
+                value = parseFloat(sorted[i][column]);
+                prob = cdf(value);
+
+                if (isNaN(prob) || prob < 0 || prob > 1) {
+                    throw new Error("ks.test1s: the cumulative distribution returned " + prob + " for " + value + ", it must return a probability between 0 and 1");
+                }
+
+                d = Math.max(d, (i + 1) / size - prob, prob - i / size);
+
+                if (i > 0 && value === parseFloat(sorted[i - 1][column])) {
+                    ties = true;
                 }
             }
+
+            exact = typeof options.exact === "undefined" ? size < 100 && !ties : options.exact === true;
+
+            if (ties) {
+                warnings.push("ks.test1s: ties should not be present for a continuous distribution");
+            }
+
+            return {
+                "D": d,
+                "p": Math.min(1, Math.max(0, 1 - (exact ? kolmogorovExact(size, d) : kolmogorovDist(Math.sqrt(size) * d)))),
+                "exact": exact,
+                "warnings": warnings
+            };
         };
 
-        // Add stdev to prototype for easy access
-        self.stdev = function(column, filterCb) {
-            return stdev(self.json, column, filterCb);
+        // Make the function available to the savvy stats object
+        self.ks.test1s = function(column, cdf, filterCb, options, adjustMethod) {
+            return ks.test1s(self.json, column, cdf, filterCb, options, adjustMethod);
         };
 
         /**
-         * Calculates the standard error of the sample mean
-         * 
+         * Performs a two sample Kolmogorov-Smirnov test of whether two data sets (columns) come from the same distribution
+         * The statistic D is the largest distance between the empirical cumulative distributions of the columns
+         * Missing values are dropped from each column separately
+         * Options (optional) currently support:
+         *     exact: Boolean -- use the exact distribution of D (default true when the product of the sizes is less
+         *         than 10000 and there are no ties, the exact distribution is only valid without ties),
+         *         otherwise the limiting Kolmogorov distribution is used
+         * Data in columns can be filtered with callback (filterCb)
+         * Method described in (https://en.wikipedia.org/wiki/Kolmogorov%E2%80%93Smirnov_test)
+         *
          * @param (JSON array) json
-         * @param String column
+         * @param String columnA
+         * @param String columnB
          * @param function filterCb
          *     takes an object in the JSON array as an argument
          *     should return true or false
-         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     used to filter values in columns used for calculation based on values in the same column or other columns
          *     e.g. function(data) {data.column == "value";}
+         * @param Object options
          */
-        var stderror = function(json, column, filterCb) {
-            // If JSON has already been validated, crunch numbers
-            if (json instanceof ValidJson) {
-                return stdev(json, column, filterCb)/Math.sqrt(json.count);
-            
-            // Data has not been validated
-            } else {
+        ks.test2s = function(json, columnA, columnB, filterCb, options) {
+            // options may be passed in place of filterCb
+            if (typeof options === "undefined" && typeof filterCb === "object") {
+                options = filterCb;
+                filterCb = undefined;
+            }
 
-                // Attempt to validate... everything!!!
-                try {
-                    var validationReport = validateJson(json, column, filterCb);
-                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
-                    return stderror(validJson, column, filterCb);
-                
-                // Validation failed, catch errors
-                } catch (err) {
-                    
-                    // Re-throw for catching later
-                    throw err;
+            options = typeof options === "undefined" ? {} : options;
+
+            if (typeof options !== "object" || options === null) {
+                throw new Error("ks.test2s: The options must be passed as an object");
+            }
+
+            // Validate each column (errors are thrown from validateJsonColumns)
+            var valuesA = jsonSort(validateJsonColumns(json, [columnA], filterCb).validJson, columnA).map(function(row) {
+                    return parseFloat(row[columnA]);
+                }),
+                valuesB = jsonSort(validateJsonColumns(json, [columnB], filterCb).validJson, columnB).map(function(row) {
+                    return parseFloat(row[columnB]);
+                }),
+                sizeA = valuesA.length,
+                sizeB = valuesB.length,
+                d = 0,
+                ties = false,
+                exact,
+                warnings = [],
+                value,
+                i = 0,
+                j = 0;
+
+            if (sizeA === 0 || sizeB === 0) {
+                throw new Error("ks.test2s: Both columns must have at least one value");
+            }
+
+            // Step through the values of both columns in order, the distance only changes after all values tied
+            //     with the current value have been passed
+            while (i < sizeA && j < sizeB) {
+                value = Math.min(valuesA[i], valuesB[j]);
+
+                if (valuesA[i] === valuesB[j] || (i + 1 < sizeA && valuesA[i + 1] === value) || (j + 1 < sizeB && valuesB[j + 1] === value)) {
+                    ties = true;
+                }
+
+                while (i < sizeA && valuesA[i] === value) {
+                    i++;
+                }
+
+                while (j < sizeB && valuesB[j] === value) {
+                    j++;
                 }
+
+                d = Math.max(d, Math.abs(i / sizeA - j / sizeB));
+            }
+
+            exact = typeof options.exact === "undefined" ? sizeA * sizeB < 10000 && !ties : options.exact === true;
+
+            if (exact && ties) {
+                warnings.push("ks.test2s: The exact distribution is not valid with ties, the limiting distribution was used");
+                exact = false;
             }
+
+            return {
+                "D": d,
+                "p": Math.min(1, Math.max(0, 1 - (exact ? smirnovExact(sizeA, sizeB, d) : kolmogorovDist(Math.sqrt(sizeA * sizeB / (sizeA + sizeB)) * d)))),
+                "exact": exact,
+                "warnings": warnings
+            };
         };
 
-        // Attach stderror function to the self for easy access
-        self.stderror = function(column, filterCb) {
-            return stderror(self.json, column, filterCb);
+        // Make the function available to the savvy stats object
+        self.ks.test2s = function(columnA, columnB, filterCb, options) {
+            return ks.test2s(self.json, columnA, columnB, filterCb, options);
         };
 
+        /*=================*
+         * Normality Tests *
+         *=================*/
+
         /**
-         * Calculates the kth percentile (weighted, exclusive) of a data set (column)
-         * Function comes from (https://en.wikipedia.org/wiki/Percentile#NIST_method)
+         * Tests whether a data set (column) comes from a normal distribution, where a small probability means the
+         *     data are not likely to be normal (e.g. before using t.conf, t.test1s or norm.conf)
+         * Methods:
+         *     "shapiro-wilk" (default): W statistic for 3 to 5000 values, coefficients and probability from
+         *         Royston's approximation (Royston 1995, Remark AS R94, Applied Statistics 44)
+         *     "anderson-darling": A^2 statistic for at least 8 values with the mean and standard deviation estimated
+         *         from the data, probability from D'Agostino and Stephens (Goodness-of-Fit Techniques, 1986)
+         *     "dagostino-pearson": K^2 statistic (combined skewness and kurtosis tests) for at least 20 values,
+         *         compared to a chi-square distribution with 2 degrees of freedom
+         *         (https://en.wikipedia.org/wiki/D%27Agostino%27s_K-squared_test)
          * Data in column can be filtered with callback (filterCb)
-         * 
-         * @param Number k
+         *
          * @param (JSON array) json
-         * @param String column
+         * @param String or Array column
+         *     an array of columns runs the test on each column (see testColumns)
+         * @param String method
          * @param function filterCb
          *     takes an object in the JSON array as an argument
          *     should return true or false
          *     used to filter values in column used for calculation based on values in the same column or other columns
          *     e.g. function(data) {data.column == "value";}
+         * @param String adjustMethod (see globalObject.padjust, only used with an array of columns)
          */
-        var percentile = function(k, json, column, filterCb) {
-            // If JSON has already been validated, crunch numbers
-            if (json instanceof ValidJson) {
+        var normality = function(json, column, method, filterCb, adjustMethod) {
+            // filterCb may be passed in place of method
+            if (typeof filterCb === "undefined" && typeof method === "function") {
+                filterCb = method;
+                method = undefined;
+            }
 
-                // Validate that k is a number in the appropriate domain [0, 100]
-                if (typeof k === "number" && k >= 0 && k <= 100) {
-                    
-                    // Sort the data
-                    var sortedJson = jsonSort(json.validJson, column);
+            method = typeof method === "undefined" ? "shapiro-wilk" : typeof method === "string" ? method.toLowerCase() : method;
 
-                    // Position used to determine percentile ((k/100) * (n + 1))
-                    // Because arrays are 0-based, subtract 1 to correct locator position
-                    var locatorPos = (k/100) * (json.count + 1),
-                        locatorPosInt = Math.floor(locatorPos),
-                        locatorPosDec = locatorPos - locatorPosInt;
+            if (method !== "shapiro-wilk" && method !== "anderson-darling" && method !== "dagostino-pearson") {
+                throw new Error("normality: the method must be \"shapiro-wilk\", \"anderson-darling\", or \"dagostino-pearson\"");
+            }
 
-                    // The 0th percentile doesn't technically exist, but can be considered to be the min value
-                    if (k === 0) {
-                        return parseFloat(sortedJson[0][column]);
+            // Test each column and adjust the p-values for the multiple comparisons
+            if (column instanceof Array) {
+                return testColumns(column, function(eachColumn) {
+                    return normality(json, eachColumn, method, filterCb);
+                }, adjustMethod);
+            }
+
+            // Validate the column (errors are thrown from validateJsonColumns)
+            var sorted = jsonSort(validateJsonColumns(json, [column], filterCb).validJson, column),
+                values = sorted.map(function(row) {
+                    return parseFloat(row[column]);
+                }),
+                size = values.length,
+                sampleMean = 0,
+                moments = [0, 0, 0, 0, 0],      // central moments (moments[2] is the biased variance)
+                i;
+
+            for (i = 0; i < size; i++) {
+                sampleMean += values[i] / size;
+            }
+
+            for (i = 0; i < size; i++) {
+                moments[2] += Math.pow(values[i] - sampleMean, 2) / size;
+                moments[3] += Math.pow(values[i] - sampleMean, 3) / size;
+                moments[4] += Math.pow(values[i] - sampleMean, 4) / size;
+            }
+
+            if (size > 0 && values[0] === values[size - 1]) {
+                throw new Error("normality: all of the values in " + column + " are the same");
+            }
+
+            // Evaluates c[0] + c[1]x + c[2]x^2 + ...
+            var polynomial = function(coefficients, x) {
+                var result = 0;
+
+                for (var k = coefficients.length - 1; k >= 0; k--) {
+                    result = result * x + coefficients[k];
+                }
+
+                return result;
+            };
+
+            if (method === "shapiro-wilk") {
+                if (size < 3 || size > 5000) {
+                    throw new Error("normality: the Shapiro-Wilk test needs between 3 and 5000 values");
+                }
+
+                var half = Math.floor(size / 2),
+                    expected = [],                  // approximate expected normal order statistics
+                    sumSquaredExpected = 0,
+                    coefficients = [],              // coefficients of the lower half of the ordered values (negative)
+                    u = 1 / Math.sqrt(size),
+                    phi,
+                    numerator = 0,
+                    w,
+                    z,
+                    prob;
+
+                for (i = 0; i < half; i++) {
+                    expected[i] = globalObject.norm.inv((i + 1 - 0.375) / (size + 0.25), 0, 1);
+                    sumSquaredExpected += 2 * expected[i] * expected[i];
+                }
+
+                if (size === 3) {
+                    coefficients[0] = -Math.sqrt(0.5);
+                } else {
+                    // The most extreme coefficients are polynomial corrections of the normalized expected values
+                    coefficients[0] = expected[0] / Math.sqrt(sumSquaredExpected) - polynomial([0, 0.221157, -0.147981, -2.071190, 4.434685, -2.706056], u);
 
-                    // The 100th percentile also doesn't technically exist, but can be considered to be the max value
-                    } else if (k === 100) {
-                        return parseFloat(sortedJson[json.count - 1][column]);
+                    if (size > 5) {
+                        coefficients[1] = expected[1] / Math.sqrt(sumSquaredExpected) - polynomial([0, 0.042981, -0.293762, -1.752461, 5.682633, -3.582633], u);
+                        phi = (sumSquaredExpected - 2 * Math.pow(expected[0], 2) - 2 * Math.pow(expected[1], 2)) / (1 - 2 * Math.pow(coefficients[0], 2) - 2 * Math.pow(coefficients[1], 2));
 
-                    // formula based on NIST suggestion, this is a weighted non-exclusive percentile
+                        for (i = 2; i < half; i++) {
+                            coefficients[i] = expected[i] / Math.sqrt(phi);
+                        }
                     } else {
-                        return parseFloat(sortedJson[locatorPosInt - 1][column]) + parseFloat(locatorPosDec) * (parseFloat(sortedJson[locatorPosInt][column]) - parseFloat(sortedJson[locatorPosInt - 1][column]));
+                        phi = (sumSquaredExpected - 2 * Math.pow(expected[0], 2)) / (1 - 2 * Math.pow(coefficients[0], 2));
+
+                        for (i = 1; i < half; i++) {
+                            coefficients[i] = expected[i] / Math.sqrt(phi);
+                        }
                     }
+                }
 
-                // k was not a number or it was not in the range
+                // The coefficients are antisymmetric, the middle value (odd sizes) has a coefficient of 0
+                for (i = 0; i < half; i++) {
+                    numerator += coefficients[i] * (values[i] - values[size - 1 - i]);
+                }
+
+                w = Math.min(1, Math.pow(numerator, 2) / (moments[2] * size));
+
+                if (size === 3) {
+                    prob = Math.max(0, 6 / Math.PI * (Math.asin(Math.sqrt(w)) - Math.asin(Math.sqrt(0.75))));
+                } else if (size <= 11 && Math.log(1 - w) >= polynomial([-2.273, 0.459], size)) {
+                    // Outside of the range of the approximation, far too small for the data to be normal
+                    prob = 0;
+                } else if (size <= 11) {
+                    z = (-Math.log(polynomial([-2.273, 0.459], size) - Math.log(1 - w)) - polynomial([0.5440, -0.39978, 0.025054, -0.0006714], size)) / Math.exp(polynomial([1.3822, -0.77857, 0.062767, -0.0020322], size));
+                    prob = globalObject.norm.dist(-z, 0, 1, true);
                 } else {
-                    throw new Error("The kth percentile must be a number between 1 and 100: " + k);
+                    z = (Math.log(1 - w) - polynomial([-1.5861, -0.31082, -0.083751, 0.0038915], Math.log(size))) / Math.exp(polynomial([-0.4803, -0.082676, 0.0030302], Math.log(size)));
+                    prob = globalObject.norm.dist(-z, 0, 1, true);
                 }
-            // Data has not been validated
-            } else {
 
+                return {
+                    "method": method,
+                    "W": w,
+                    "p": prob
+                };
+            }
 
-                // Attempt to validate... everything!!!
-                try {
-                    var validationReport = validateJson(json, column, filterCb);
-                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
-                    return percentile(k, validJson, column, filterCb);
-                
-                // Validation failed, catch errors
-                } catch (err) {
-                    
-                    // Re-throw for catching later
-                    throw err;
+            if (method === "anderson-darling") {
+                if (size < 8) {
+                    throw new Error("normality: the Anderson-Darling test needs at least 8 values");
+                }
+
+                var sampleStdev = Math.sqrt(moments[2] * size / (size - 1)),
+                    a = -size,
+                    adjusted;
+
+                // A^2 = -n - (1/n) * sum((2i - 1) * (ln(F(x_i)) + ln(1 - F(x_(n + 1 - i)))))
+                // The upper tail is taken as the lower tail of the negative to keep it from rounding to 0
+                for (i = 0; i < size; i++) {
+                    a -= (2 * i + 1) / size * (
+                        Math.log(globalObject.norm.dist((values[i] - sampleMean) / sampleStdev, 0, 1, true)) +
+                        Math.log(globalObject.norm.dist(-(values[size - 1 - i] - sampleMean) / sampleStdev, 0, 1, true))
+                    );
                 }
+
+                // Adjusted for estimating the mean and standard deviation
+                adjusted = a * (1 + 0.75 / size + 2.25 / Math.pow(size, 2));
+
+                return {
+                    "method": method,
+                    "A": a,
+                    "p": adjusted < 0.2 ? 1 - Math.exp(-13.436 + 101.14 * adjusted - 223.73 * Math.pow(adjusted, 2)) :
+                         adjusted < 0.34 ? 1 - Math.exp(-8.318 + 42.796 * adjusted - 59.938 * Math.pow(adjusted, 2)) :
+                         adjusted < 0.6 ? Math.exp(0.9177 - 4.279 * adjusted - 1.38 * Math.pow(adjusted, 2)) :
+                         adjusted < 10 ? Math.exp(1.2937 - 5.709 * adjusted + 0.0186 * Math.pow(adjusted, 2)) :
+                         3.7e-24
+                };
             }
+
+            // D'Agostino-Pearson test
+            if (size < 20) {
+                throw new Error("normality: the D'Agostino-Pearson test needs at least 20 values");
+            }
+
+            // Skewness test, transformed to a standard normal z
+            var skewness = moments[3] / Math.pow(moments[2], 1.5),
+                y = skewness * Math.sqrt((size + 1) * (size + 3) / (6 * (size - 2))),
+                beta2 = 3 * (size * size + 27 * size - 70) * (size + 1) * (size + 3) / ((size - 2) * (size + 5) * (size + 7) * (size + 9)),
+                w2 = -1 + Math.sqrt(2 * (beta2 - 1)),
+                delta = 1 / Math.sqrt(0.5 * Math.log(w2)),
+                alphaSkew = Math.sqrt(2 / (w2 - 1)),
+                zSkewness = delta * Math.log(y / alphaSkew + Math.sqrt(Math.pow(y / alphaSkew, 2) + 1)),
+
+                // Kurtosis test, transformed to a standard normal z (Anscombe and Glynn)
+                kurtosis = moments[4] / Math.pow(moments[2], 2),
+                kurtosisMean = 3 * (size - 1) / (size + 1),
+                kurtosisVariance = 24 * size * (size - 2) * (size - 3) / (Math.pow(size + 1, 2) * (size + 3) * (size + 5)),
+                x = (kurtosis - kurtosisMean) / Math.sqrt(kurtosisVariance),
+                sqrtBeta1 = 6 * (size * size - 5 * size + 2) / ((size + 7) * (size + 9)) * Math.sqrt(6 * (size + 3) * (size + 5) / (size * (size - 2) * (size - 3))),
+                aKurtosis = 6 + 8 / sqrtBeta1 * (2 / sqrtBeta1 + Math.sqrt(1 + 4 / Math.pow(sqrtBeta1, 2))),
+                denominator = 1 + x * Math.sqrt(2 / (aKurtosis - 4)),
+                term = (denominator < 0 ? -1 : 1) * Math.pow((1 - 2 / aKurtosis) / Math.abs(denominator), 1 / 3),
+                zKurtosis = (1 - 2 / (9 * aKurtosis) - term) / Math.sqrt(2 / (9 * aKurtosis)),
+                k2 = Math.pow(zSkewness, 2) + Math.pow(zKurtosis, 2);
+
+            return {
+                "method": method,
+                "K2": k2,
+                "p": 1 - globalObject.chisq.dist(k2, 2, true),
+                "zSkewness": zSkewness,
+                "zKurtosis": zKurtosis
+            };
         };
 
-        // Add percentile to prototype for easy access
-        self.percentile = function(k, column, filterCb) {
-            return percentile(k, self.json, column, filterCb);
+        // Make the function available to the savvy stats object
+        self.normality = function(column, method, filterCb, adjustMethod) {
+            return normality(self.json, column, method, filterCb, adjustMethod);
         };
 
+        /*=============*
+         * Correlation *
+         *=============*/
+
         /**
-         * Calculates the median of a data set (column)
-         * Data in column can be filtered with callback (filterCb)
-         * A median is a type of percentile (k = 50), so this function depends on percentile
-         * 
-         * @param (JSON array) json
-         * @param String column
-         * @param function filterCb
-         *     takes an object in the JSON array as an argument
-         *     should return true or false
-         *     used to filter values in column used for calculation based on values in the same column or other columns
-         *     e.g. function(data) {data.column == "value";}
+         * Calculates the correlation of the values of two columns from the same rows (used in cor and corMatrix)
+         * For Spearman's rho the values are expected to be ranks already (see rankValues)
+         * Methods:
+         *     "pearson": linear correlation r, tested with t = r * sqrt((n - 2)/(1 - r^2)) on n - 2 degrees of freedom
+         *     "spearman": rank correlation rho (Pearson correlation of the ranks, ties get the average rank),
+         *         tested with the same t approximation
+         *     "kendall": tau-b (corrected for ties), tested with z = S/sqrt(var(S)) using the variance corrected for ties
+         *         (compares every pair of rows, so it is slower for large data sets)
+         * The confidence interval is found on the Fisher z scale, z = atanh(estimate), with a standard error of
+         *     sqrt(1/(n - 3)) for Pearson, sqrt(1.06/(n - 3)) for Spearman and sqrt(0.437/(n - 4)) for Kendall
+         *     (Fieller, Hartley and Pearson 1957, Biometrika 44), the limits are NaN when there are too few rows
+         *
+         * @param Array valuesX
+         * @param Array valuesY
+         * @param String columnX (used in error messages)
+         * @param String columnY (used in error messages)
+         * @param String method
+         * @param Float alpha
          */
-        var median = function(json, column, filterCb) {
-            // If JSON has already been validated, crunch numbers
-            if (json instanceof ValidJson) {
+        var correlate = function(valuesX, valuesY, columnX, columnY, method, alpha) {
+            var size = valuesX.length,
+                estimate,
+                statistic,
+                variance,
+                prob,
+                zStandardError,
+                zCritical,
+                fisherZ,
+                result = {
+                    "method": method,
+                    "count": size
+                },
+                i,
+                j;
+
+            if (size < 3) {
+                throw new Error("cor: at least 3 rows need a value in both " + columnX + " and " + columnY);
+            }
 
-                // Median is the 50th percentile
-                return percentile(50, json.validJson, column, filterCb);
+            if (method === "kendall") {
+                var concordance = 0,    // S, concordant pairs - discordant pairs
+                    pairs = size * (size - 1) / 2,
+                    tiedX = 0,          // pairs tied in columnX
+                    tiedY = 0,          // pairs tied in columnY
+                    tiesX = rankValues(valuesX).ties,
+                    tiesY = rankValues(valuesY).ties,
+                    tieTerms = [0, 0, 0, 0, 0, 0],      // sums of t(t - 1)(2t + 5), t(t - 1) and t(t - 1)(t - 2) for X then Y
+                    sign;
+
+                for (i = 0; i < size - 1; i++) {
+                    for (j = i + 1; j < size; j++) {
+                        sign = (valuesX[i] - valuesX[j]) * (valuesY[i] - valuesY[j]);
+                        concordance += sign > 0 ? 1 : sign < 0 ? -1 : 0;
+                    }
+                }
 
-            // Data has not been validated
+                for (i = 0; i < tiesX.length; i++) {
+                    tiedX += tiesX[i] * (tiesX[i] - 1) / 2;
+                    tieTerms[0] += tiesX[i] * (tiesX[i] - 1) * (2 * tiesX[i] + 5);
+                    tieTerms[1] += tiesX[i] * (tiesX[i] - 1);
+                    tieTerms[2] += tiesX[i] * (tiesX[i] - 1) * (tiesX[i] - 2);
+                }
+
+                for (i = 0; i < tiesY.length; i++) {
+                    tiedY += tiesY[i] * (tiesY[i] - 1) / 2;
+                    tieTerms[3] += tiesY[i] * (tiesY[i] - 1) * (2 * tiesY[i] + 5);
+                    tieTerms[4] += tiesY[i] * (tiesY[i] - 1);
+                    tieTerms[5] += tiesY[i] * (tiesY[i] - 1) * (tiesY[i] - 2);
+                }
+
+                if (tiedX === pairs || tiedY === pairs) {
+                    throw new Error("cor: all of the values in " + (tiedX === pairs ? columnX : columnY) + " are the same");
+                }
+
+                estimate = concordance / Math.sqrt((pairs - tiedX) * (pairs - tiedY));
+
+                variance = (size * (size - 1) * (2 * size + 5) - tieTerms[0] - tieTerms[3]) / 18 +
+                    tieTerms[1] * tieTerms[4] / (2 * size * (size - 1)) +
+                    tieTerms[2] * tieTerms[5] / (9 * size * (size - 1) * (size - 2));
+
+                statistic = concordance / Math.sqrt(variance);
+                prob = 2 * globalObject.norm.dist(-Math.abs(statistic), 0, 1, true);
+                zStandardError = Math.sqrt(0.437 / (size - 4));
+
+                result.tau = estimate;
+                result.z = statistic;
             } else {
+                var meanX = 0,
+                    meanY = 0,
+                    sumSquaresX = 0,
+                    sumSquaresY = 0,
+                    sumProducts = 0;
+
+                for (i = 0; i < size; i++) {
+                    meanX += valuesX[i] / size;
+                    meanY += valuesY[i] / size;
+                }
 
-                // Attempt to validate... everything!!!
-                try {
-                    var validationReport = validateJson(json, column, filterCb);
-                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
-                    return median(validJson, column, filterCb);
-                
-                // Validation failed, catch errors
-                } catch (err) {
-                    
-                    // Re-throw for catching later
-                    throw err;
+                for (i = 0; i < size; i++) {
+                    sumSquaresX += Math.pow(valuesX[i] - meanX, 2);
+                    sumSquaresY += Math.pow(valuesY[i] - meanY, 2);
+                    sumProducts += (valuesX[i] - meanX) * (valuesY[i] - meanY);
+                }
+
+                if (sumSquaresX === 0 || sumSquaresY === 0) {
+                    throw new Error("cor: all of the values in " + (sumSquaresX === 0 ? columnX : columnY) + " are the same");
                 }
+
+                // Rounding can put a perfect correlation just past 1
+                estimate = Math.max(-1, Math.min(1, sumProducts / Math.sqrt(sumSquaresX * sumSquaresY)));
+
+                statistic = estimate * Math.sqrt((size - 2) / (1 - Math.pow(estimate, 2)));
+                prob = Math.abs(estimate) === 1 ? 0 : 2 * globalObject.t.dist(-Math.abs(statistic), size - 2, true);
+                zStandardError = Math.sqrt((method === "spearman" ? 1.06 : 1) / (size - 3));
+
+                result[method === "spearman" ? "rho" : "r"] = estimate;
+                result.t = statistic;
+                result.df = size - 2;
             }
-        };
 
-        // Add median to prototype for easy access
-        self.median = function(column, filterCb) {
-            return median(self.json, column, filterCb);
+            result.p = Math.min(1, prob);
+
+            // Confidence interval on the Fisher z scale, transformed back with tanh
+            if (isNaN(zStandardError) || !isFinite(zStandardError)) {
+                result.interval = {
+                    "lower": NaN,
+                    "upper": NaN
+                };
+            } else {
+                zCritical = globalObject.norm.inv(1 - alpha / 2, 0, 1);
+                fisherZ = 0.5 * Math.log((1 + estimate) / (1 - estimate));
+
+                var tanh = function(z) {
+                    return z === Infinity ? 1 : z === -Infinity ? -1 : (Math.exp(2 * z) - 1) / (Math.exp(2 * z) + 1);
+                };
+
+                result.interval = {
+                    "lower": tanh(fisherZ - zCritical * zStandardError),
+                    "upper": tanh(fisherZ + zCritical * zStandardError)
+                };
+            }
+
+            return result;
         };
 
         /**
-         * Calculates the quartiles (exclusive) of a data set (column)
-         * Data in column can be filtered with callback (filterCb)
-         * Quartiles are types of percentile (k = 50), so this function depends on percentile
-         * 
-         * @param Number type
+         * Calculates the correlation of two data sets (columns) and tests whether it is different from 0
+         * Only rows with a value in both columns are used
+         * Methods: "pearson" (default), "spearman" or "kendall" (see correlate)
+         * Returns the method, the number of rows used, the estimate (r, rho or tau), the test statistic (t with its
+         *     degrees of freedom, or z for Kendall), the two-sided probability and the (1 - alpha) confidence interval
+         * Data in columns can be filtered with callback (filterCb)
+         *
          * @param (JSON array) json
-         * @param String column
+         * @param String columnX
+         * @param String columnY
+         * @param String method
          * @param function filterCb
          *     takes an object in the JSON array as an argument
          *     should return true or false
-         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     used to filter rows used for calculation based on values in the same columns or other columns
          *     e.g. function(data) {data.column == "value";}
+         * @param Float alpha (default 0.05) used for the confidence interval
          */
-        var quartile = function(type, json, column, filterCb) {
-            // If JSON has already been validated, crunch numbers
-            if (json instanceof ValidJson) {
+        var cor = function(json, columnX, columnY, method, filterCb, alpha) {
+            // alpha may be passed in place of filterCb, and filterCb in place of method
+            if (typeof alpha === "undefined" && typeof filterCb === "number") {
+                alpha = filterCb;
+                filterCb = undefined;
+            }
 
-                // Quartiles are special percentiles, so using the type of quartile to calculate the related percentile
-                if (type === 1) {
-                    return percentile(25, json.validJson, column, filterCb);
-                } else if (type === 2) {
-                    return percentile(50, json.validJson, column, filterCb);
-                } else if (type === 3) {
-                    return percentile(75, json.validJson, column, filterCb);
-                } else if (type === 4) {
-                    return percentile(100, json.validJson, column, filterCb);
-                } else {
-                    throw new Error(type + " is not a quartile. Appropriate quartiles are 1, 2, 3, 4");
-                }
+            if (typeof filterCb === "undefined" && typeof method === "function") {
+                filterCb = method;
+                method = undefined;
+            }
 
-           // Data has not been validated
-            } else {
+            method = typeof method === "undefined" ? "pearson" : typeof method === "string" ? method.toLowerCase() : method;
+            alpha = typeof alpha === "undefined" ? 0.05 : alpha;
 
+            var errors = [];
 
-                // Attempt to validate... everything!!!
-                try {
-                    var validationReport = validateJson(json, column, filterCb);
-                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
-                    return quartile(type, validJson, column, filterCb);
-                
-                // Validation failed, catch errors
-                } catch (err) {
-                    
-                    // Re-throw for catching later
-                    throw err;
-                }
+            if (method !== "pearson" && method !== "spearman" && method !== "kendall") {
+                errors.push("cor: the method must be \"pearson\", \"spearman\", or \"kendall\"");
             }
-        };
 
-        // Add quartile to prototype for easy access
-        self.quartile = function(type, column, filterCb) {
-            return quartile(type, self.json, column, filterCb);
+            if (isNaN(alpha) || alpha > 1 || alpha < 0) {
+                errors.push("cor: alpha must be a number between 0 and 1");
+            }
+
+            if (errors.length > 0) {
+                throw new Error(errors.join("; "));
+            }
+
+            // Validate the columns row-wise so each pair of values stays together (errors are thrown from validateJsonColumns)
+            var rows = validateJsonColumns(json, [columnX, columnY], filterCb).validJson,
+                valuesX = rows.map(function(row) {
+                    return parseFloat(row[columnX]);
+                }),
+                valuesY = rows.map(function(row) {
+                    return parseFloat(row[columnY]);
+                });
+
+            // Ranks replace the values for Spearman's rho
+            if (method === "spearman") {
+                valuesX = rankValues(valuesX).ranks;
+                valuesY = rankValues(valuesY).ranks;
+            }
+
+            return correlate(valuesX, valuesY, columnX, columnY, method, alpha);
         };
 
+        // Make the function available to the savvy stats object
+        self.cor = function(columnX, columnY, method, filterCb, alpha) {
+            return cor(self.json, columnX, columnY, method, filterCb, alpha);
+        };
 
         /**
-         * Calculates the mode of a data set (column)
-         * Data in column can be filtered with callback (filterCb)
-         * 
-         * @param Number type
+         * Validates several columns in a single pass over the data and returns the numbers of each row
+         *     (used in covMatrix and corMatrix)
+         * Each row is returned as an array of numbers in the order of the columns, a missing or blank value is NaN
+         * Deletion of missing values:
+         *     "pairwise": every filtered row is kept, each pair of columns uses the rows with a value in both columns
+         *     "listwise": only rows with a value in every column are kept
+         *
          * @param (JSON array) json
-         * @param String column
+         * @param Array columns
          * @param function filterCb
-         *     takes an object in the JSON array as an argument
-         *     should return true or false
-         *     used to filter values in column used for calculation based on values in the same column or other columns
-         *     e.g. function(data) {data.column == "value";}
+         * @param String deletion
          */
-        var mode = function(json, column, filterCb) {
-            // If JSON has already been validated, crunch numbers
-            if (json instanceof ValidJson) {
+        var matrixJson = function(json, columns, filterCb, deletion) {
+            var errors = [],
+                rows = [],
+                present = [],       // number of rows with each column
+                row,
+                value,
+                complete,
+                i,
+                j;
 
-                var sortedJson = jsonSort(json.validJson, column);
+            if (!(json instanceof Array)) {
+                errors.push("Data must be in a JSON format starting with an array");
+            }
 
-                var currentCount = 0,         // Changed each time a new number appears
-                    rememberedCount = 0,      // Highest count remembered so far
-                    rememberedValues = [];    // Values with the highest count currently, set as an array to hold more than one mode
+            if (!(columns instanceof Array) || columns.length < 2) {
+                errors.push("at least 2 columns must be passed in an array of columns");
+            } else {
+                for (j = 0; j < columns.length; j++) {
+                    if (typeof columns[j] !== "string") {
+                        errors.push("The column name must be passed as strings: " + columns[j] + ".");
+                    } else if (columns.indexOf(columns[j]) !== j) {
+                        errors.push("The column " + columns[j] + " is listed more than once");
+                    }
 
-                // Starting sortedJson at 2nd value to avoid initial edge effect
-                for (var i = 1; i < json.count; i++) {
+                    present[j] = 0;
+                }
+            }
 
-                    // If callback returns false (data does not match user submitted filter)
-                    if (filterCb && filterCb(json.validJson[i]) === false) continue;
+            if (filterCb && typeof filterCb !== "function") {
+                errors.push("The function " + filterCb + " is not a function or is improperly formed.");
+            }
 
-                    // If the current value is the same as the previous, increment counter (it has occurred more than once)
-                    if (sortedJson[i][column] === sortedJson[i - 1][column]) {
-                        // The first number is not counted because the number before it was different;
-                        // therefore, the count is always 1 less than the total actually occurring
-                        currentCount++;
+            if (errors.length > 0) {
+                throw new Error(errors.join("; "));
+            }
 
-                    // The current value is new, begin storing state
-                    } else {
+            for (i = 0; i < json.length; i++) {
+                if (!(json[i] instanceof Object) || (json[i] instanceof Array)) {
+                    throw new Error("The JSON array must be filled with objects");
+                }
 
-                        // The current group of same numbers is larger than any previous
-                        if (currentCount > rememberedCount) {
-                            rememberedValues = [];                                           // reset current sortedJson array of values (anything stored occurs less frequently)
-                            rememberedValues.push(parseFloat(sortedJson[i - 1][column]));    // put the previous value (last member of group) into sortedJson to be remembered
-                            rememberedCount = currentCount;                                  // Pass the current count to the remembered count as the highest remembered count
-                            currentCount = 0;                                                // reset the current count
+                if (filterCb) {
+                    complete = filterCb(json[i]);
 
-                        // Current count is equal to the last highest remembered (don't fill this if count is 0 (no two equal values); this is not a mode!)
-                        } else if (currentCount === rememberedCount && currentCount !== 0) {
-                            rememberedValues.push(parseFloat(sortedJson[i - 1][column]));    // simply add the last number of the group to the sortedJson with any others
-                            currentCount = 0;                                                // reset counter
-                        
-                        // Current counter did not exceed highest remembered count (this number is obviously not the mode)
-                        } else {
-                            currentCount = 0;    // reset counter
-                        }
+                    if (complete !== true && complete !== false) {
+                        throw new Error("The function " + filterCb + " must return either true or false.");
+                    }
+
+                    if (!complete) {
+                        continue;
                     }
                 }
 
-                // A count of 1 is not a mode!!
-                if (rememberedCount === 0) {
-                    return "DNE";
-                } else {
-                    return rememberedValues;
+                row = [];
+                complete = true;
+
+                for (j = 0; j < columns.length; j++) {
+                    value = json[i].hasOwnProperty(columns[j]) ? json[i][columns[j]] : "";
+
+                    if (value !== "" && isNaN(value)) {
+                        throw new Error("The column " + columns[j] + " does not contain only numbers and has to for this operation.");
+                    }
+
+                    row.push(value === "" ? NaN : parseFloat(value));
+                    complete = complete && value !== "";
                 }
 
-           // Data has not been validated
-            } else {
+                if (deletion === "pairwise" || complete) {
+                    rows.push(row);
 
+                    for (j = 0; j < columns.length; j++) {
+                        present[j] += isNaN(row[j]) ? 0 : 1;
+                    }
+                }
+            }
 
-                // Attempt to validate... everything!!!
-                try {
-                    var validationReport = validateJson(json, column, filterCb);
-                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
-                    return mode(validJson, column, filterCb);
-                
-                // Validation failed, catch errors
-                } catch (err) {
-                    
-                    // Re-throw for catching later
-                    throw err;
+            for (j = 0; j < columns.length; j++) {
+                if (present[j] === 0) {
+                    throw new Error("The column " + columns[j] + " has no values" + (deletion === "listwise" ? " in rows with a value in every column" : "") + "; or, if you're sure it does, the json might be broken. Verify the JSON before continuing.");
+                }
+            }
+
+            return rows;
+        };
+
+        /**
+         * Accumulates the count, means, sums of squares and sum of cross products of every pair of columns
+         *     in a single pass over the rows from matrixJson (used in covMatrix and corMatrix)
+         * Each pair only uses the rows with a value in both columns, the diagonal holds each column on its own
+         * Updated one row at a time to avoid the rounding error of subtracting large sums
+         *     (https://en.wikipedia.org/wiki/Algorithms_for_calculating_variance#Covariance)
+         *
+         * @param Array rows
+         * @param Int size (number of columns)
+         */
+        var comoments = function(rows, size) {
+            var moments = [],
+                pair,
+                deltaA,
+                deltaB,
+                i,
+                j,
+                k;
+
+            for (j = 0; j < size; j++) {
+                moments[j] = [];
+
+                for (k = 0; k < size; k++) {
+                    moments[j][k] = {
+                        "count": 0,
+                        "meanA": 0,
+                        "meanB": 0,
+                        "sumSquaresA": 0,
+                        "sumSquaresB": 0,
+                        "sumProducts": 0
+                    };
                 }
             }
-        };
 
-        // Add mode to prototype for easy access
-        self.mode = function(column, filterCb) {
-            return mode(self.json, column, filterCb);
-        };
+            for (i = 0; i < rows.length; i++) {
+                for (j = 0; j < size; j++) {
+                    if (isNaN(rows[i][j])) {
+                        continue;
+                    }
 
-        /*=======================================*
-         * Distributions and Their Related Tests *
-         *=======================================*/
+                    for (k = j; k < size; k++) {
+                        if (isNaN(rows[i][k])) {
+                            continue;
+                        }
 
-        /* -------------- *
-         * T Distribution *
-         * -------------- */
+                        pair = moments[j][k];
+                        pair.count++;
+                        deltaA = rows[i][j] - pair.meanA;
+                        deltaB = rows[i][k] - pair.meanB;
+                        pair.meanA += deltaA / pair.count;
+                        pair.meanB += deltaB / pair.count;
+                        pair.sumSquaresA += deltaA * (rows[i][j] - pair.meanA);
+                        pair.sumSquaresB += deltaB * (rows[i][k] - pair.meanB);
+                        pair.sumProducts += deltaA * (rows[i][k] - pair.meanB);
+                    }
+                }
+            }
 
-        // Objects containing T distribution methods
-        var t = {};
-        self.t = {};
+            // The lower triangle mirrors the upper triangle
+            for (j = 0; j < size; j++) {
+                for (k = 0; k < j; k++) {
+                    moments[j][k] = moments[k][j];
+                }
+            }
+
+            return moments;
+        };
 
         /**
-         * Calculates the confidence interval of the mean of a data set (column) assuming 
-         *     that the population variance is not known
-         * Data in column can be filtered with callback (filterCb)
-         * 
-         * @param Float alpha
+         * Calculates the covariance of every pair of data sets (columns) with a single pass over the data
+         * Options (optional) currently support:
+         *     deletion: "pairwise" (default, each pair uses the rows with a value in both columns) or
+         *         "listwise" (only rows with a value in every column are used)
+         * Returns the columns, the covariance matrix (the diagonal holds the variances) and the matrix of the number
+         *     of rows used for each pair, both in the order of the columns
+         * A pair with fewer than 2 rows has a covariance of NaN
+         * Data in columns can be filtered with callback (filterCb)
+         *
          * @param (JSON array) json
-         * @param String column
+         * @param Array columns
          * @param function filterCb
          *     takes an object in the JSON array as an argument
          *     should return true or false
-         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     used to filter rows used for calculation based on values in the same columns or other columns
          *     e.g. function(data) {data.column == "value";}
+         * @param Object options
          */
-        t.conf = function(alpha, json, column, filterCb, type) {
-            // sanitize the data
-            if (isNaN(alpha) || alpha > 1 || alpha < 0){
-                throw new Error("t.conf: alpha must be a number between 0 and 1");
+        var covMatrix = function(json, columns, filterCb, options) {
+            // options may be passed in place of filterCb
+            if (typeof options === "undefined" && typeof filterCb === "object") {
+                options = filterCb;
+                filterCb = undefined;
             }
 
-            // This function is called from another function
-            // Therefore, all arguments have values, but they might be undefined 
-            //     meaning that the user didn't put them into the function that calls
-            //     this function
-            // So, check for "undefined", not the number of arguments
-            if (typeof type === "undefined" && (typeof filterCb === "string" || typeof filterCb === "number")) {
-                type = filterCb;
-                filterCb = undefined;
+            options = typeof options === "undefined" ? {} : options;
+
+            if (typeof options !== "object" || options === null) {
+                throw new Error("covMatrix: The options must be passed as an object");
             }
 
-            // If JSON has already been validated, crunch numbers
-            if (json instanceof ValidJson) {
-                var sampleMean = mean(json.validJson, column, filterCb),
-                    sampleStdev = stdev(json.validJson, column, filterCb);
+            var deletion = typeof options.deletion === "undefined" ? "pairwise" : typeof options.deletion === "string" ? options.deletion.toLowerCase() : options.deletion;
 
-                return globalObject.t.conf(alpha, sampleMean, sampleStdev, json.count, type);
+            if (deletion !== "pairwise" && deletion !== "listwise") {
+                throw new Error("covMatrix: the deletion must be \"pairwise\" or \"listwise\"");
+            }
 
-            // Data has not been validated
-            } else {
+            // Errors are thrown from matrixJson
+            var moments = comoments(matrixJson(json, columns, filterCb, deletion), columns.length),
+                covariance = [],
+                counts = [],
+                j,
+                k;
 
-                // Attempt to validate... everything!!!
-                try {
-                    var validationReport = validateJson(json, column, filterCb);
-                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
-                    return t.conf(alpha, validJson, column, filterCb, type);
-                
-                // Validation failed, catch errors
-                } catch (err) {
-                    
-                    // Re-throw for catching later
-                    throw err;
+            for (j = 0; j < columns.length; j++) {
+                covariance[j] = [];
+                counts[j] = [];
+
+                for (k = 0; k < columns.length; k++) {
+                    covariance[j][k] = moments[j][k].count < 2 ? NaN : moments[j][k].sumProducts / (moments[j][k].count - 1);
+                    counts[j][k] = moments[j][k].count;
                 }
             }
+
+            return {
+                "columns": columns,
+                "covariance": covariance,
+                "count": counts
+            };
         };
-        
-        // Allowing JsonData to have access to t.conf for easy calculation on any column
-        self.t.conf = function(alpha, column, filterCb, type) {
-            return t.conf(alpha, self.json, column, filterCb, type);
+
+        // Make the function available to the savvy stats object
+        self.covMatrix = function(columns, filterCb, options) {
+            return covMatrix(self.json, columns, filterCb, options);
         };
-        
 
         /**
-         * Performs a 1 sample t test, returns the probability of achieving the data
-         *     given the expected mean
-         * Data in column can be filtered with callback (filterCb)
-         * 
-         * @param Float alpha
+         * Calculates the correlation of every pair of data sets (columns) and tests whether each is different from 0,
+         *     with a single pass over the data to validate it
+         * Methods: "pearson" (default), "spearman" or "kendall" (see correlate for the tests)
+         * Options (optional) currently support:
+         *     deletion: "pairwise" (default, each pair uses the rows with a value in both columns) or
+         *         "listwise" (only rows with a value in every column are used)
+         * Returns the method, the columns and matrices of the estimates (r, rho or tau), the two-sided probabilities
+         *     and the number of rows used for each pair, all in the order of the columns
+         * The diagonal has an estimate of 1 and a probability of NaN, a pair with fewer than 3 rows or with a column
+         *     whose values are all the same has NaN for both (as does the diagonal of that column)
+         * Kendall's tau compares every pair of rows, so each pair of columns takes time proportional to the square of
+         *     the number of rows; with pairwise deletion Spearman's rho ranks each column once for every set of
+         *     missing rows
+         * Data in columns can be filtered with callback (filterCb)
+         *
          * @param (JSON array) json
-         * @param String column
+         * @param Array columns
+         * @param String method
          * @param function filterCb
          *     takes an object in the JSON array as an argument
          *     should return true or false
-         *     used to filter values in column used for calculation based on values in the same column or other columns
+         *     used to filter rows used for calculation based on values in the same columns or other columns
          *     e.g. function(data) {data.column == "value";}
+         * @param Object options
          */
-        t.test1s = function(expectedMean, json, column, filterCb, alternative) {
-            // sanitize the data
-            if (isNaN(expectedMean)){
-                throw new Error("t.test1s: the expected mean must be a number");
+        var corMatrix = function(json, columns, method, filterCb, options) {
+            // options may be passed in place of filterCb or method, and filterCb in place of method
+            if (typeof options === "undefined" && typeof filterCb === "object") {
+                options = filterCb;
+                filterCb = undefined;
             }
 
-            // This function is called from another function
-            // Therefore, all arguments have values, but they might be undefined 
-            //     meaning that the user didn't put them into the function that calls
-            //     this function
-            // So, check for "undefined", not the number of arguments
-            if (typeof alternative === "undefined" && (typeof filterCb === "string" || typeof filterCb === "number")) {
-                alternative = filterCb;
-                filterCb = undefined;
+            if (typeof options === "undefined" && typeof filterCb === "undefined" && typeof method === "object") {
+                options = method;
+                method = undefined;
             }
 
-            // If JSON has already been validated, crunch numbers
-            if (json instanceof ValidJson) {
-                var sampleMean = mean(json.validJson, column, filterCb),
-                    sampleStdev = stdev(json.validJson, column, filterCb);
-                    
-                return globalObject.t.test1s(expectedMean, sampleMean, sampleStdev, json.count, alternative);
+            if (typeof filterCb === "undefined" && typeof method === "function") {
+                filterCb = method;
+                method = undefined;
+            }
 
-            // Data has not been validated
-            } else {
+            method = typeof method === "undefined" ? "pearson" : typeof method === "string" ? method.toLowerCase() : method;
+            options = typeof options === "undefined" ? {} : options;
 
-                // Attempt to validate... everything!!!
-                try {
-                    var validationReport = validateJson(json, column, filterCb);
-                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
-                    return t.test1s(expectedMean, validJson, column, filterCb, alternative);
-                
-                // Validation failed, catch errors
-                } catch (err) {
-                    
-                    // Re-throw for catching later
-                    throw err;
-                }
+            var errors = [];
+
+            if (method !== "pearson" && method !== "spearman" && method !== "kendall") {
+                errors.push("corMatrix: the method must be \"pearson\", \"spearman\", or \"kendall\"");
             }
-        };
 
-        // Make the function available to the savvy stats object
-        self.t.test1s = function(expectedMean, column, filterCb, alternative) {
-            return t.test1s(expectedMean, self.json, column, filterCb, alternative);
-        };
+            if (typeof options !== "object" || options === null) {
+                errors.push("corMatrix: The options must be passed as an object");
+            }
 
-        /* ----------------------- *
-         * Chi Square Distribution *
-         * ----------------------- */
+            if (errors.length > 0) {
+                throw new Error(errors.join("; "));
+            }
 
-        // Objects containing chi square methods
-        var chisq = {};
-        self.chisq = {};
+            var deletion = typeof options.deletion === "undefined" ? "pairwise" : typeof options.deletion === "string" ? options.deletion.toLowerCase() : options.deletion;
 
-        /**
-         * Calculates the confidence interval of the variance of a data set (column) assuming 
-         *     that the population variance is not known
-         * Data in column can be filtered with callback (filterCb)
-         * 
-         * @param Float alpha
-         * @param (JSON array) json
-         * @param String column
-         * @param function filterCb
-         *     takes an object in the JSON array as an argument
-         *     should return true or false
-         *     used to filter values in column used for calculation based on values in the same column or other columns
-         *     e.g. function(data) {data.column == "value";}
-         */
-        chisq.conf = function(alpha, json, column, filterCb, type) {
-            // sanitize the data
-            if (isNaN(alpha) || alpha > 1 || alpha < 0){
-                throw new Error("chisq.conf: alpha must be a number between 0 and 1");
+            if (deletion !== "pairwise" && deletion !== "listwise") {
+                throw new Error("corMatrix: the deletion must be \"pairwise\" or \"listwise\"");
             }
 
-            // This function is called from another function
-            // Therefore, all arguments have values, but they might be undefined 
-            //     meaning that the user didn't put them into the function that calls
-            //     this function
-            // So, check for "undefined", not the number of arguments
-            if (typeof type === "undefined" && (typeof filterCb === "string" || typeof filterCb === "number")) {
-                type = filterCb;
-                filterCb = undefined;
+            // Errors are thrown from matrixJson
+            var rows = matrixJson(json, columns, filterCb, deletion),
+                size = columns.length,
+                estimates = [],
+                probs = [],
+                counts = [],
+                moments,
+                valuesJ,
+                valuesK,
+                rowsUsed,               // rows with a value in both columns of a pair, used as the key of rankCache
+                rankCache = [],         // Spearman ranks of each column keyed by the rows used
+                result,
+                r,
+                t,
+                i,
+                j,
+                k;
+
+            // A column whose values are all the same has no correlation with the other columns
+            var isConstant = function(values) {
+                for (var index = 1; index < values.length; index++) {
+                    if (values[index] !== values[0]) {
+                        return false;
+                    }
+                }
+
+                return true;
+            };
+
+            for (j = 0; j < size; j++) {
+                estimates[j] = [];
+                probs[j] = [];
+                counts[j] = [];
+                estimates[j][j] = 1;
+                probs[j][j] = NaN;
             }
 
-            // If JSON has already been validated, crunch numbers
-            if (json instanceof ValidJson) {
-                var sampleStdev = stdev(json.validJson, column, filterCb);
-                
-                return globalObject.chisq.conf(alpha, sampleStdev, json.count, type);
+            // Pearson (and Spearman when every column has the same rows) come from the sums of cross products
+            if (method === "pearson" || (method === "spearman" && deletion === "listwise")) {
+                if (method === "spearman") {
+                    // Replace each column with its ranks
+                    var ranks = [];
 
-            // Data has not been validated
-            } else {
+                    for (j = 0; j < size; j++) {
+                        valuesJ = [];
 
-                // Attempt to validate... everything!!!
-                try {
-                    var validationReport = validateJson(json, column, filterCb);
-                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
-                    return chisq.conf(alpha, validJson, column, filterCb, type);
-                
-                // Validation failed, catch errors
-                } catch (err) {
-                    
-                    // Re-throw for catching later
-                    throw err;
+                        for (i = 0; i < rows.length; i++) {
+                            valuesJ.push(rows[i][j]);
+                        }
+
+                        ranks[j] = rankValues(valuesJ).ranks;
+                    }
+
+                    rows = rows.map(function(row, index) {
+                        return ranks.map(function(columnRanks) {
+                            return columnRanks[index];
+                        });
+                    });
                 }
-            }
-        };
-        // Add the chisq.conf function to the object as a method
-        self.chisq.conf = function(alpha, column, filterCb, type) {
-            return chisq.conf(alpha, self.json, column, filterCb, type);
-        };
 
-        /**
-         * Performs a 1 sample t test, returns the probability of achieving the data
-         *     given the expected mean
-         * Data in column can be filtered with callback (filterCb)
-         * 
-         * @param Float alpha
-         * @param (JSON array) json
-         * @param String column
-         * @param function filterCb
-         *     takes an object in the JSON array as an argument
-         *     should return true or false
-         *     used to filter values in column used for calculation based on values in the same column or other columns
-         *     e.g. function(data) {data.column == "value";}
-         */
-        chisq.test1s = function(expectedStdev, json, column, filterCb, alternative) {
-            // sanitize the data
-            if (isNaN(expectedStdev)){
-                throw new Error("chisq.test1s: the expected standard deviation must be a number");
-            }
+                moments = comoments(rows, size);
 
-            // This function is called from another function
-            // Therefore, all arguments have values, but they might be undefined 
-            //     meaning that the user didn't put them into the function that calls
-            //     this function
-            // So, check for "undefined", not the number of arguments
-            if (typeof alternative === "undefined" && (typeof filterCb === "string" || typeof filterCb === "number")) {
-                alternative = filterCb;
-                filterCb = undefined;
-            }
+                for (j = 0; j < size; j++) {
+                    counts[j][j] = moments[j][j].count;
+                    estimates[j][j] = moments[j][j].sumSquaresA === 0 ? NaN : 1;
 
-            // If JSON has already been validated, crunch numbers
-            if (json instanceof ValidJson) {
-                var sampleStdev = stdev(json.validJson, column, filterCb);
-                
-                return globalObject.chisq.test1s(expectedStdev, sampleStdev, json.count, alternative);
+                    for (k = j + 1; k < size; k++) {
+                        counts[j][k] = counts[k][j] = moments[j][k].count;
 
-            // Data has not been validated
+                        if (moments[j][k].count < 3 || moments[j][k].sumSquaresA === 0 || moments[j][k].sumSquaresB === 0) {
+                            estimates[j][k] = estimates[k][j] = NaN;
+                            probs[j][k] = probs[k][j] = NaN;
+                            continue;
+                        }
+
+                        // t = r * sqrt((n - 2)/(1 - r^2)) on n - 2 degrees of freedom, as in correlate
+                        r = Math.max(-1, Math.min(1, moments[j][k].sumProducts / Math.sqrt(moments[j][k].sumSquaresA * moments[j][k].sumSquaresB)));
+                        t = r * Math.sqrt((moments[j][k].count - 2) / (1 - Math.pow(r, 2)));
+
+                        estimates[j][k] = estimates[k][j] = r;
+                        probs[j][k] = probs[k][j] = Math.abs(r) === 1 ? 0 : Math.min(1, 2 * globalObject.t.dist(-Math.abs(t), moments[j][k].count - 2, true));
+                    }
+                }
             } else {
+                // Kendall's tau and pairwise Spearman's rho need the rows of each pair
+                for (j = 0; j < size; j++) {
+                    rankCache[j] = {};
+                    valuesJ = [];
+
+                    for (i = 0; i < rows.length; i++) {
+                        if (!isNaN(rows[i][j])) {
+                            valuesJ.push(rows[i][j]);
+                        }
+                    }
 
-                // Attempt to validate... everything!!!
-                try {
-                    var validationReport = validateJson(json, column, filterCb);
-                    var validJson = new ValidJson(validationReport.validJson, validationReport.count);
-                    return chisq.test1s(expectedStdev, validJson, column, filterCb, alternative);
-                
-                // Validation failed, catch errors
-                } catch (err) {
-                    
-                    // Re-throw for catching later
-                    throw err;
+                    counts[j][j] = valuesJ.length;
+                    estimates[j][j] = isConstant(valuesJ) ? NaN : 1;
+                }
+
+                for (j = 0; j < size; j++) {
+                    for (k = j + 1; k < size; k++) {
+                        valuesJ = [];
+                        valuesK = [];
+                        rowsUsed = [];
+
+                        for (i = 0; i < rows.length; i++) {
+                            if (!isNaN(rows[i][j]) && !isNaN(rows[i][k])) {
+                                valuesJ.push(rows[i][j]);
+                                valuesK.push(rows[i][k]);
+                                rowsUsed.push(i);
+                            }
+                        }
+
+                        counts[j][k] = counts[k][j] = valuesJ.length;
+
+                        if (valuesJ.length < 3 || isConstant(valuesJ) || isConstant(valuesK)) {
+                            estimates[j][k] = estimates[k][j] = NaN;
+                            probs[j][k] = probs[k][j] = NaN;
+                            continue;
+                        }
+
+                        // Each column is only ranked again when a pair is missing a different set of rows
+                        if (method === "spearman") {
+                            rowsUsed = rowsUsed.join(",");
+
+                            if (!rankCache[j].hasOwnProperty(rowsUsed)) {
+                                rankCache[j][rowsUsed] = rankValues(valuesJ).ranks;
+                            }
+
+                            if (!rankCache[k].hasOwnProperty(rowsUsed)) {
+                                rankCache[k][rowsUsed] = rankValues(valuesK).ranks;
+                            }
+
+                            valuesJ = rankCache[j][rowsUsed];
+                            valuesK = rankCache[k][rowsUsed];
+                        }
+
+                        result = correlate(valuesJ, valuesK, columns[j], columns[k], method, 0.05);
+
+                        estimates[j][k] = estimates[k][j] = method === "kendall" ? result.tau : result.rho;
+                        probs[j][k] = probs[k][j] = result.p;
+                    }
                 }
             }
+
+            return {
+                "method": method,
+                "columns": columns,
+                "estimate": estimates,
+                "p": probs,
+                "count": counts
+            };
         };
 
         // Make the function available to the savvy stats object
-        self.chisq.test1s = function(expectedStdev, column, filterCb, alternative) {
-            return chisq.test1s(expectedStdev, self.json, column, filterCb, alternative);
+        self.corMatrix = function(columns, method, filterCb, options) {
+            return corMatrix(self.json, columns, method, filterCb, options);
         };
     }
 
@@ -0,0 +1,166 @@
+// Analysis of variance
+// Reference values from R: aov, TukeyHSD, car::leveneTest and bartlett.test on the PlantGrowth data set
+var test = require("node:test"),
+    assert = require("assert"),
+    helpers = require("./helpers"),
+    ss = helpers.ss,
+    close = helpers.close;
+
+var plantGrowth = ss({
+    "weight": [4.17, 5.58, 5.18, 6.11, 4.50, 4.61, 5.17, 4.53, 5.33, 5.14,
+               4.81, 4.17, 4.41, 3.59, 5.87, 3.83, 6.03, 4.89, 4.32, 4.69,
+               6.31, 5.12, 5.54, 5.50, 5.37, 5.29, 4.92, 6.15, 5.80, 5.26],
+    "group": ["ctrl", "ctrl", "ctrl", "ctrl", "ctrl", "ctrl", "ctrl", "ctrl", "ctrl", "ctrl",
+              "trt1", "trt1", "trt1", "trt1", "trt1", "trt1", "trt1", "trt1", "trt1", "trt1",
+              "trt2", "trt2", "trt2", "trt2", "trt2", "trt2", "trt2", "trt2", "trt2", "trt2"]
+});
+
+test("anova matches aov", function() {
+    var table = plantGrowth.anova("weight", "group");
+
+    close(table.between.ss, 3.76634);
+    close(table.between.df, 2);
+    close(table.within.ss, 10.49209);
+    close(table.within.df, 27);
+    close(table.between.F, 4.846088);
+    close(table.between.p, 0.01590996);
+});
+
+test("anova reports data without within group variation", function() {
+    assert.throws(function() {
+        ss({"v": [1, 1, 1, 1], "g": ["a", "a", "b", "b"]}).anova("v", "g");
+    }, /anova: the values of v are all the same within each group of g/);
+
+    assert.throws(function() {
+        ss({"v": [0.1, 0.1, 0.1, 0.2, 0.2], "g": ["a", "a", "a", "b", "b"]}).anova("v", "g");
+    }, /no within group variance/);
+});
+
+test("anova needs at least 2 groups", function() {
+    assert.throws(function() {
+        ss({"v": [1, 2, 3], "g": ["a", "a", "a"]}).anova("v", "g");
+    }, /anova: at least 2 groups are needed in v grouped by g/);
+});
+
+// 2 x 3 design with 2 to 4 values in each combination
+// Reference values from R, with fit = lm(y ~ a * b, contrasts = list(a = "contr.sum", b = "contr.sum")):
+//     Type III from drop1(fit, . ~ ., test = "F"), the tests car::Anova(fit, type = 3) reports
+//     Type II from anova(lm(y ~ b + a)) and anova(lm(y ~ a + b)) against the residual mean square of fit,
+//     the tests car::Anova(fit, type = 2) reports
+var unbalanced = ss({
+    "y": [12.1, 14.3, 13.0, 15.2, 16.8, 11.4, 12.9, 10.7, 13.3, 16.0, 17.2, 14.1, 15.5, 13.2, 16.4, 18.3, 17.1, 19.6],
+    "a": ["a1", "a1", "a1", "a1", "a1", "a1", "a1", "a1", "a1", "a2", "a2", "a2", "a2", "a2", "a2", "a2", "a2", "a2"],
+    "b": ["b1", "b1", "b1", "b2", "b2", "b3", "b3", "b3", "b3", "b1", "b1", "b2", "b2", "b2", "b2", "b3", "b3", "b3"]
+});
+
+test("twoWayAnova Type III sums of squares on an unbalanced 2 x 3 design", function() {
+    var table = unbalanced.twoWayAnova("y", "a", "b");
+
+    close(table.factorA.ss, 33.54260);
+    close(table.factorA.F, 22.11498);
+    close(table.factorA.p, 0.0005119675);
+    close(table.factorB.ss, 0.7317900);
+    close(table.factorB.p, 0.7893741);
+    close(table.interaction.ss, 41.91134);
+    close(table.interaction.F, 13.81629);
+    close(table.interaction.p, 0.0007705006);
+    close(table.residual.ss, 18.20083);
+    close(table.residual.df, 12);
+    assert.strictEqual(table.balanced, false);
+});
+
+test("twoWayAnova Type II sums of squares on an unbalanced 2 x 3 design", function() {
+    var table = unbalanced.twoWayAnova("y", "a", "b", 2);
+
+    close(table.factorA.ss, 41.57297);
+    close(table.factorA.p, 0.0002093506);
+    close(table.factorB.ss, 0.2833807);
+    close(table.factorB.p, 0.9114686);
+    close(table.interaction.ss, 41.91134);
+});
+
+test("twoWayAnova sums of squares are never negative", function() {
+    // Every combination has a mean of 22.7, so the effects are 0, but rounding leaves the difference of the
+    //     residual sums of squares for a just below 0 (F.dist rejects a negative F statistic) unless it is clamped
+    var table = ss({
+        "y": [21.3, 24.1, 21.2, 24.2, 21.6, 22.7, 23.8, 22.0, 22.7, 23.4],
+        "a": ["x", "x", "x", "x", "z", "z", "z", "z", "z", "z"],
+        "b": ["u", "u", "v", "v", "u", "u", "u", "v", "v", "v"]
+    }).twoWayAnova("y", "a", "b");
+
+    assert.strictEqual(table.factorA.ss, 0);
+    assert.strictEqual(table.factorA.p, 1);
+});
+
+test("twoWayAnova reports data without residual variation", function() {
+    assert.throws(function() {
+        ss({
+            "y": [1, 1, 2, 2, 3, 3, 4, 4],
+            "a": ["x", "x", "x", "x", "z", "z", "z", "z"],
+            "b": ["u", "u", "v", "v", "u", "u", "v", "v"]
+        }).twoWayAnova("y", "a", "b");
+    }, /no residual variance/);
+});
+
+test("tukey.dist and tukey.inv match ptukey and qtukey", function() {
+    close(ss.tukey.dist(3.5, 4, 20), 0.9050415);
+    close(ss.tukey.inv(0.95, 3, 27), 3.506426);
+    close(ss.tukey.inv(0.99, 5, 12), 5.836308);
+});
+
+test("tukeyHSD matches TukeyHSD", function() {
+    // R reports trt1-ctrl, these are ctrl-trt1, so the signs and interval limits are flipped
+    var comparisons = plantGrowth.tukeyHSD("weight", "group");
+
+    assert.strictEqual(comparisons.length, 3);
+    close(comparisons[0].difference, 0.371);
+    close(comparisons[0].p, 0.3908711);
+    close(comparisons[0].interval.lower, -0.3202161);
+    close(comparisons[0].interval.upper, 1.0622161);
+    close(comparisons[1].p, 0.1979960);
+    close(comparisons[2].difference, -0.865);
+    close(comparisons[2].p, 0.01200642);
+    close(comparisons[2].interval.lower, -1.5562161);
+    close(comparisons[2].interval.upper, -0.1737839);
+});
+
+test("tukeyHSD takes filterCb before alpha", function() {
+    var filtered = plantGrowth.tukeyHSD("weight", "group", function(row) {
+            return row.group !== "trt2";
+        }, 0.05),
+        wider = plantGrowth.tukeyHSD("weight", "group", 0.01);
+
+    assert.strictEqual(filtered.length, 1);
+    assert.ok(wider[0].interval.lower < -0.3202161);
+});
+
+test("levene matches car::leveneTest", function() {
+    var result = plantGrowth.levene("weight", "group"),
+        original = plantGrowth.levene("weight", "group", {"center": "mean"});
+
+    close(result.F, 1.119186);
+    assert.strictEqual(result.dfWithin, 27);
+    close(result.p, 0.3412266);
+    close(original.F, 1.236963);
+    close(original.p, 0.3061949);
+});
+
+test("levene reports groups without variation in their deviations", function() {
+    assert.throws(function() {
+        ss({"v": [1, 1, 2, 2], "g": ["a", "a", "b", "b"]}).levene("v", "g");
+    }, /levene: the deviations of v from the median are all the same within each group of g/);
+});
+
+test("bartlett matches bartlett.test", function() {
+    var result = plantGrowth.bartlett("weight", "group");
+
+    close(result.K2, 2.878574);
+    assert.strictEqual(result.df, 2);
+    close(result.p, 0.2370968);
+});
+
+test("bartlett reports a group of identical values even when rounding leaves a variance", function() {
+    assert.throws(function() {
+        ss({"v": [1, 3, 0.1, 0.1, 0.1], "g": ["a", "a", "b", "b", "b"]}).bartlett("v", "g");
+    }, /bartlett: all of the values in v are the same for g = b/);
+});
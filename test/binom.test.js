@@ -0,0 +1,74 @@
+// Binomial test and binomial confidence intervals
+// Reference values from R: binom.test and qbeta, the other intervals are worked from their formulas
+var test = require("node:test"),
+    assert = require("assert"),
+    helpers = require("./helpers"),
+    ss = helpers.ss,
+    close = helpers.close;
+
+test("binom.test matches binom.test", function() {
+    var result = ss.binom.test(682, 925, 0.75);
+
+    close(result.p, 0.3824916);
+    close(result.interval.lower, 0.7076683);
+    close(result.interval.upper, 0.7654066);
+    close(ss.binom.test(7, 20, 0.5).p, 0.2631760);
+});
+
+test("binom.test matches one-sided binom.test", function() {
+    var less = ss.binom.test(7, 20, 0.5, "less"),
+        greater = ss.binom.test(3, 4, 0.5, "greater");
+
+    close(less.p, 0.1315880);
+    close(less.interval.upper, 0.5580345);
+    close(greater.p, 0.3125);
+    close(greater.interval.lower, 0.2486046);
+});
+
+test("binom.test counts the successes in a column", function() {
+    var result = ss({"c": [1, 0, 1, 1, "", 0, 1]}).binom.test("c", 1, 0.5);
+
+    assert.strictEqual(result.successes, 4);
+    assert.strictEqual(result.trials, 6);
+    close(result.p, 0.6875);
+});
+
+test("binom.test matches the success value to strings parsed from a file", function() {
+    var result = ss("c\n1\n0\n1\n1").binom.test("c", 1, 0.5);
+
+    assert.strictEqual(result.successes, 3);
+    assert.strictEqual(result.trials, 4);
+    close(result.p, 0.625);
+});
+
+test("binom.conf methods match the binomial proportion interval formulas", function() {
+    // Jeffreys and Clopper-Pearson limits are qbeta quantiles, e.g. qbeta(0.025, 7.5, 13.5) for Jeffreys
+    var expected = {
+            "wilson": [0.1811918, 0.5671457],
+            "agresti-coull": [0.1799264, 0.5684112],
+            "jeffreys": [0.1722762, 0.5677661],
+            "clopper-pearson": [0.1539092, 0.5921885],
+            "logit": [0.1768430, 0.5743951]
+        },
+        interval,
+        method;
+
+    for (method in expected) {
+        interval = ss.binom.conf(0.05, 7, 20, method);
+
+        close(interval.lower, expected[method][0]);
+        close(interval.upper, expected[method][1]);
+    }
+});
+
+test("binom.conf handles one-sided intervals and no successes", function() {
+    close(ss.binom.conf(0.05, 7, 20, "upper", "wilson").lower, 0.2022600);
+    assert.strictEqual(ss.binom.conf(0.05, 0, 20, "jeffreys").lower, 0);
+    close(ss.binom.conf(0.05, 0, 20, "jeffreys").upper, 0.1166390);
+});
+
+test("binom.conf needs at least one trial", function() {
+    assert.throws(function() {
+        ss.binom.conf(0.05, 0, 0, 2, "wilson");
+    }, /binom.conf: the trials must be a number that is at least 1/);
+});
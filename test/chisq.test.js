@@ -0,0 +1,100 @@
+// Chi-square goodness-of-fit and independence tests and Fisher's exact test
+// Reference values from R: chisq.test and fisher.test
+var test = require("node:test"),
+    assert = require("assert"),
+    helpers = require("./helpers"),
+    ss = helpers.ss,
+    close = helpers.close;
+
+test("chisq.gof matches chisq.test with given probabilities", function() {
+    var result = ss.chisq.gof([89, 37, 30, 28, 2], [0.40, 0.20, 0.20, 0.19, 0.01]);
+
+    close(result.chisq, 5.794709);
+    assert.strictEqual(result.df, 4);
+    close(result.p, 0.2150131);
+    assert.strictEqual(result.warnings.length, 1);
+});
+
+test("chisq.gof expects equal frequencies by default", function() {
+    close(ss.chisq.gof([20, 13, 7]).p, 0.04179410);
+});
+
+test("chisq.gof counts the categories of a column", function() {
+    var data = ss({"c": ["r", "g", "r", "b", "r", "g", "r", "r", "g", "b", "r", "r"]}),
+        result = data.chisq.gof("c", {"r": 0.5, "g": 0.25, "b": 0.2, "y": 0.05});
+
+    // y never occurs, so it is counted as 0
+    assert.deepStrictEqual(result.categories, ["r", "g", "b", "y"]);
+    assert.deepStrictEqual(result.observed, [7, 3, 2, 0]);
+    close(result.chisq, 0.8333333);
+    close(result.p, 0.8414786);
+});
+
+test("chisq.independence matches chisq.test on a contingency table", function() {
+    // The party and gender table from the R documentation
+    var result = ss.chisq.independence([[762, 327, 468], [484, 239, 477]]);
+
+    close(result.chisq, 30.07015);
+    assert.strictEqual(result.df, 2);
+    // chisq.dist is accurate to about 1e-10, so a probability this small only matches to a few digits
+    close(result.p, 2.953589e-07, 1e-3);
+    assert.strictEqual(typeof result.yates, "undefined");
+});
+
+test("chisq.independence cross-tabulates two columns", function() {
+    var columns = {"group": [], "outcome": []},
+        counts = [["a", "yes", 12], ["a", "no", 5], ["b", "yes", 7], ["b", "no", 15]],
+        result,
+        i,
+        j;
+
+    for (i = 0; i < counts.length; i++) {
+        for (j = 0; j < counts[i][2]; j++) {
+            columns.group.push(counts[i][0]);
+            columns.outcome.push(counts[i][1]);
+        }
+    }
+
+    result = ss(columns).chisq.independence("group", "outcome");
+
+    assert.deepStrictEqual(result.observed, [[12, 5], [7, 15]]);
+    close(result.chisq, 5.769596);
+    close(result.p, 0.01630578);
+
+    // chisq.test applies the Yates correction to 2 x 2 tables by default
+    close(result.yates.chisq, 4.322120);
+    close(result.yates.p, 0.03762002);
+});
+
+test("fisher.test matches fisher.test on the tea tasting table", function() {
+    var result = ss.fisher.test([[3, 1], [1, 3]]);
+
+    close(result.p, 0.4857143);
+
+    // R finds the odds ratio with uniroot, so it only agrees to about 5 digits
+    close(result.oddsRatio, 6.408309, 1e-5);
+    close(ss.fisher.test([[3, 1], [1, 3]], "greater").p, 0.2428571);
+});
+
+test("fisher.test matches fisher.test on larger tables", function() {
+    close(ss.fisher.test([[10, 2], [3, 15]]).p, 0.0005367241);
+    close(ss.fisher.test([[2, 3, 4], [5, 1, 0], [1, 1, 6]]).p, 0.03007723);
+    close(ss.fisher.test([[5, 4, 6, 3], [4, 6, 3, 5], [6, 3, 5, 4]]).p, 0.8399960);
+});
+
+test("fisher.test stops when there are too many tables to enumerate", function() {
+    assert.throws(function() {
+        ss.fisher.test([[20, 22, 18, 25, 19, 21], [19, 21, 24, 17, 23, 20]]);
+    }, /fisher.test: There are more than 1000000 tables with the same row and column totals/);
+});
+
+test("fisher.test cross-tabulates two columns", function() {
+    var data = ss({
+            "guess": ["milk", "milk", "milk", "tea", "milk", "tea", "tea", "tea"],
+            "truth": ["milk", "milk", "milk", "milk", "tea", "tea", "tea", "tea"]
+        }),
+        result = data.fisher.test("truth", "guess", "greater");
+
+    assert.deepStrictEqual(result.observed, [[3, 1], [1, 3]]);
+    close(result.p, 0.2428571);
+});
@@ -0,0 +1,104 @@
+// Correlation tests and covariance and correlation matrices
+// Reference values from R: cor.test on the example from its documentation, cov and cor
+// (Spearman and Kendall with exact = FALSE, the tied data are worked from the tie-corrected formulas)
+var test = require("node:test"),
+    assert = require("assert"),
+    helpers = require("./helpers"),
+    ss = helpers.ss,
+    close = helpers.close;
+
+var data = ss({
+        "x": [44.4, 45.9, 41.9, 53.3, 44.7, 44.1, 50.7, 45.2, 60.1],
+        "y": [2.6, 3.1, 2.5, 5.0, 3.6, 4.0, 5.2, 2.8, 3.8]
+    }),
+    tied = ss({
+        "a": [1, 2, 2, 3, 4, 4, 5, 6],
+        "b": [2, 1, 3, 3, 5, 4, 6, 6]
+    });
+
+test("cor matches the Pearson cor.test", function() {
+    var result = data.cor("x", "y");
+
+    close(result.r, 0.5711816);
+    close(result.t, 1.841083);
+    assert.strictEqual(result.df, 7);
+    close(result.p, 0.1081731);
+    close(result.interval.lower, -0.1497426);
+    close(result.interval.upper, 0.8955795);
+});
+
+test("cor matches the Spearman cor.test", function() {
+    var result = data.cor("x", "y", "spearman");
+
+    close(result.rho, 0.6);
+    close(result.p, 0.08762283);
+    close(tied.cor("a", "b", "spearman").rho, 0.9329268);
+});
+
+test("cor matches the Kendall cor.test", function() {
+    var result = data.cor("x", "y", "kendall"),
+        tiedResult = tied.cor("a", "b", "kendall");
+
+    close(result.tau, 0.4444444);
+    close(result.z, 1.668115);
+    close(result.p, 0.09529284);
+    close(tiedResult.tau, 0.8461538);
+    close(tiedResult.z, 2.805881);
+    close(tiedResult.p, 0.005017926);
+});
+
+test("cor only uses rows with a value in both columns", function() {
+    var result = ss({
+        "x": [44.4, 45.9, 41.9, 53.3, 44.7, 44.1, 50.7, 45.2, 60.1, 47.0, ""],
+        "y": [2.6, 3.1, 2.5, 5.0, 3.6, 4.0, 5.2, 2.8, 3.8, "", 4.1]
+    }).cor("x", "y");
+
+    assert.strictEqual(result.count, 9);
+    close(result.r, 0.5711816);
+});
+
+var matrixData = ss({
+    "x": [44.4, 45.9, 41.9, 53.3, 44.7, 44.1, 50.7, 45.2, 60.1, 47.0, ""],
+    "y": [2.6, 3.1, 2.5, 5.0, 3.6, 4.0, 5.2, 2.8, 3.8, "", 4.1],
+    "z": [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+});
+
+test("covMatrix matches cov with pairwise deletion", function() {
+    var result = matrixData.covMatrix(["x", "y"]);
+
+    close(result.covariance[0][1], 3.279722);
+    close(result.covariance[1][1], 0.8912222);
+    assert.deepStrictEqual(result.count, [[10, 9], [9, 10]]);
+});
+
+test("corMatrix matches cor for each pair of columns", function() {
+    ["pearson", "spearman", "kendall"].forEach(function(method) {
+        var result = matrixData.corMatrix(["x", "y", "z"], method),
+            pair = matrixData.cor("y", "z", method);
+
+        assert.deepStrictEqual(result.count, [[10, 9, 10], [9, 10, 10], [10, 10, 11]]);
+        close(result.estimate[0][1], method === "pearson" ? 0.5711816 : method === "spearman" ? 0.6 : 0.4444444);
+        close(result.estimate[1][2], method === "kendall" ? pair.tau : method === "spearman" ? pair.rho : pair.r);
+        close(result.p[1][2], pair.p);
+    });
+});
+
+test("corMatrix with listwise deletion only uses rows with every value", function() {
+    var result = matrixData.corMatrix(["x", "y", "z"], "spearman", {"deletion": "listwise"});
+
+    close(result.estimate[0][1], 0.6);
+    close(result.p[0][1], 0.08762283);
+    assert.strictEqual(result.count[0][2], 9);
+});
+
+test("corMatrix gives NaN for a column whose values are all the same", function() {
+    var data = ss({"a": [1, 2, 3, 4], "b": [1, 1, 1, 1], "c": [2, 3, 5, 4]});
+
+    ["pearson", "spearman", "kendall"].forEach(function(method) {
+        var result = data.corMatrix(["a", "b", "c"], method);
+
+        assert.ok(isNaN(result.estimate[0][1]) && isNaN(result.estimate[1][2]) && isNaN(result.estimate[1][1]));
+        assert.ok(isNaN(result.p[0][1]) && isNaN(result.p[1][2]));
+        assert.ok(!isNaN(result.estimate[0][2]));
+    });
+});
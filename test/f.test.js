@@ -0,0 +1,53 @@
+// F distribution and two sample variance tests
+// Reference values from R: pf, qf and var.test
+var test = require("node:test"),
+    assert = require("assert"),
+    helpers = require("./helpers"),
+    ss = helpers.ss,
+    close = helpers.close;
+
+var data = ss({
+    "a": [10.2, 9.8, 11.5, 12.1, 8.7, 10.9, 11.8, 9.5],
+    "b": [10.1, 10.4, 9.9, 10.2, 10.6, 9.7, 10.0, ""],
+    "g": [1, 1, 1, 1, 1, 1, 1, 1]
+});
+
+test("F.dist matches pf", function() {
+    close(ss.F.dist(2.5, 3, 12, true), 0.8908453);
+    close(ss.F.dist(0.8, 5, 20, true), 0.4373119);
+    close(ss.F.dist(10, 1, 1, true), 0.8050178);
+});
+
+test("F.inv matches qf", function() {
+    close(ss.F.inv(0.95, 3, 12), 3.490295);
+    close(ss.F.inv(0.025, 5, 20), 0.1580139);
+});
+
+test("F.inv finds tail quantiles to a relative tolerance", function() {
+    close(ss.F.dist(ss.F.inv(1e-9, 5, 10), 5, 10, true), 1e-9);
+
+    // The upper tail of F(2, 3) is (1 + 2f / 3)^-1.5, so the 0.999 quantile is 148.5
+    close(ss.F.inv(0.999, 2, 3), 148.5);
+    assert.strictEqual(ss.F.inv(0, 5, 10), 0);
+});
+
+test("F.test2s matches var.test", function() {
+    close(data.F.test2s("a", "b"), 0.003584347);
+    close(data.F.test2s("a", "b", "greater"), 0.001792173);
+});
+
+test("F.conf matches the var.test interval", function() {
+    var interval = data.F.conf(0.05, "a", "b");
+
+    close(interval.lower, 2.769089);
+    close(interval.upper, 80.72673);
+});
+
+test("F.test2s and F.conf drop blank values when the data is filtered", function() {
+    var filterCb = function(row) {
+        return row.g === 1;
+    };
+
+    close(data.F.test2s("a", "b", filterCb), 0.003584347);
+    close(data.F.conf(0.05, "a", "b", filterCb).lower, 2.769089);
+});
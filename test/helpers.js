@@ -0,0 +1,29 @@
+/**
+ * Shared setup for the tests (run with "node --test" from the repository root)
+ * savvystats.js is a browser script that declares the global ss, so it is evaluated in a function that returns it
+ */
+var fs = require("fs"),
+    path = require("path"),
+    assert = require("assert");
+
+var ss = new Function(fs.readFileSync(path.join(__dirname, "..", "savvystats.js"), "utf8") + "\nreturn ss;")();
+
+/**
+ * Asserts that a number matches a reference value to a relative tolerance (absolute when the reference is 0)
+ *
+ * @param Float actual
+ * @param Float expected
+ * @param Float tolerance (default 1e-6)
+ */
+var close = function(actual, expected, tolerance) {
+    tolerance = typeof tolerance === "undefined" ? 1e-6 : tolerance;
+
+    var scale = expected === 0 ? 1 : Math.abs(expected);
+
+    assert.ok(Math.abs(actual - expected) <= tolerance * scale, actual + " is not within " + tolerance + " of " + expected);
+};
+
+module.exports = {
+    "ss": ss,
+    "close": close
+};
@@ -0,0 +1,68 @@
+// Kruskal-Wallis, Dunn and Friedman tests
+// Reference values from R: kruskal.test and friedman.test, with Dunn's z and p-values worked from the tie-corrected formula
+var test = require("node:test"),
+    assert = require("assert"),
+    helpers = require("./helpers"),
+    ss = helpers.ss,
+    close = helpers.close;
+
+var data = ss({
+    "v": [1, 2, 3, 3, 4, 5, 6, 6, 7, 8, 3, 4, 5, 9, 10, 11],
+    "g": ["a", "a", "a", "a", "a", "b", "b", "b", "b", "b", "c", "c", "c", "c", "c", "c"]
+});
+
+test("kruskal matches kruskal.test", function() {
+    var result = ss({
+        "v": [2.9, 3.0, 2.5, 2.6, 3.2, 3.8, 2.7, 4.0, 2.4, 2.8, 3.4, 3.7, 2.2, 2.0],
+        "g": ["a", "a", "a", "a", "a", "b", "b", "b", "b", "c", "c", "c", "c", "c"]
+    }).kruskal("v", "g");
+
+    close(result.H, 0.7714286);
+    assert.strictEqual(result.df, 2);
+    close(result.p, 0.6799648);
+});
+
+test("kruskal corrects H for ties", function() {
+    var result = data.kruskal("v", "g");
+
+    close(result.H, 8.111441);
+    close(result.p, 0.01732299);
+    close(result.groups[0].meanRank, 3.5);
+});
+
+test("dunn compares each pair of groups", function() {
+    var comparisons = data.dunn("v", "g");
+
+    assert.strictEqual(comparisons.length, 3);
+    close(comparisons[0].z, -2.470329);
+    close(comparisons[0].p, 0.01349888);
+    close(comparisons[0].adjustedP, 0.03738251);
+    close(comparisons[1].adjustedP, 0.03738251);
+    close(comparisons[2].z, 0.08135686);
+    close(data.dunn("v", "g", "bonferroni")[0].adjustedP, 0.04049664);
+
+    // adjustMethod comes after filterCb
+    close(data.dunn("v", "g", function() {
+        return true;
+    }, "bonferroni")[0].adjustedP, 0.04049664);
+});
+
+test("dunn reports data where every value is tied", function() {
+    assert.throws(function() {
+        ss({"v": [1, 1, 1, 1], "g": ["a", "a", "b", "b"]}).dunn("v", "g");
+    }, /dunn: all of the values in v are the same/);
+});
+
+test("friedman matches friedman.test on the rounding times data", function() {
+    var rounding = ss({
+            "roundOut": [5.40, 5.85, 5.20, 5.55, 5.90, 5.45, 5.40, 5.45, 5.25, 5.85, 5.25, 5.65, 5.60, 5.05, 5.50, 5.45, 5.55, 5.45, 5.50, 5.65, 5.70, 6.30],
+            "narrowAngle": [5.50, 5.70, 5.60, 5.50, 5.85, 5.55, 5.40, 5.50, 5.15, 5.80, 5.20, 5.55, 5.35, 5.00, 5.50, 5.55, 5.55, 5.50, 5.45, 5.60, 5.65, 6.30],
+            "wideAngle": [5.55, 5.75, 5.50, 5.40, 5.70, 5.60, 5.35, 5.35, 5.00, 5.70, 5.10, 5.45, 5.45, 4.95, 5.40, 5.50, 5.35, 5.55, 5.25, 5.40, 5.55, 6.25]
+        }),
+        result = rounding.friedman(["roundOut", "narrowAngle", "wideAngle"]);
+
+    close(result.chisq, 11.14286);
+    assert.strictEqual(result.df, 2);
+    close(result.p, 0.003805041);
+    close(result.kendallsW, 0.2532468);
+});
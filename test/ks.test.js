@@ -0,0 +1,41 @@
+// Kolmogorov-Smirnov tests
+// Reference values from R: ks.test
+var test = require("node:test"),
+    assert = require("assert"),
+    helpers = require("./helpers"),
+    ss = helpers.ss,
+    close = helpers.close;
+
+var data = ss({"x": [0.61, -1.22, 0.35, 1.87, -0.44, 0.12, -0.93, 2.31, 0.78, -0.15, 1.04, -1.66, 0.29, 0.57, -0.38]}),
+    normalCdf = function(x) {
+        return ss.norm.dist(x, 0, 1, true);
+    };
+
+test("ks.test1s matches the exact ks.test", function() {
+    var result = data.ks.test1s("x", normalCdf);
+
+    close(result.D, 0.1477584);
+    assert.strictEqual(result.exact, true);
+    close(result.p, 0.8527612);
+    close(data.ks.test1s("x", function(x) {
+        return (x + 2) / 5;
+    }).p, 0.2253974);
+});
+
+test("ks.test1s matches the asymptotic ks.test", function() {
+    close(data.ks.test1s("x", normalCdf, {"exact": false}).p, 0.8987406);
+});
+
+test("ks.test2s matches the exact and asymptotic ks.test", function() {
+    var samples = ss({
+            "a": [0.61, -1.22, 0.35, 1.87, -0.44, 0.12, -0.93, 2.31],
+            "b": [1.9, 0.4, 2.7, 1.1, 3.2, 0.95, 2.2, ""]
+        }),
+        result = samples.ks.test2s("a", "b");
+
+    close(result.D, 0.625);
+    assert.strictEqual(result.exact, true);
+    close(result.p, 0.05594406);
+    close(samples.ks.test2s("a", "b", {"exact": false}).p, 0.1082104);
+    close(ss({"a": [1, 2, 3, 4, 5], "b": [6, 7, 8, 9, 10]}).ks.test2s("a", "b").p, 0.007936508);
+});
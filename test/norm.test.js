@@ -0,0 +1,49 @@
+// Normal distribution and proportion z tests
+// Reference values from R: pnorm, qnorm and prop.test (the z tests match prop.test's chi-square, z^2)
+var test = require("node:test"),
+    assert = require("assert"),
+    helpers = require("./helpers"),
+    ss = helpers.ss,
+    close = helpers.close;
+
+test("norm.dist matches pnorm, including the far tails", function() {
+    close(ss.norm.dist(1.96, 0, 1, true), 0.9750021);
+    close(ss.norm.dist(-3.5, 0, 1, true), 2.326291e-04);
+    close(ss.norm.dist(-6, 0, 1, true), 9.865876e-10);
+    close(ss.norm.dist(-8, 0, 1, true), 6.220961e-16);
+    close(ss.norm.dist(-15, 0, 1, true), 3.670966e-51);
+    close(ss.norm.dist(13, 10, 2, true), 0.9331928);
+});
+
+test("norm.inv matches qnorm, including the far tails", function() {
+    close(ss.norm.inv(0.975, 0, 1), 1.959964);
+    close(ss.norm.inv(0.3, 0, 1), -0.5244005);
+    close(ss.norm.inv(0.975, 10, 2), 13.91993);
+    close(ss.norm.inv(1e-6, 0, 1), -4.753424);
+    close(ss.norm.inv(1e-10, 0, 1), -6.361341);
+    close(ss.norm.inv(1 - 1e-10, 0, 1), 6.361341);
+    close(ss.norm.inv(1e-20, 0, 1), -9.262340);
+    assert.strictEqual(ss.norm.inv(0, 0, 1), -Infinity);
+    assert.strictEqual(ss.norm.inv(1, 0, 1), Infinity);
+});
+
+test("prop.test1s matches prop.test without continuity correction", function() {
+    close(ss.prop.test1s(60, 100, 0.5), 0.04550026);
+    close(ss.prop.test1s(60, 100, 0.5, "less"), 0.9772499);
+});
+
+test("prop.test2s matches prop.test", function() {
+    close(ss.prop.test2s(15, 50, 25, 50), 0.04122683);
+    close(ss.prop.test2s(15, 50, 25, 50, "less"), 0.02061342);
+    close(ss.prop.test2s(15, 50, 25, 50, 2, {"continuityCorrection": true}), 0.06619258);
+});
+
+test("prop.conf2s matches the prop.test interval", function() {
+    var interval = ss.prop.conf2s(0.05, 15, 50, 25, 50),
+        corrected = ss.prop.conf2s(0.05, 15, 50, 25, 50, 2, {"continuityCorrection": true});
+
+    close(interval.lower, -0.3879931);
+    close(interval.upper, -0.01200686);
+    close(corrected.lower, -0.4079931);
+    close(corrected.upper, 0.007993141);
+});
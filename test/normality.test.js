@@ -0,0 +1,41 @@
+// Normality tests
+// Reference values from R: shapiro.test, with Anderson-Darling and D'Agostino-Pearson worked from their formulas
+// (nortest::ad.test and fBasics::dagoTest)
+var test = require("node:test"),
+    assert = require("assert"),
+    helpers = require("./helpers"),
+    ss = helpers.ss,
+    close = helpers.close;
+
+var data = ss({
+    "skewed": [148, 154, 158, 160, 161, 162, 166, 170, 182, 195, 236, "", "", "", "", "", "", "", "", "", "", ""],
+    "even": [2.1, 3.4, 1.9, 5.6, 4.4, 3.8, 2.7, 4.9, 3.1, 4.0, 5.2, 2.5, 3.6, 4.7, 3.3, 2.9, 4.1, 3.9, 5.0, 2.2, 3.5, 4.3]
+});
+
+test("normality matches shapiro.test", function() {
+    var result = data.normality("skewed");
+
+    assert.strictEqual(result.method, "shapiro-wilk");
+
+    // R prints 5 significant digits
+    close(result.W, 0.78881, 1e-4);
+    close(result.p, 0.006704, 1e-4);
+
+    // The probability is exact for 3 values
+    close(ss({"z": [1, 2, 4]}).normality("z").p, 0.6368868);
+});
+
+test("normality matches the Anderson-Darling test", function() {
+    var result = data.normality("skewed", "anderson-darling");
+
+    close(result.A, 0.9467719);
+    close(result.p, 0.01045402);
+    close(data.normality("even", "anderson-darling").p, 0.9859452);
+});
+
+test("normality matches the D'Agostino-Pearson test", function() {
+    var result = data.normality("even", "dagostino-pearson");
+
+    close(result.K2, 0.9240289);
+    close(result.p, 0.6300132);
+});
@@ -0,0 +1,75 @@
+// Multiple comparisons and tests run on an array of columns
+// Reference values from R: p.adjust
+var test = require("node:test"),
+    assert = require("assert"),
+    helpers = require("./helpers"),
+    ss = helpers.ss,
+    close = helpers.close;
+
+var pValues = [0.01, 0.04, 0.03, 0.005, 0.2];
+
+var closeAll = function(actual, expected) {
+    assert.strictEqual(actual.length, expected.length);
+
+    for (var i = 0; i < expected.length; i++) {
+        close(actual[i], expected[i]);
+    }
+};
+
+test("padjust matches p.adjust", function() {
+    closeAll(ss.padjust(pValues), [0.04, 0.09, 0.09, 0.025, 0.2]);
+    closeAll(ss.padjust(pValues, "bonferroni"), [0.05, 0.2, 0.15, 0.025, 1]);
+    closeAll(ss.padjust(pValues, "hochberg"), [0.04, 0.08, 0.08, 0.025, 0.2]);
+    closeAll(ss.padjust(pValues, "BH"), [0.025, 0.05, 0.05, 0.025, 0.2]);
+    closeAll(ss.padjust(pValues, "BY"), [0.05708333, 0.1141667, 0.1141667, 0.05708333, 0.4566667]);
+});
+
+var data = ss({
+    "a": [0.2, 1.1, -0.4, 0.9, 1.5, 0.3, 0.8, 1.2],
+    "b": [-0.3, 0.1, 0.4, -0.2, 0.5, -0.6, 0.2, 0.0],
+    "x": ["h", "t", "h", "h", "t", "h", "h", "h"],
+    "y": ["h", "t", "t", "h", "t", "h", "t", "h"]
+});
+
+// The adjusted p-values of a test run on an array of columns
+var adjusted = function(entries) {
+    return entries.map(function(entry) {
+        return entry.adjustedP;
+    });
+};
+
+test("an array of columns returns the adjusted p-values of each test", function() {
+    var cdf = function(x) {
+        return ss.norm.dist(x, 0, 1, true);
+    };
+
+    closeAll(adjusted(data.t.test1s(0, ["a", "b"])), ss.padjust([data.t.test1s(0, "a"), data.t.test1s(0, "b")]));
+    closeAll(adjusted(data.t.test1s(0, ["a", "b"], "greater", undefined, "bonferroni")), [2 * data.t.test1s(0, "a", "greater"), 2 * data.t.test1s(0, "b", "greater")]);
+    closeAll(adjusted(data.chisq.test1s(1, ["a", "b"], undefined, undefined, "bonferroni")), [2 * data.chisq.test1s(1, "a"), 2 * data.chisq.test1s(1, "b")]);
+    closeAll(adjusted(data.chisq.gof(["x", "y"], undefined, undefined, "bonferroni")), [2 * data.chisq.gof("x").p, 1]);
+    closeAll(adjusted(data.binom.test(["x", "y"], "h", 0.5, undefined, undefined, "bonferroni")), [2 * data.binom.test("x", "h", 0.5).p, 1]);
+    closeAll(adjusted(data.wilcoxon.signedRank(["a", "b"], 0, undefined, undefined, undefined, "bonferroni")), [2 * data.wilcoxon.signedRank("a").p, 1]);
+    closeAll(adjusted(data.normality(["a", "b"], undefined, undefined, "bh")), ss.padjust([data.normality("a").p, data.normality("b").p], "bh"));
+    closeAll(adjusted(data.ks.test1s(["a", "b"], cdf, undefined, undefined, "bonferroni")), [2 * data.ks.test1s("a", cdf).p, 2 * data.ks.test1s("b", cdf).p]);
+});
+
+test("each column's entry keeps its name, p-value and result", function() {
+    var entries = data.binom.test(["x", "y"], "h", 0.5, undefined, undefined, "bonferroni"),
+        resultX = data.binom.test("x", "h", 0.5);
+
+    assert.deepStrictEqual(entries.map(function(entry) {
+        return entry.column;
+    }), ["x", "y"]);
+    assert.deepStrictEqual(entries[0].result, resultX);
+    assert.strictEqual(entries[0].p, resultX.p);
+    close(entries[0].adjustedP, 2 * resultX.p);
+
+    // Tests returning only a p-value keep it as the result
+    assert.strictEqual(data.t.test1s(0, ["a"])[0].result, data.t.test1s(0, "a"));
+});
+
+test("wilcoxon.signedRank does not take an array of columns with a paired column", function() {
+    assert.throws(function() {
+        data.wilcoxon.signedRank(["a"], "b");
+    }, /only be tested against an expected median/);
+});
@@ -0,0 +1,26 @@
+// Poisson rate tests
+// Reference values from R: poisson.test
+var test = require("node:test"),
+    helpers = require("./helpers"),
+    ss = helpers.ss,
+    close = helpers.close;
+
+test("poisson.test matches poisson.test", function() {
+    var result = ss.poisson.test(10, 2, 3);
+
+    close(result.estimate, 5);
+    close(result.p, 0.1012753);
+    close(result.interval.lower, 2.397694);
+    close(result.interval.upper, 9.195178);
+    close(ss.poisson.test(10, 2, 3, "greater").p, 0.08392402);
+    close(ss.poisson.test(10, 2, 3, "less").p, 0.9573791);
+});
+
+test("poisson.test2s matches poisson.test on two samples", function() {
+    var result = ss.poisson.test2s(11, 800, 23, 1083);
+
+    close(result.rateRatio, 0.6474457);
+    close(result.p, 0.2980944);
+    close(result.interval.lower, 0.2849413);
+    close(result.interval.upper, 1.382565);
+});
@@ -0,0 +1,85 @@
+// T distribution tests on two columns
+// Reference values from R: t.test on the sleep data set (extra by group)
+var test = require("node:test"),
+    helpers = require("./helpers"),
+    ss = helpers.ss,
+    close = helpers.close;
+
+var sleep = ss({
+    "a": [0.7, -1.6, -0.2, -1.2, -0.1, 3.4, 3.7, 0.8, 0.0, 2.0],
+    "b": [1.9, 0.8, 1.1, 0.1, -0.1, 4.4, 5.5, 1.6, 4.6, 3.4]
+});
+
+test("t.test2s matches the Welch t.test", function() {
+    close(sleep.t.test2s("a", "b"), 0.07939414);
+    close(sleep.t.test2s("a", "b", "less"), 0.03969707);
+});
+
+test("t.test2s matches the pooled t.test", function() {
+    close(sleep.t.test2s("a", "b", {"equalVariance": true}), 0.07918671);
+});
+
+test("t.test2s drops blank values from each column when the data is filtered", function() {
+    var data = ss({
+            "a": [0.7, -1.6, -0.2, -1.2, -0.1, 3.4, 3.7, 0.8, 0.0, 2.0, ""],
+            "b": [1.9, 0.8, 1.1, 0.1, -0.1, 4.4, 5.5, 1.6, 4.6, "", 3.4],
+            "g": [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1]
+        }),
+        filterCb = function(row) {
+            return row.g === 1;
+        };
+
+    close(data.t.test2s("a", "b", filterCb), 0.07939414);
+});
+
+test("t.testPaired matches the paired t.test", function() {
+    var result = sleep.t.testPaired("a", "b");
+
+    close(result.t, -4.062128);
+    close(result.df, 9);
+    close(result.p, 0.002832890);
+    close(result.meanDifference, -1.58);
+    close(result.interval.lower, -2.459886);
+    close(result.interval.upper, -0.7001143);
+});
+
+test("t.testPaired skips rows missing either value", function() {
+    var data = ss({
+        "a": [0.7, -1.6, -0.2, -1.2, -0.1, 3.4, 3.7, 0.8, 0.0, 2.0, 5],
+        "b": [1.9, 0.8, 1.1, 0.1, -0.1, 4.4, 5.5, 1.6, 4.6, 3.4, ""]
+    });
+
+    close(data.t.testPaired("a", "b").p, 0.002832890);
+});
+
+test("t.conf2s matches the Welch and pooled t.test intervals", function() {
+    var welch = sleep.t.conf2s(0.05, "a", "b"),
+        pooled = sleep.t.conf2s(0.05, "a", "b", {"equalVariance": true});
+
+    close(welch.lower, -3.365483);
+    close(welch.upper, 0.2054832);
+    close(pooled.lower, -3.363874);
+    close(pooled.upper, 0.2038740);
+});
+
+test("norm.conf2s uses the known standard deviations", function() {
+    // -1.58 -/+ qnorm(0.975) * sqrt(1.8^2/10 + 2^2/10)
+    var interval = sleep.norm.conf2s(0.05, 1.8, 2.0, "a", "b");
+
+    close(interval.lower, -3.247698);
+    close(interval.upper, 0.08769787);
+});
+
+test("t.conf2s and norm.conf2s drop blank values from each column when the data is filtered", function() {
+    var data = ss({
+            "a": [0.7, -1.6, -0.2, -1.2, -0.1, 3.4, 3.7, 0.8, 0.0, 2.0, ""],
+            "b": [1.9, 0.8, 1.1, 0.1, -0.1, 4.4, 5.5, 1.6, 4.6, "", 3.4],
+            "g": [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1]
+        }),
+        filterCb = function(row) {
+            return row.g === 1;
+        };
+
+    close(data.t.conf2s(0.05, "a", "b", filterCb).lower, -3.365483);
+    close(data.norm.conf2s(0.05, 1.8, 2.0, "a", "b", filterCb).lower, -3.247698);
+});
@@ -0,0 +1,89 @@
+// Wilcoxon rank-sum and signed-rank tests
+// Reference values from R: wilcox.test (x and y are from its documentation)
+var test = require("node:test"),
+    assert = require("assert"),
+    helpers = require("./helpers"),
+    ss = helpers.ss,
+    close = helpers.close;
+
+var x = [0.80, 0.83, 1.89, 1.04, 1.45, 1.38, 1.91, 1.64, 0.73, 1.46],
+    y = [1.15, 0.88, 0.90, 0.74, 1.21, "", "", "", "", ""];
+
+test("wilcoxon.rankSum matches the exact wilcox.test", function() {
+    var data = ss({"x": x, "y": y}),
+        result = data.wilcoxon.rankSum("x", "y", "greater");
+
+    assert.strictEqual(result.W, 35);
+    assert.strictEqual(result.exact, true);
+    close(result.p, 0.1272061);
+    close(data.wilcoxon.rankSum("x", "y").p, 0.2544123);
+});
+
+test("wilcoxon.rankSum matches the normal approximation of wilcox.test", function() {
+    var data = ss({"x": x, "y": y});
+
+    close(data.wilcoxon.rankSum("x", "y", {"exact": false}).p, 0.2446236);
+    close(data.wilcoxon.rankSum("x", "y", {"exact": false, "correct": false}).p, 0.2206714);
+});
+
+test("wilcoxon.rankSum corrects the variance for ties", function() {
+    var result = ss({"a": [1, 2, 2, 3, 4, 5, 5, 6], "b": [3, 4, 4, 6, 7, 8, 8, 9]}).wilcoxon.rankSum("a", "b");
+
+    assert.strictEqual(result.W, 12);
+    assert.strictEqual(result.exact, false);
+    close(result.p, 0.03924603);
+});
+
+test("wilcoxon.rankSum only calculates the exact distribution for small samples", function() {
+    // wilcox.test(a, b, exact = FALSE) with a = (0:100) * 2 + 0.5 and b = (0:99) * 2
+    var a = [],
+        b = [],
+        result,
+        i;
+
+    for (i = 0; i <= 100; i++) {
+        a.push(i * 2 + 0.5);
+    }
+
+    for (i = 0; i < 100; i++) {
+        b.push(i * 2);
+    }
+
+    result = ss({"a": a, "b": b}).wilcoxon.rankSum("a", "b", {"exact": true});
+
+    assert.strictEqual(result.W, 5150);
+    assert.strictEqual(result.exact, false);
+    assert.strictEqual(result.warnings.length, 1);
+    close(result.p, 0.8093140);
+});
+
+test("wilcoxon.signedRank matches the paired wilcox.test", function() {
+    var data = ss({
+            "x": [1.83, 0.50, 1.62, 2.48, 1.68, 1.88, 1.55, 3.06, 1.30],
+            "y": [0.878, 0.647, 0.598, 2.05, 1.06, 1.29, 1.06, 3.14, 1.29]
+        }),
+        result = data.wilcoxon.signedRank("x", "y", "greater");
+
+    assert.strictEqual(result.V, 40);
+    assert.strictEqual(result.exact, true);
+    close(result.p, 0.01953125);
+    close(data.wilcoxon.signedRank("x", "y").p, 0.0390625);
+});
+
+test("wilcoxon.signedRank matches the one sample wilcox.test", function() {
+    var data = ss({"z": [1.5, -0.3, 2.1, 0.8, -1.2, 3.3, 0.4, 1.9, 2.6, -0.7, 1.1, 0.9]}),
+        result = data.wilcoxon.signedRank("z", 0.5);
+
+    assert.strictEqual(result.V, 55);
+    close(result.p, 0.2333984);
+    close(data.wilcoxon.signedRank("z", 0, {"exact": false}).p, 0.03098405);
+});
+
+test("wilcoxon.signedRank drops zero differences and corrects the variance for ties", function() {
+    var result = ss({"t": [1, 2, 2, 3, -1, 4, 4, 5, 0, 6]}).wilcoxon.signedRank("t");
+
+    assert.strictEqual(result.V, 43.5);
+    assert.strictEqual(result.exact, false);
+    assert.strictEqual(result.warnings.length, 1);
+    close(result.p, 0.01488986);
+});